@@ -16,6 +16,12 @@ let debugEnabled = false;
  */
 const DEBUG_COLLIDER_THICKNESS = 2;
 
+/**
+ * How many physics steps ahead the predicted fling path is drawn
+ * @type {number}
+ */
+const DEBUG_FLING_PATH_STEPS = 90;
+
 /**
  * An object that holds all the debug elements
  * Cleared each frame for frame based debug elements
@@ -48,25 +54,74 @@ class Debug extends PIXI.Container
         //Stop debugging if not enabled
         if(!debugEnabled) return;
 
+        //Broadphase grid
+        this.drawGrid();
+
         //Collider
         this.drawColliders();
     }
 
+    /**
+     * Draws the occupied broadphase cells and the area the player last checked
+     */
+    drawGrid()
+    {
+        const gridGraphic = new PIXI.Graphics();
+        const cellSize = WORLD.grid.cellSize;
+
+        //Occupied cells, more opaque the more obstacles are in it
+        for(const [key, cell] of WORLD.grid.cells)
+        {
+            const [cellX, cellY] = key.split(",").map(Number);
+            gridGraphic.beginFill(0xff00ff, Math.min(0.1 * cell.size, 0.5));
+            gridGraphic.lineStyle(1, 0xff00ff, 0.5);
+            gridGraphic.drawRect(cellX * cellSize, cellY * cellSize, cellSize, cellSize);
+            gridGraphic.endFill();
+        }
+
+        //The player's swept bounds
+        const query = WORLD.grid.lastQuery;
+        if(query)
+        {
+            gridGraphic.beginFill(0x000000, 0);
+            gridGraphic.lineStyle(DEBUG_COLLIDER_THICKNESS, 0xffff00);
+            gridGraphic.drawRect(query.x, query.y, query.width, query.height);
+            gridGraphic.endFill();
+        }
+
+        this.addChild(gridGraphic);
+    }
+
     /**
      * Draws the colliders for all objects
      */
     drawColliders()
     {
-        //Draw colliders for all objects
-        for(const physObj of OBJECTS)
+        //Draw colliders for all objects where they are drawn this frame
+        for(const physObj of WORLD.objects)
         {
-            //Draw circle outline
+            //Nothing to draw for objects out of play
+            if(!physObj.active) continue;
+
+            const position = physObj.getInterpolatedPosition(physicsInterpolation);
+
+            //Draw the polygon or circle outline
             const colliderGraphic = new PIXI.Graphics();
             colliderGraphic.beginFill(0x00000, 0);
             colliderGraphic.lineStyle(DEBUG_COLLIDER_THICKNESS, 0xff0000);
-            colliderGraphic.drawCircle(physObj.x, physObj.y, physObj.colliderRadius);
+            if(physObj.baseColliderPolygon)
+                colliderGraphic.drawPolygon(physObj.getColliderPolygon(position).flatMap(vertex => [vertex.x, vertex.y]));
+            else
+                colliderGraphic.drawCircle(position.x, position.y, physObj.colliderRadius);
             colliderGraphic.endFill();
 
+            //Fields and time zones reach much further than their core
+            if(physObj instanceof AreaObstacle)
+            {
+                colliderGraphic.lineStyle(DEBUG_COLLIDER_THICKNESS, 0xff00ff);
+                colliderGraphic.drawCircle(position.x, position.y, physObj.getAreaRadius());
+            }
+
             //Add drawing to the containter
             this.addChild(colliderGraphic);
         }
@@ -75,15 +130,31 @@ class Debug extends PIXI.Container
         const aimingVisualization = new PIXI.Graphics();
         aimingVisualization.lineStyle(DEBUG_COLLIDER_THICKNESS, 0x00ff00);
         aimingVisualization.lineTo(PLAYER.flingForce.x, PLAYER.flingForce.y);
-        aimingVisualization.position.set(PLAYER.x, PLAYER.y);
+        aimingVisualization.position.set(PLAYER_VIEW.x, PLAYER_VIEW.y);
         this.addChild(aimingVisualization);
 
-        //Draw wave collider
+        //Draw where the fling would go, bent by gravity and any fields
+        if(PLAYER.playerState === PLAYER_STATE.Aiming)
+        {
+            const { path } = WORLD.predictPath(PLAYER.vectorPosition, PLAYER.getFlingVelocity(), DEBUG_FLING_PATH_STEPS, PLAYER.colliderRadius);
+            const pathGraphic = new PIXI.Graphics();
+            pathGraphic.lineStyle(DEBUG_COLLIDER_THICKNESS, 0x00ff00, 0.5);
+            pathGraphic.moveTo(path[0].x, path[0].y);
+            for(const point of path) pathGraphic.lineTo(point.x, point.y);
+            this.addChild(pathGraphic);
+        }
+
+        //Draw wave collider, its surface as of the last physics step and its height
         const waveColliderGraphic = new PIXI.Graphics();
-        waveColliderGraphic.beginFill(0x00000, 0);
         waveColliderGraphic.lineStyle(DEBUG_COLLIDER_THICKNESS, 0x00fff0);
+        waveColliderGraphic.moveTo(WAVE.bounds.left, WAVE.bounds.y + WAVE.getSurfaceOffset(WAVE.bounds.left));
+        for(let i = 1; i <= WAVE_VIEW_SEGMENTS; i++)
+        {
+            const x = lerp(WAVE.bounds.left, WAVE.bounds.right, i / WAVE_VIEW_SEGMENTS);
+            waveColliderGraphic.lineTo(x, WAVE.bounds.y + WAVE.getSurfaceOffset(x));
+        }
+        waveColliderGraphic.lineStyle(DEBUG_COLLIDER_THICKNESS, 0x00fff0, 0.3);
         waveColliderGraphic.drawRect(WAVE.bounds.x, WAVE.bounds.y, WAVE.bounds.width, WAVE.bounds.height);
-        waveColliderGraphic.endFill();
         this.addChild(waveColliderGraphic);
     }
 }
@@ -96,41 +167,26 @@ const DEBUG = new Debug();
 //#endregion
 
 /**
- * An object with basic physics and is a graphics object
+ * A graphics object that mirrors a physics object in the world
  * @abstract
  */
-class PhysicsObject extends PIXI.Graphics
+class PhysicsObjectView extends PIXI.Graphics
 {
     /**
-     * Creates a new PhysicsObject
-     * @param {Function} setupVisual A function of what to draw, requires 1 arg of PhysicsObject
-     * @param {Victor} vectorPosition The initial position (not for the visual, for the entire object)
+     * Creates a new PhysicsObjectView
+     * @param {PhysicsObject} body The physics object to draw
+     * @param {Function} setupVisual A function of what to draw, requires 1 arg of PhysicsObjectView
      * @param {number} tint The color of the tint
      */
-    constructor(setupVisual, vectorPosition = Victor(0, 0), tint = 0xffffff)
+    constructor(body, setupVisual, tint = 0xffffff)
     {
         super();
 
-        // --Properties
-        
-        //-Collider
-        /**
-         * The collider radius of the base visual
-         * @type {number}
-         */
-        this.baseColliderRadius = 1;
-
         /**
-         * The collider radius of the complete physics object
-         * aka the base collider * scale
-         * @type {number}
+         * The physics object this is drawing
+         * @type {PhysicsObject}
          */
-        this.colliderRadius = 1;
-
-        //-Physics
-        /**@type {Victor}*/this.vectorPosition = vectorPosition;
-        /**@type {Victor}*/this.velocity = Victor(0, 0);
-        /**@type {Victor}*/this.momentOfAcceleration = Victor(0, 0);
+        this.body = body;
 
         //Set the color
         super.tint = tint;
@@ -138,8 +194,8 @@ class PhysicsObject extends PIXI.Graphics
         //Setup visual
         setupVisual(this);
 
-        //Add to the list of objects
-        OBJECTS.push(this);
+        //Add to the list of views
+        VIEWS.push(this);
     }
 
     /**
@@ -147,256 +203,481 @@ class PhysicsObject extends PIXI.Graphics
      */
     update()
     {
-        //Basic physics
-        this.velocity.add(this.momentOfAcceleration.clone().multiplyScalar(timeSpeed));
-        this.vectorPosition.add(this.velocity.clone().multiplyScalar(timeSpeed));
-
-        //Apply "friction"
-        this.velocity.subtract(this.velocity.clone().multiplyScalar(FRICTION * timeSpeed));
+        //Only drawn while in play
+        this.visible = this.body.active;
 
-        //Reset acceleration
-        this.momentOfAcceleration = Victor(0, 0);
+        //Interpolate between the last two physics steps
+        const interpolated = this.body.getInterpolatedPosition(physicsInterpolation);
+        this.position.set(interpolated.x, interpolated.y);
 
-        //Update the base pixi properties
-        this.updatePosition();
+        this.rotation = this.body.rotation;
+        this.scale.set(this.body.getScale());
     }
+}
+
+//#region Particles
+
+/**
+ * The settings for a burst of particles
+ * @typedef {object} ParticleEmitter
+ * @property {number} count How many particles in a burst
+ * @property {number} lifetime How many seconds (game time) each particle lasts
+ * @property {number} speedMin The slowest a particle can start
+ * @property {number} speedMax The fastest a particle can start
+ * @property {number} spread The angle (radians) particles spread out over, centered on the burst direction
+ * @property {number} size The radius of each particle
+ * @property {number} color The tint of the particles
+ * @property {boolean} fade Whether particles fade out over their lifetime
+ */
 
+/**
+ * A single pooled particle. Inactive ones are hidden until emitted again
+ */
+class Particle extends PIXI.Graphics
+{
     /**
-     * Updates this object's base pixi position with vector position
+     * Creates a new inactive Particle
      */
-    updatePosition()
+    constructor()
     {
-        this.position.set(this.vectorPosition.x, this.vectorPosition.y);
+        super();
+
+        //Unit circle that gets scaled to the emitter's size
+        super.beginFill(0xffffff);
+        super.drawCircle(0, 0, 1);
+        super.endFill();
+
+        /**@type {Victor}*/this.vectorPosition = Victor(0, 0);
+        /**@type {Victor}*/this.velocity = Victor(0, 0);
+
+        /**
+         * How many seconds this particle has been alive
+         * @type {number}
+         */
+        this.age = 0;
+
+        /**@type {number}*/this.lifetime = 0;
+        /**@type {boolean}*/this.fade = false;
+        /**@type {boolean}*/this.active = false;
+
+        super.visible = false;
     }
 
     /**
-     * Checks if this object collides with another
-     * @param {PhysicsObject} other The physics object to check collision with 
-     * @returns {boolean} TRUE if the objects are colliding
+     * Activates this particle with the specified values
+     * @param {ParticleEmitter} emitter The emitter settings
+     * @param {Victor} position Where the particle starts
+     * @param {Victor} velocity The starting velocity
+     * @param {number} color The tint of the particle
      */
-    isColliding(other)
+    emit(emitter, position, velocity, color)
     {
-        return isColliding(this.vectorPosition, this.colliderRadius,
-            other.vectorPosition, other.colliderRadius)
+        this.vectorPosition = position.clone();
+        this.velocity = velocity;
+        this.age = 0;
+        this.lifetime = emitter.lifetime;
+        this.fade = emitter.fade;
+        this.active = true;
+
+        this.tint = color;
+        this.alpha = 1;
+        this.scale.set(emitter.size);
+        this.visible = true;
+        this.position.set(position.x, position.y);
     }
 
     /**
-     * Returns whether or not this object is colliding with the specified point
-     * @param {Victor} point The vector position of the point to check collision with
-     * @returns {boolean} TRUE if the point is colliding with this object
+     * Moves and ages this particle, deactivating it when its lifetime is up
+     * @param {number} deltaTime The game seconds that passed
      */
-    isCollidingWithPoint(point)
+    update(deltaTime)
     {
-        return isCircleCollidingWithPoint(this.vectorPosition, this.colliderRadius, point);
+        this.age += deltaTime;
+        if(this.age >= this.lifetime)
+        {
+            this.active = false;
+            this.visible = false;
+            return;
+        }
+
+        //Move with a little drag
+        this.vectorPosition.add(this.velocity.clone().multiplyScalar(deltaTime));
+        this.velocity.subtract(this.velocity.clone().multiplyScalar(Math.min(1, FRICTION * deltaTime)));
+        this.position.set(this.vectorPosition.x, this.vectorPosition.y);
+
+        //Fade out
+        if(this.fade) this.alpha = 1 - this.age / this.lifetime;
     }
+}
+
+//#endregion
+
+//#region Obstacles
 
+/**
+ * The view of an orb
+ */
+class OrbView extends PhysicsObjectView
+{
     /**
-     * Sets the scale of the object and computes the collider radius
-     * @param {number} scale The scale amount to set the object to
+     * Creates a new OrbView
+     * @param {Orb} orb The orb to draw
+     * @param {number} visualRadius The radius of the circle being drawn
+     * @param {number} tint The color of the circle
      */
-    setScale(scale)
+    constructor(orb, visualRadius = orb.baseColliderRadius * 0.5, tint = 0x00ff00)
     {
-        super.scale.set(scale);
-        this.colliderRadius = this.baseColliderRadius * scale;
+        //Call the base constructor where it draws a circle
+        super(orb, phys =>
+        {
+            phys.beginFill(0xffffff);
+            phys.drawCircle(0, 0, visualRadius);
+            phys.endFill();
+        }, tint);
     }
+}
 
+/**
+ * The view of a spike
+ */
+class SpikeView extends PhysicsObjectView
+{
     /**
-     * Returns the scale of the object as a number (x component)
-     * @returns {number} The scale of the object as a number
+     * Creates a new SpikeView
+     * @param {Spike} spike The spike to draw
+     * @param {number} tint The color of the spike
      */
-    getScale()
+    constructor(spike, tint = 0xff4500)
     {
-        return super.scale.x;
+        //Draw the same triangle it collides as
+        super(spike, phys =>
+        {
+            phys.beginFill(0xffffff);
+            phys.drawPolygon(spike.baseColliderPolygon.flatMap(vertex => [vertex.x, vertex.y]));
+            phys.endFill();
+        }, tint);
     }
 }
 
-//#region Obstacles
+/**
+ * The color of gravity wells
+ * @type {number}
+ */
+const GRAVITY_WELL_TINT = 0xb266ff;
 
 /**
- * General physics objects that are procedurally placed such as orbs or spikes
- * @abstract
+ * The color of repulsors
+ * @type {number}
+ */
+const REPULSOR_TINT = 0x33ccff;
+
+/**
+ * How many rings a field is drawn with, they stack up towards the center to show it getting stronger
+ * @type {number}
+ */
+const FIELD_RINGS = 4;
+
+/**
+ * Draws a gravity well or repulsor, a solid core inside rings that fade out to the edge of its field
+ * @param {PIXI.Graphics} graphics What to draw it with
+ * @param {number} fieldRadius How far the field reaches before scaling
  */
-class Obstacle extends PhysicsObject
+const drawField = (graphics, fieldRadius) =>
 {
-    /**
-     * Creates a new Obstacle
-     * @param {Function} setupVisual A function of what to draw, requires 1 arg of PhysicsObject
-     * @param {Victor} vectorPosition The initial position (not for the visual, for the entire object)
-     * @param {number} colliderRadius The radius of the circle collider
-     * @param {number} tint The color of the tint
-     */
-    constructor(setupVisual, vectorPosition = Victor(0, 0), colliderRadius = 1, tint = 0xffffff)
+    for(let i = FIELD_RINGS; i > 0; i--)
     {
-        super(setupVisual, vectorPosition, tint);
+        graphics.beginFill(0xffffff, 0.08);
+        graphics.drawCircle(0, 0, fieldRadius * i / FIELD_RINGS);
+        graphics.endFill();
+    }
 
-        //Set the collider radius
-        super.baseColliderRadius = colliderRadius;
-        //Comput the collider radius
-        super.setScale(1);
+    //The edge of the field
+    graphics.lineStyle(1, 0xffffff, 0.5);
+    graphics.drawCircle(0, 0, fieldRadius);
+    graphics.lineStyle(0);
 
-        //Add to obstacle list
-        OBSTACLES.push(this);
-    }
+    graphics.beginFill(0xffffff);
+    graphics.drawCircle(0, 0, AREA_CORE_RADIUS);
+    graphics.endFill();
+}
 
+/**
+ * The view of a gravity well or repulsor
+ */
+class FieldView extends PhysicsObjectView
+{
     /**
-     * Updates this obstacle
+     * Creates a new FieldView
+     * @param {FieldObstacle} field The field to draw
+     * @param {number} tint The color of the field
      */
-    update()
+    constructor(field, tint = field instanceof GravityWell ? GRAVITY_WELL_TINT : REPULSOR_TINT)
     {
-        this.updatePosition();
-        
-        //Check if too low
-        if(this.vectorPosition.y > WAVE.y + 100)
-        {
-            //Respawn
-            this.respawn(CAMERA.nextCameraBound);
-        }
+        super(field, phys => drawField(phys, field.baseAreaRadius), tint);
     }
+}
+
+/**
+ * The color of slow zones
+ * @type {number}
+ */
+const SLOW_ZONE_TINT = 0x3366ff;
+
+/**
+ * The color of fast zones
+ * @type {number}
+ */
+const FAST_ZONE_TINT = 0xff9933;
+
+/**
+ * How many turns a time zone's hand makes each second of its time
+ * @type {number}
+ */
+const TIME_ZONE_HAND_SPEED = 0.5;
+
+/**
+ * Draws a time zone, a tinted area with a core at the center
+ * @param {PIXI.Graphics} graphics What to draw it with
+ * @param {number} areaRadius How far the zone reaches before scaling
+ */
+const drawTimeZone = (graphics, areaRadius) =>
+{
+    graphics.beginFill(0xffffff, 0.15);
+    graphics.lineStyle(2, 0xffffff, 0.6);
+    graphics.drawCircle(0, 0, areaRadius);
+    graphics.endFill();
+    graphics.lineStyle(0);
+
+    graphics.beginFill(0xffffff);
+    graphics.drawCircle(0, 0, AREA_CORE_RADIUS);
+    graphics.endFill();
+}
 
+/**
+ * The view of a slow or fast zone, its hand ticks around at the speed time runs in it
+ */
+class TimeZoneView extends PhysicsObjectView
+{
     /**
-     * Respawns this obstacle at a random location within the specified bounds with a random scale
-     * @param {PIXI.Rectangle} bounds The bounds to position this obstacle
-     * @param {number} scaleMin The minimum scale used to generate the random scale
-     * @param {number} scaleMax The maximum scale used to generate the random scale
+     * Creates a new TimeZoneView
+     * @param {TimeZone} timeZone The time zone to draw
+     * @param {number} tint The color of the zone
      */
-    respawn(bounds, scaleMin, scaleMax)
+    constructor(timeZone, tint = timeZone instanceof SlowZone ? SLOW_ZONE_TINT : FAST_ZONE_TINT)
     {
-        //Set a random position within the bounds
-        this.vectorPosition = randomRange2D(bounds);
-        //Update the base pixi pos or else there is a frame lag
-        this.updatePosition();
+        super(timeZone, phys => drawTimeZone(phys, timeZone.baseAreaRadius), tint);
 
-        //Set a random scale
-        this.setScale(randomRange(scaleMin, scaleMax));
+        /**
+         * The clock hand turning at the zone's speed
+         * @type {PIXI.Graphics}
+         */
+        this.hand = new PIXI.Graphics();
+        this.hand.lineStyle(3, 0xffffff, 0.6);
+        this.hand.moveTo(0, 0);
+        this.hand.lineTo(0, -timeZone.baseAreaRadius * 0.8);
+        this.addChild(this.hand);
     }
 
     /**
-     * Destroys this obstacle then respawns it
-     * @param {PIXI.Rectangle} bounds The bounds to respawn this obstacle in
-     * @param {Function} particleEffect The particle effect to play when this obstacle is destroyed
+     * Updates the view every frame, brighter while the player is in it
      */
-    destroy(bounds, particleEffect)
+    update()
     {
-        //Play particle effect
-        particleEffect(this);
+        super.update();
 
-        //Respawn
-        this.respawn(bounds);
+        this.hand.rotation += frameTimeSpeed * this.body.rate * TIME_ZONE_HAND_SPEED * TWO_PI;
+        this.alpha = this.body.isInArea(PLAYER.vectorPosition) ? 1 : 0.6;
     }
 }
 
 /**
- * The amount to boost the player by when they hit an orb
+ * The color of portals
  * @type {number}
  */
-const ORB_BOOST_MULTIPLIER = 1.2;
+const PORTAL_TINT = 0xff66ff;
 
 /**
- * A friendly object that adds flings and gives a boost
+ * Draws a portal, a ring with a notch on the side it faces. The momentum going through a pair turns by how differently they face
+ * @param {PIXI.Graphics} graphics What to draw it with
+ * @param {number} colliderRadius The radius of the portal before scaling
  */
-class Orb extends Obstacle
+const drawPortal = (graphics, colliderRadius) =>
 {
-    /**
-     * Creates a new Orb
-     * @param {Victor} vectorPosition The initial position (not for the visual, for the entire object)
-     * @param {number} visualRadius The radius of the circle being drawn
-     * @param {number} colliderRadius The radius of the circle collider
-     * @param {number} tint The color of the circle
-     */
-    constructor(vectorPosition = Victor(0, 0), visualRadius = 20, colliderRadius = visualRadius*2, tint = 0x00ff00)
-    {
-        //Call the base constructor where it draws a circle
-        super(phys =>
-        {
-            phys.beginFill(0xffffff);
-            phys.drawCircle(0, 0, visualRadius);
-            phys.endFill();
-        }, vectorPosition, colliderRadius, tint);
-
-        //Add to the list of orbs
-        ORBS.push(this);
-    }
+    graphics.beginFill(0xffffff, 0.25);
+    graphics.lineStyle(4, 0xffffff);
+    graphics.drawCircle(0, 0, colliderRadius);
+    graphics.endFill();
+    graphics.lineStyle(0);
+
+    graphics.beginFill(0xffffff);
+    graphics.drawPolygon([0, -colliderRadius - 10, -7, -colliderRadius + 2, 7, -colliderRadius + 2]);
+    graphics.endFill();
+}
 
+/**
+ * The view of a portal, faded out while it has nowhere safe to send the player
+ */
+class PortalView extends PhysicsObjectView
+{
     /**
-     * Respawns this orb at a random location within the specified bounds with a random scale
-     * @param {PIXI.Rectangle} bounds The bounds to position this orb in
+     * Creates a new PortalView
+     * @param {Portal} portal The portal to draw
+     * @param {number} tint The color of the portal
      */
-    respawn(bounds)
+    constructor(portal, tint = PORTAL_TINT)
     {
-        super.respawn(bounds, 0.5, 1);
+        super(portal, phys => drawPortal(phys, portal.baseColliderRadius), tint);
     }
 
     /**
-     * Destroys and respawns this orb
-     * @param {PIXI.Rectangle} bounds The bounds to respawn the orb within
+     * Updates the view every frame
      */
-    destroy(bounds)
+    update()
     {
-        //TODO: Particle effect
-        super.destroy(bounds, physObj =>
-        {
-            
-        });
+        super.update();
 
-        //Play sound
-        playSound(SFX_ID.Orb);
+        this.alpha = this.body.canTeleport() ? 1 : 0.35;
     }
 }
 
 /**
- * A spike that subtracts flings and bounces the player back
+ * The letter and color each POWER_UP_TYPE is shown with, in the world and on the HUD
  */
-class Spike extends Obstacle
+const POWER_UP_ICONS = Object.freeze
+({
+    [POWER_UP_TYPE.Shield]: { letter: "S", tint: 0x66ccff },
+    [POWER_UP_TYPE.Magnet]: { letter: "M", tint: 0xff3366 },
+    [POWER_UP_TYPE.DoubleBoost]: { letter: "B", tint: 0xffcc00 }
+});
+
+/**
+ * Draws the ring of a power-up, its letter is a separate label so it isn't tinted
+ * @param {PIXI.Graphics} graphics What to draw it with
+ * @param {number} colliderRadius The radius of the power-up before scaling
+ */
+const drawPowerUp = (graphics, colliderRadius) =>
+{
+    graphics.beginFill(0xffffff, 0.2);
+    graphics.lineStyle(3, 0xffffff);
+    graphics.drawCircle(0, 0, colliderRadius * 0.7);
+    graphics.endFill();
+    graphics.lineStyle(0);
+}
+
+/**
+ * Creates the label showing which power-up it is, centered
+ * @param {string} powerUpType The POWER_UP_TYPE
+ * @returns {PIXI.Text} The label
+ */
+const createPowerUpLabel = powerUpType =>
+{
+    const label = new PIXI.Text(POWER_UP_ICONS[powerUpType].letter, BOLD_TEXT_STYLE);
+    label.anchor.set(0.5);
+    label.scale.set(0.4);
+    return label;
+}
+
+/**
+ * The view of a power-up, which kind it is can change each time it is spawned
+ */
+class PowerUpView extends PhysicsObjectView
 {
     /**
-     * Creates a new Spike with the specified values
-     * @param {Victor} vectorPosition The initial position (not for the visual, for the entire object)
-     * @param {number} scaleAmount The amount to scale the initial visual by
-     * @param {number} colliderRadius The radius for the collider
-     * @param {number} tint The color of the spike
+     * Creates a new PowerUpView
+     * @param {PowerUp} powerUp The power-up to draw
      */
-    constructor(vectorPosition = Victor(0, 0), scaleAmount = 75, colliderRadius = scaleAmount*0.3, tint = 0xff4500)
+    constructor(powerUp)
     {
-        super(phys =>
-        {
-            //Create a triangle centered around 0,0
-            const halfScale = scaleAmount * 0.5;
-            phys.beginFill(0xffffff);
-            phys.drawPolygon([0, -halfScale, -halfScale, scaleAmount*0.333, halfScale, scaleAmount*0.333]);
-            phys.endFill();
-        }, vectorPosition, colliderRadius, tint);
+        super(powerUp, phys => drawPowerUp(phys, powerUp.baseColliderRadius));
 
-        //Add to the list of spikes
-        SPIKES.push(this);
+        /**
+         * The letter of the kind of power-up
+         * @type {PIXI.Text}
+         */
+        this.label = createPowerUpLabel(powerUp.powerUpType);
+        this.addChild(this.label);
     }
 
     /**
-     * Respawns the spike at a random location within the specified bounds with a random scale
-     * @param {PIXI.Rectangle} bounds The bounds to position the spike in
+     * Updates the view every frame, matching the kind of power-up
      */
-    respawn(bounds)
+    update()
     {
-        super.respawn(bounds, 0.5, 1);
+        super.update();
 
-        //Set a random rotation
-        super.rotation = random(TWO_PI);
+        const icon = POWER_UP_ICONS[this.body.powerUpType];
+        this.tint = icon.tint;
+        this.label.text = icon.letter;
     }
+}
+
+//#endregion
+
+//#region Editor
 
+/**
+ * The view of an obstacle in the level being edited, drawn the same as in the game
+ */
+class EditorObstacleView extends PIXI.Graphics
+{
     /**
-     * Destroys and respawns this spike
-     * @param {PIXI.Rectangle} bounds The bounds to respawn the spike within
+     * Creates a new EditorObstacleView
+     * @param {LevelObstacle} placed The obstacle in the level to draw
      */
-    destroy(bounds)
+    constructor(placed)
     {
-        //TODO: Particle effect
-        super.destroy(bounds, physObj =>
+        super();
+
+        /**
+         * The obstacle in the level this draws, edits to it show up on the next update
+         * @type {LevelObstacle}
+         */
+        this.placed = placed;
+
+        //Same shapes and colors as the views in the game
+        switch(placed.type)
         {
-            
-        });
+            case OBSTACLE_TYPE.Orb:
+                this.beginFill(0xffffff);
+                this.drawCircle(0, 0, ORB_COLLIDER_RADIUS * 0.5);
+                this.endFill();
+                this.tint = 0x00ff00;
+                break;
+            case OBSTACLE_TYPE.Spike:
+                this.beginFill(0xffffff);
+                this.drawPolygon(createSpikeTriangle(SPIKE_SIZE).flatMap(vertex => [vertex.x, vertex.y]));
+                this.endFill();
+                this.tint = 0xff4500;
+                break;
+            case OBSTACLE_TYPE.Portal:
+                drawPortal(this, PORTAL_COLLIDER_RADIUS);
+                this.tint = PORTAL_TINT;
+                break;
+            case OBSTACLE_TYPE.PowerUp:
+                drawPowerUp(this, POWER_UP_COLLIDER_RADIUS);
+                this.addChild(createPowerUpLabel(placed.powerUp));
+                this.tint = POWER_UP_ICONS[placed.powerUp].tint;
+                break;
+            case OBSTACLE_TYPE.GravityWell:
+            case OBSTACLE_TYPE.Repulsor:
+                drawField(this, FIELD_RADIUS);
+                this.tint = placed.type === OBSTACLE_TYPE.GravityWell ? GRAVITY_WELL_TINT : REPULSOR_TINT;
+                break;
+            default:
+                drawTimeZone(this, TIME_ZONE_RADIUS);
+                this.tint = placed.type === OBSTACLE_TYPE.SlowZone ? SLOW_ZONE_TINT : FAST_ZONE_TINT;
+                break;
+        }
+    }
 
-        //Play sound
-        playSound(SFX_ID.Orb);
-        playSound(SFX_ID.Spike);
+    /**
+     * Moves, rotates and scales the view to match the obstacle
+     */
+    update()
+    {
+        this.position.set(this.placed.x, this.placed.y);
+        this.rotation = this.placed.rotation;
+        this.scale.set(this.placed.scale);
     }
 }
 
@@ -404,11 +685,6 @@ class Spike extends Obstacle
 
 //#region Player
 
-/**
- * An "enum" for the player states
- */
-const PLAYER_STATE = Object.freeze({ Dead: 0, Idle: 1, Aiming: 2 , Tutorial: 3});
-
 /**
  * The amount of aiming balls to show.
  * Should be an even number so that the middle is the indicator
@@ -428,30 +704,25 @@ const INV_TOTAL_AIM_INDICATORS = 1 / (AIMING_BALLS_AMOUNT + 1);
 const AIM_INDICATOR_SCALE_RANGE = Victor(0.2, 1.2);
 
 /**
- * The minimum fling force to fling
- */
-const FLING_FORCE_MIN = 3500;
-
-/**
- * The amount of flings to start with
+ * How far outside the collider of the obstacle the fling would hit its highlight ring is drawn
+ * @type {number}
  */
-const STARTING_FLINGS = 5;
+const AIM_HIT_HIGHLIGHT_PADDING = 8;
 
 /**
- * The player of the game
+ * The view of the player, also runs the parts of the player that happen every frame (aiming, dying, tutorial)
  */
-class Player extends PhysicsObject
+class PlayerView extends PhysicsObjectView
 {
     /**
-     * Creates a new Player with the specified values
-     * @param {Victor} vectorPosition The initial position (not for the visual, for the entire object)
+     * Creates a new PlayerView with the specified values
+     * @param {Player} player The player to draw
      * @param {number} scaleAmount Amount to scale the initial visual by
-     * @param {number} colliderRadius The radius for the collider
      * @param {number} tint The color of the player
      */
-    constructor(vectorPosition = CAMERA_POSITION_DEFAULT.clone(), scaleAmount = 20, colliderRadius = scaleAmount*0.5, tint = 0x0000ff)
+    constructor(player, scaleAmount = player.baseColliderRadius * 2, tint = 0x0000ff)
     {
-        super(phys =>
+        super(player, phys =>
         {
             //Create square centered around 0,0
             phys.beginFill(0xffffff);
@@ -459,46 +730,16 @@ class Player extends PhysicsObject
             //Kind of weird how this uses x2 and y2 for the position (starts from the bottom right)
             phys.drawRect(negativeHalfScale, negativeHalfScale, scaleAmount, scaleAmount);
             phys.endFill();
-        }, vectorPosition, tint);
-
-        //Properties
-        /**
-         * The state of the player represented by the PLAYER_STATE enum
-         * @type {number}
-         */
-        this.playerState = PLAYER_STATE.Dead;
-
-        /**@type {number}*/this.flings = 0;
-
-        /**
-         * The direction to fling
-         * @type {Victor}
-         */
-        this.flingForce = Victor(0, 0);
+        }, tint);
 
         //Initialize aiming indicators
         this.initializeAimingIndicator();
 
-        //Set position
-        super.vectorPosition = vectorPosition;
-
-        //Set the collider radius
-        super.baseColliderRadius = colliderRadius;
-
-        //Comput the collider radius
-        this.setScale(1);
-    }
-
-    /**
-     * Resets the player to the starting values
-     */
-    reset()
-    {
-        this.playerState = PLAYER_STATE.Tutorial;
-        this.vectorPosition = CAMERA_POSITION_DEFAULT.clone();
-        this.velocity = Victor(0, 0);
-        this.setFlingAmount(STARTING_FLINGS);
-        this.flingForce = Victor(0, 0);
+        /**
+         * How many real seconds it has been since the goal of the level was reached
+         * @type {number}
+         */
+        this.finishedSeconds = 0;
     }
 
     //#region Aim Indicator
@@ -538,6 +779,14 @@ class Player extends PhysicsObject
 
         //Add number to the container at the end so it is on top
         this.aimingIndicator.addChild(this.aimingNumber);
+
+        /**
+         * The ring around the first orb or spike the fling would hit, in world space
+         * @type {PIXI.Graphics}
+         */
+        this.aimHitHighlight = new PIXI.Graphics();
+        this.aimHitHighlight.visible = false;
+        STAGE.addChild(this.aimHitHighlight);
     }
 
     /**
@@ -595,118 +844,69 @@ class Player extends PhysicsObject
 
     //#endregion
 
-    /**
-     * Bounces the player off the specified bound
-     * @param {number} bound The bound to bounce off of
-     */
-    bounce(bound)
-    {
-        this.vectorPosition.x = bound;
-        this.velocity.x *= -1;
-        playSound(SFX_ID.Back);
-    }
+    //#region FSM
 
     /**
-     * Sets the fling amount to the specified amount
-     * @param {number} amount The amount of flings to set it to
+     * Updates this player every frame
      */
-    setFlingAmount(amount)
+    update()
     {
-        //Clamp the amount
-        if(amount < 0) amount = 0;
+        //Interpolate the position first so anything following the player doesn't lag
+        super.update();
 
-        //Set the amount
-        this.flings = amount;
+        const player = this.body;
 
-        //Update the number indicator
-        this.aimingNumber.text = amount.toString();
-    }
+        //Face where the player is moving
+        this.rotation = player.velocity.angle();  
+        //Stretch based on speed
+        this.scale.set(1, lerp(0.65, 1, Math.min(Math.max(0, 1 - player.velocity.lengthSq() * 0.000001), 1)));  
 
-    //#region FSM
+        //Only show the aiming indicator while aiming
+        this.aimingIndicator.visible = player.playerState === PLAYER_STATE.Aiming;
+        this.aimHitHighlight.visible &&= this.aimingIndicator.visible;
+        this.aimingNumber.text = player.flings.toString();
 
-    /**
-     * Updates this player
-     */
-    update()
-    {
-        //Face where the player is moving
-        this.rotation = this.velocity.angle();  
-        //Stretch based on speed
-        this.scale.set(1, lerp(0.65, 1, Math.min(Math.max(0, 1 - this.velocity.lengthSq() * 0.000001), 1)));  
-
-        //FSM kind of, but transitions are activated by events
-        switch(this.playerState)
+        //Frame based parts of the FSM
+        switch(player.playerState)
         {
             case PLAYER_STATE.Dead:
                 this.whenDead();
                 break;
-            case PLAYER_STATE.Idle:
-                this.whenAlive();
-                break;
             case PLAYER_STATE.Aiming:
-                this.whenAlive();
                 this.whenAim();
                 break;
             case PLAYER_STATE.Tutorial:
                 this.whenTutorial();
                 break;
+            case PLAYER_STATE.Finished:
+                this.whenFinished();
+                break;
         }
-
-
-        //Apply gravity
-        this.momentOfAcceleration.add(GRAVITY.clone().multiplyScalar(timeSpeed));
-
-        //Bounce off the walls
-        if(this.vectorPosition.x < CAMERA.boundingRectangle.left) this.bounce(CAMERA.boundingRectangle.left);
-        else if(this.vectorPosition.x > CAMERA.boundingRectangle.right) this.bounce(CAMERA.boundingRectangle.right);
-
-        super.update();
     }
 
     //#region Aim
 
-    /**
-     * Starts aiming the player, fsm transition
-     */
-    onAim()
-    {
-        //If the player is dead, don't aim
-        if(this.playerState === PLAYER_STATE.Dead) return;
-
-        //Play sound
-        playSound(SFX_ID.Aim);
-
-        //Change time speed
-        targetGameSpeed = 0.02;
-
-        //Show aiming indicators
-        this.aimingIndicator.visible = true;
-
-        //Change state
-        this.playerState = PLAYER_STATE.Aiming;
-    }
-
     /**
      * Aiming tasks to be run every frame
      */
     whenAim()
     {
         //Calculate fling force for this frame
-        this.flingForce = mouseDownCanvasPosition.clone().subtract(mouseCanvasPosition);
+        this.body.flingForce = getAimFlingForce();
 
-        //Ease to the last indicator ball position in world space (not container space)
+        //Ease towards where the fling is aimed (not along the path, a long preview would pan too far)
         CAMERA.easeTo(
-            toVector(this.aimingIndicatorList[this.aimingIndicatorList.length - 1]).add(this.vectorPosition),
+            this.body.flingForce.clone().multiplyScalar(0.7).add(toVector(this.position)),
             CAMERA_ZOOM_AIMING, CAMERA_AIMING_EASING_FACTOR);
 
         //Update aiming indicators, if invalid, return
         if(this.updateAimingIndicator()) return;
 
         //Set direction to fling
-        this.rotation = this.flingForce.angle();
+        this.rotation = this.body.flingForce.angle();
 
         //Stretch based on predicted speed
-        this.scale.set(1, lerp(0.65, 1, Math.min(Math.max(0, 1 - this.flingForce.lengthSq() * 0.00001), 1)));  
+        this.scale.set(1, lerp(0.65, 1, Math.min(Math.max(0, 1 - this.body.flingForce.lengthSq() * 0.00001), 1)));  
     }
 
     /**
@@ -718,8 +918,13 @@ class Player extends PhysicsObject
         //Track to the player
         this.aimingIndicator.position = this.position;
 
-        //Scale the fling force to be more visible on screen
-        const aimingVector = this.flingForce.clone().multiplyScalar(0.7);
+        //Predict where the fling would really go, relative to the player since the container tracks it
+        const { path, hit } = WORLD.predictPath(this.body.vectorPosition, this.body.getFlingVelocity(),
+            Math.round(SETTINGS.trajectorySeconds / PHYSICS_TIMESTEP), this.body.colliderRadius);
+        const lastIndex = path.length - 1;
+
+        //Still scale with the fling force so weak flings have small indicators
+        const forceScale = Math.min(1, this.body.flingForce.magnitude() * 0.7 * 0.005);
 
         for(let i = 0; i < this.aimingIndicatorList.length; i++)
         {
@@ -728,14 +933,12 @@ class Player extends PhysicsObject
             //Calculate the lerp amount for this indicator
             const lerpAmount = INV_TOTAL_AIM_INDICATORS * (i + 1);
 
-            //A proportional linear interpolation between the player and the fling force
-            const lerpPosition = lerp2D(Victor(0, 0), aimingVector, lerpAmount);
-            indicator.position.set(lerpPosition.x, lerpPosition.y);
+            //Spread the indicators evenly over the predicted steps, the last one lands where the path ends
+            const pathPosition = path[Math.round((i + 1) / this.aimingIndicatorList.length * lastIndex)];
+            indicator.position.set(pathPosition.x - path[0].x, pathPosition.y - path[0].y);
 
             //Scale the indicator based on the inverted lerp and also scale based on the fling force magnitude
-            indicator.scale.set(
-                lerp(AIM_INDICATOR_SCALE_RANGE.x, AIM_INDICATOR_SCALE_RANGE.y, 1 - lerpAmount) *
-                Math.min(1, aimingVector.magnitude() * 0.005));
+            indicator.scale.set(lerp(AIM_INDICATOR_SCALE_RANGE.x, AIM_INDICATOR_SCALE_RANGE.y, 1 - lerpAmount) * forceScale);
 
             //Lerp the alpha as well
             indicator.alpha = lerp(0.3, 0.9, 1 - lerpAmount);
@@ -744,13 +947,23 @@ class Player extends PhysicsObject
             indicator.tint = 0xffff00;
         }
 
+        //Ring the first orb or spike in the way, green for a refill and red for a death
+        this.aimHitHighlight.visible = hit instanceof Orb || hit instanceof Spike;
+        if(this.aimHitHighlight.visible)
+        {
+            this.aimHitHighlight.clear();
+            this.aimHitHighlight.lineStyle(4, hit instanceof Orb ? 0x00ff00 : 0xff0000, 0.8);
+            this.aimHitHighlight.drawCircle(0, 0, hit.colliderRadius + AIM_HIT_HIGHLIGHT_PADDING);
+            this.aimHitHighlight.position.set(hit.vectorPosition.x, hit.vectorPosition.y);
+        }
+
         //Make sure the aiming number isn't too small and is opaque
         this.aimingNumber.scale.set(Math.max(0.5, this.aimingNumber.scale.x * 1.75));
         this.aimingNumber.alpha = 1;
 
         //If the fling force is too small, tint the number red
         this.aimingNumber.tint = 0xffffff;
-        const isInvalid = this.flingForce.lengthSq() < FLING_FORCE_MIN || this.flings == 0;
+        const isInvalid = !this.body.canFling();
         if(isInvalid) this.styleInvalidFling();
 
         //Return if the fling is invalid
@@ -759,140 +972,36 @@ class Player extends PhysicsObject
 
     //#endregion
 
-    //#region Alive and Idle
-
-    /**
-     * Tasks to be run every frame when the player is alive
-     */
-    whenAlive()
-    {
-        //Check collision with wave
-        if(WAVE.isColliding(this.vectorPosition))
-        {
-            this.onDeath();
-            return;//Don't bounce if already dead
-        }
-
-        //Check collisions with obstacles
-        this.checkCollisions();
-    }
-
-    /**
-     * Checks collisions with obstacles (orbs and spikes) and reacts accordingly
-     */
-    checkCollisions()
-    {
-        //Orbs
-        for(const orb of ORBS)
-        {
-            if(this.isColliding(orb))
-            {
-                //Get a lil boost
-                this.velocity = Victor(-this.velocity.x, -Math.abs(this.velocity.y) * ORB_BOOST_MULTIPLIER);
-
-                //Increase flings
-                this.setFlingAmount(this.flings + 1);
-
-                //Drestroy orb
-                orb.destroy(CAMERA.nextCameraBound);
-            }
-        }
-
-        //Spikes
-        for(const spike of SPIKES)
-        {
-            if(this.isColliding(spike))
-            {
-                //Knockback
-                this.velocity = this.velocity.clone().multiplyScalar(-0.5);
-
-                //Increase flings
-                this.setFlingAmount(this.flings - 1);
-
-                //Drestroy orb
-                spike.destroy(CAMERA.nextCameraBound);
-            }
-        }
-    }
+    //#region Death
 
     /**
-     * Flings the player, fsm transition
+     * Tasks to be run every frame when the player is dead
      */
-    onFling()
+    whenDead()
     {
-        //This could happen if you click outside of the canvas since I want it to be seamless for the player
-        if(this.playerState !== PLAYER_STATE.Aiming) return;
-
-        //Hide indicator and reset time
-        this.exitAiming();
-
-        //Change state
-        this.playerState = PLAYER_STATE.Idle;
-
-        //If the mouse is within the player's collider or no flings left, don't fling (cancel)
-        if(this.flingForce.lengthSq() < FLING_FORCE_MIN || this.flings == 0)
+        //Check if whole screen is white
+        if(WAVE_VIEW.y < CAMERA.boundingRectangle.top)
         {
-            playSound(SFX_ID.Spike);
-            return;
+            //Levels go back to where they were picked to try again
+            transitionFromGame();
         }
-
-        this.setFlingAmount(this.flings - 1);
-
-        //Play sound
-        playSound(SFX_ID.Fling);
-
-        //Fling the player
-        this.velocity = this.flingForce.clone().multiplyScalar(5);
-    }
-
-    /**
-     * Transitions out of aiming
-     */
-    exitAiming()
-    {
-        //Hide aiming indicators
-        this.aimingIndicator.visible = false;
-
-        //Time goes back to normal, also make it go back quicker so it feels more responsive
-        currentGameSpeed = 0.5;
-        targetGameSpeed = 1;
     }
 
     //#endregion
 
-    //#region Death
+    //#region Finished
 
     /**
-     * Kills the player, fsm transition
+     * Update tasks for after the goal of a level is reached
      */
-    onDeath()
+    whenFinished()
     {
-        //Change state
-        this.playerState = PLAYER_STATE.Dead;
-
-        //Transition out of aiming
-        this.exitAiming();
-
-        //Stop horizontal velocity
-        this.velocity.x = 0;
-
-        //Play sound
-        playSound(SFX_ID.Death);
-
-        //Record death height
-        recordDeathHeight(Math.ceil(this.vectorPosition.y * -0.1) + 100);
-    }
+        //Slow down to celebrate
+        targetGameSpeed = 0.2;
 
-    /**
-     * Tasks to be run every frame when the player is dead
-     */
-    whenDead()
-    {
-        //Check if whole screen is white
-        if(WAVE.y < CAMERA.boundingRectangle.top)
-        {
-            transitionToMenu();
-        }
+        //Then go back to where the level was picked
+        this.finishedSeconds += APP.ticker.elapsedMS * 0.001;
+        if(this.finishedSeconds > LEVEL_COMPLETE_SECONDS) transitionFromGame();
     }
 
     //#endregion
@@ -917,7 +1026,7 @@ class Player extends PhysicsObject
 //#endregion
 
 /**
- * A camera which can do basic panning and zooming
+ * A camera which can do basic panning and zooming, with shakes, zoom punches and look-ahead on top
  */
 class Camera
 {
@@ -941,16 +1050,52 @@ class Camera
         this.boundingRectangle = new PIXI.Rectangle(0, 0, 0, 0);
 
         /**
-         * The camera bound next frame up to be computed
-         * @type {PIXI.Rectangle}
+         * The bounds for the camera to stay within
+         * @type {Victor}
          */
-        this.nextCameraBound = new PIXI.Rectangle(0, 0, 0, 0);
+        this.xBounds = xBounds;
 
         /**
-         * The bounds for the camera to stay within
+         * How shaken the camera is (0-1), the shake grows with its square so small hits stay subtle
+         * @type {number}
+         */
+        this.trauma = 0;
+
+        /**
+         * Zoom added on top of the zoom by punches
+         * @type {number}
+         */
+        this.zoomPunch = 0;
+
+        /**
+         * How far ahead the camera is leading, eases to lookAheadTarget
          * @type {Victor}
          */
-        this.xBounds = xBounds;
+        this.lookAhead = Victor(0, 0);
+
+        /**
+         * How far ahead the camera should lead
+         * @type {Victor}
+         */
+        this.lookAheadTarget = Victor(0, 0);
+
+        /**
+         * How far the shake moves the camera this frame
+         * @type {Victor}
+         */
+        this.shakeOffset = Victor(0, 0);
+
+        /**
+         * The seconds the effects have been updated for, which the shake follows
+         * @type {number}
+         */
+        this.effectSeconds = 0;
+
+        /**
+         * The zoom the matrix was last computed with, including punches
+         * @type {number}
+         */
+        this.viewZoom = 1;
     }
 
     /**
@@ -982,13 +1127,57 @@ class Camera
         // this.zoomBy((targetZoom - this.zoom) * easingFactor);
     }
 
+    /**
+     * Adds to how shaken the camera is, stacking up to fully shaken
+     * @param {number} amount The trauma to add (0-1)
+     */
+    addTrauma = amount => this.trauma = Math.min(this.trauma + amount, 1);
+
+    /**
+     * Zooms in briefly, stacking with any punch that hasn't settled yet
+     * @param {number} amount The zoom to add
+     */
+    punchZoom = amount => this.zoomPunch = Math.min(this.zoomPunch + amount, CAMERA_ZOOM_PUNCH_MAX);
+
+    /**
+     * Stops all shakes, punches and look-ahead immediately
+     */
+    clearEffects()
+    {
+        this.trauma = 0;
+        this.zoomPunch = 0;
+        this.lookAhead = Victor(0, 0);
+        this.lookAheadTarget = Victor(0, 0);
+        this.shakeOffset = Victor(0, 0);
+    }
+
+    /**
+     * Decays the shakes and punches and eases the look-ahead. Should be given real time so
+     * slowing or stopping time doesn't freeze them
+     * @param {number} deltaSeconds The real seconds since the last update
+     */
+    updateEffects(deltaSeconds)
+    {
+        this.effectSeconds += deltaSeconds;
+        this.trauma = Math.max(this.trauma - CAMERA_TRAUMA_DECAY * deltaSeconds, 0);
+        this.zoomPunch *= Math.exp(-CAMERA_ZOOM_PUNCH_DECAY * deltaSeconds);
+        this.lookAhead = lerp2D(this.lookAhead, this.lookAheadTarget, 1 - Math.exp(-CAMERA_LOOK_AHEAD_EASING * deltaSeconds));
+
+        //Sines that never line up look like noise but stay smooth
+        const shake = CAMERA_SHAKE_MAX * this.trauma * this.trauma;
+        const time = this.effectSeconds * CAMERA_SHAKE_FREQUENCY * TWO_PI;
+        this.shakeOffset = Victor(
+            shake * (Math.sin(time) + Math.sin(time * 1.7 + 1.3)) * 0.5,
+            shake * (Math.sin(time * 1.3 + 0.7) + Math.sin(time * 2.3 + 2.1)) * 0.5);
+    }
+
     /**
      * Updates the camera matrix and applies it to the scene
      */
     update()
     {
-        //Compute the matrix and bounding rectangle
-        this.computeMatrix();
+        //Compute the matrix and bounding rectangle, shakes and punches are left out so they don't move where the camera rests
+        this.computeMatrix(false);
 
         //Clamp camera within bounds. If clamped, recompute the matrix bounding rectangle
         const overlapLeft = this.boundingRectangle.left - this.xBounds.x;
@@ -999,14 +1188,15 @@ class Camera
         if(overlapLeft < 0)
         {
             this.position.x -= overlapLeft;
-            this.computeMatrix();
         }
         else if(overlapRight > 0)
         {
             this.position.x -= overlapRight;
-            this.computeMatrix();
         }
 
+        //The matrix and bounding rectangle that are actually seen
+        this.computeMatrix();
+
         //Apply the matrix
         STAGE.transform.setFromMatrix(this.matrix);
     }
@@ -1026,22 +1216,23 @@ class Camera
         const topLeft = this.canvasToWorld(Victor(0, 0));
         const bottomRight = this.canvasToWorld(Victor(APP_SIZE.x, APP_SIZE.y));
         this.boundingRectangle = new PIXI.Rectangle(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
-
-        //The next "frame" to respawn obstacles in
-        this.nextCameraBound = CAMERA.boundingRectangle.clone();
-        this.nextCameraBound.y -= this.nextCameraBound.height;
     }
 
     /**
      * Computes the matrix to be applied to the stage setting the matrix
      * and bounding rectangle properties (it computes the bounding rectangle)
+     * @param {boolean} withShake Whether the shake and zoom punch are included (the look-ahead always is)
      */
-    computeMatrix()
+    computeMatrix(withShake = true)
     {
+        const position = this.position.clone().add(this.lookAhead);
+        if(withShake) position.add(this.shakeOffset);
+        this.viewZoom = withShake ? this.zoom + this.zoomPunch : this.zoom;
+
         //Create the matrix
         this.matrix.identity()
-            .translate(-this.position.x, -this.position.y)
-            .scale(this.zoom, this.zoom)
+            .translate(-position.x, -position.y)
+            .scale(this.viewZoom, this.viewZoom)
             .translate(APP_SIZE.x*0.5, APP_SIZE.y*0.5);
 
         //Update the bounding rectangle
@@ -1050,73 +1241,55 @@ class Camera
 }
 
 /**
- * @type {number} The speed of the wave
+ * How many straight lines the surface of the wave is drawn with
+ * @type {number}
  */
-const WAVE_SPEED = 200;
+const WAVE_VIEW_SEGMENTS = 40;
 
 /**
- * The white thing that approaches from below
+ * The view of the wave, redrawn every frame as its surface moves. Its y is the height of the wave
  */
-class Wave extends PIXI.Graphics
+class WaveView extends PIXI.Graphics
 {
     /**
-     * Creates a new Wave
+     * Creates a new WaveView
+     * @param {Wave} wave The wave to draw
      */
-    constructor()
+    constructor(wave)
     {
         super();
 
-        //Preform any resetting
-        this.reset();
-
-        //Scale to width of app, height is 2 * app height
-        super.scale.set(APP_SIZE.x, APP_SIZE.y * 2);
-
-        //Rectangle is a single unit wide and high
-        super.beginFill(0xffffff);
-        super.drawRect(0, 0, 1, 1);
-        super.endFill();
-
         /**
-         * The collider of the wave
-         * @type {PIXI.Rectangle}
+         * The wave this is drawing
+         * @type {Wave}
          */
-        this.bounds = new PIXI.Rectangle(this.x, this.y, super.scale.x, super.scale.y)
+        this.body = wave;
+
+        this.update();
     }
 
     /**
-     * Updates the wave
+     * Updates the wave visual every frame
      */
     update()
     {
-        //Move the wave
-        this.position.y -= WAVE_SPEED * timeSpeed;
-
-        //If the wave is too far below (when not aiming), move it up
-        if(PLAYER.playerState !== PLAYER_STATE.Aiming)
-            this.position.y = Math.min(this.position.y, CAMERA.boundingRectangle.bottom + 100)
+        const bounds = this.body.bounds;
+        const y = this.body.getInterpolatedY(physicsInterpolation);
+        this.position.set(bounds.x, y);
 
-        //Update the collider
-        this.bounds.y = this.y;
-    }
-
-    /**
-     * Returns whether the specified point is colliding with this wave
-     * @param {Victor} point The point to check collisions with
-     * @returns {boolean} TRUE if the point is colliding with this wave
-     */
-    isColliding(point)
-    {
-        return this.bounds.contains(point.x, point.y);
-    }
+        //The surface, relative to the height of the wave
+        const points = [];
+        for(let i = 0; i <= WAVE_VIEW_SEGMENTS; i++)
+        {
+            const x = bounds.width * i / WAVE_VIEW_SEGMENTS;
+            points.push(x, this.body.getInterpolatedSurfaceY(bounds.x + x, physicsInterpolation) - y);
+        }
+        points.push(bounds.width, bounds.height, 0, bounds.height);
 
-    /**
-     * Resets this wave
-     */
-    reset()
-    {
-        //Start below player
-        super.position.set(0, CAMERA_POSITION_DEFAULT.y + 300);
+        this.clear();
+        this.beginFill(0xffffff);
+        this.drawPolygon(points);
+        this.endFill();
     }
 }
 
@@ -1157,16 +1330,18 @@ class MenuItem extends PIXI.Text
          */
         this.targetScale = baseScale;
 
+        /**
+         * The function to call when the button is clicked
+         * @type {Function}
+         */
+        this.onClick = onClick;
+
         //Add the mouse events
         super.interactive = true;
         super.buttonMode = true;
 
         //The action
-        super.on("pointerup", () =>
-        {
-            onClick();
-            playSound(SFX_ID.Select);
-        });
+        super.on("pointerup", () => this.click());
 
         //Tweening and sfx
         super.on("pointerdown", () => this.targetScale = baseScale * 0.9);
@@ -1177,6 +1352,15 @@ class MenuItem extends PIXI.Text
         MENU_ITEMS.push(this);
     }
 
+    /**
+     * Does the action of this menu item, the same as clicking it
+     */
+    click()
+    {
+        this.onClick();
+        playSound(SFX_ID.Select);
+    }
+
     /**
      * Updates this menu item
      */
@@ -1218,23 +1402,42 @@ let GAME_CONTAINER_ELEMENT;
 //#region PIXI
 
 /**
- * A vector containing the width and height of the app (canvas element)
+ * The size the game is laid out for in canvas units, the app is never smaller than this
+ * @type {Victor}
+ */
+const APP_DESIGN_SIZE = Victor(500, 750);
+
+/**
+ * A vector containing the width and height of the app in canvas units. The width never changes
+ * since the walls don't, but the height grows to fill tall screens when expanding (see resizeApp)
  * @type {Victor}
  */
-const APP_SIZE = Victor(500, 750);
+const APP_SIZE = APP_DESIGN_SIZE.clone();
 
 /**
  * The pixi application
  * @type {PIXI.Application}
  */
-const APP = new PIXI.Application({width: APP_SIZE.x, height: APP_SIZE.y});
+const APP = new PIXI.Application({width: APP_SIZE.x, height: APP_SIZE.y, resolution: window.devicePixelRatio});
+
+/**
+ * An "enum" for how the app fits its container. Letterbox keeps the design size and leaves bars,
+ * expand shows more above and below on screens taller than the design size
+ */
+const SCALE_MODE = Object.freeze({ Letterbox: "letterbox", Expand: "expand" });
 
 /**
- * The position of the app on the page (client)
+ * The position of the app on the page (client). Recomputed when the page resizes or scrolls
  * @type {Victor}
  */
 let APP_CLIENT_POSITION;
 
+/**
+ * How many canvas units one client pixel is. Recomputed when the page resizes or scrolls
+ * @type {number}
+ */
+let APP_CLIENT_SCALE = 1;
+
 /**
  * The center of the app on the page (client)
  * You know, maybe I don't actually need this lol
@@ -1294,306 +1497,2566 @@ const CAMERA_AIMING_EASING_FACTOR = 0.05;
  */
 const CAMERA_SPEEDING_EASING_FACTOR = 0.3;
 
-//#endregion
-
-//#region Math
-
 /**
- * 90 degrees in radians. Straight up
+ * How far the camera moves at most when fully shaken
  * @type {number}
  */
-const PI_OVER_2 = Math.PI * 0.5;
+const CAMERA_SHAKE_MAX = 18;
 
 /**
- * 360 degrees in radians. Full circle
+ * Roughly how many times a second the shake changes direction
  * @type {number}
  */
-const TWO_PI = Math.PI * 2;
-
-//#endregion
+const CAMERA_SHAKE_FREQUENCY = 9;
 
-//#region Text and UI
+/**
+ * How much trauma the camera loses per real second
+ * @type {number}
+ */
+const CAMERA_TRAUMA_DECAY = 1;
 
 /**
- * The style for bold text
- * @type {PIXI.TextStyle}
+ * The trauma from hitting a spike
+ * @type {number}
  */
-let BOLD_TEXT_STYLE;
+const CAMERA_TRAUMA_SPIKE = 0.5;
 
 /**
- * The style for bold text
- * @type {PIXI.TextStyle}
+ * The trauma from dying
+ * @type {number}
  */
-let LIGHT_TEXT_STYLE;
+const CAMERA_TRAUMA_DEATH = 0.9;
 
 /**
- * The last height which the player died at
+ * The zoom punch from collecting an orb
  * @type {number}
  */
-let lastDeathHeight = 0;
+const CAMERA_ZOOM_PUNCH_ORB = 0.06;
 
 /**
- * The highest height which the player died at
+ * The most zoom that punches can stack up to
  * @type {number}
  */
-let highestDeathHeight = 0;
+const CAMERA_ZOOM_PUNCH_MAX = 0.2;
 
 /**
- * The label for the highest death height
- * @type {PIXI.Text}
+ * How fast zoom punches settle, the punch is divided by e every 1/this real seconds
+ * @type {number}
  */
-let HIGHEST_LABEL;
+const CAMERA_ZOOM_PUNCH_DECAY = 8;
 
 /**
- * The label for the most recent death height
- * @type {PIXI.Text}
+ * The speed (squared) the player has to be going before the camera leads them
+ * @type {number}
  */
-let LAST_HEIGHT_LABEL;
+const CAMERA_LOOK_AHEAD_SPEED_MIN_SQUARED = 1500 * 1500;
 
 /**
- * Sets the last death height to this one and overwrites highest if it is higher
- * @param {number} newHeight The new death height
+ * How many seconds of the player's movement the camera leads by
+ * @type {number}
  */
-const recordDeathHeight = newHeight =>
-{
-    lastDeathHeight = newHeight;
-    if(newHeight > highestDeathHeight) saveHighestsDeath(newHeight);
-}
+const CAMERA_LOOK_AHEAD_SECONDS = 0.12;
 
 /**
- * The prefix for local storage
- * @type {string}
+ * The farthest the camera leads the player
+ * @type {number}
  */
-const LS_PREFIX = "jmj2097-chronoFling-";
+const CAMERA_LOOK_AHEAD_MAX = 200;
 
 /**
- * The local storage key for the highest death height
+ * How fast the look-ahead eases, the distance left is divided by e every 1/this real seconds
+ * @type {number}
  */
-const LS_HIGHEST_DEATH = LS_PREFIX + "highestDeath";
+const CAMERA_LOOK_AHEAD_EASING = 4;
 
 /**
- * Saves the highest death height to local storage
- * @param {number} height The height to save
+ * Shakes the game camera, unless motion is reduced
+ * @param {number} trauma The trauma to add (0-1)
  */
-const saveHighestsDeath = height =>
+const shakeCamera = trauma =>
 {
-    highestDeathHeight = height;
-    localStorage.setItem(LS_HIGHEST_DEATH, highestDeathHeight.toString());
+    if(!SETTINGS.reducedMotion) CAMERA.addTrauma(trauma);
 }
 
 /**
- * Loads the highest death height from local storage
+ * Briefly zooms the game camera in, unless motion is reduced
+ * @param {number} amount The zoom to add
  */
-const loadHighestDeath = () =>
+const punchCamera = amount =>
 {
-    const saved = localStorage.getItem(LS_HIGHEST_DEATH);
-    if(saved) highestDeathHeight = parseInt(saved);
+    if(!SETTINGS.reducedMotion) CAMERA.punchZoom(amount);
 }
 
 //#endregion
 
-//#endregion
+//#region Text and UI
 
-//#region Managers
+/**
+ * The style for bold text
+ * @type {PIXI.TextStyle}
+ */
+let BOLD_TEXT_STYLE;
 
-//#region Physics Manager
+/**
+ * The style for bold text
+ * @type {PIXI.TextStyle}
+ */
+let LIGHT_TEXT_STYLE;
 
-/**@type {number} The game speed without being proccessed by delta time */
-let currentGameSpeed = 1;
+/**
+ * The heads up display for the game scene. Kept in screen space by undoing the camera every frame
+ * @type {PIXI.Container}
+ */
+let HUD;
+
+/**
+ * The bar showing how much rewind charge is left
+ * @type {PIXI.Graphics}
+ */
+let REWIND_METER;
+
+/**
+ * The bar showing how much chrono-energy is left for aiming
+ * @type {PIXI.Graphics}
+ */
+let CHRONO_ENERGY_METER;
+
+/**
+ * The icons of the power-ups, only the active ones are shown
+ * @type {Object<string, {icon: PIXI.Container, countdown: PIXI.Text}>}
+ */
+const POWER_UP_HUD_ICONS = {};
+
+/**
+ * The distance between power-up icons on the HUD
+ * @type {number}
+ */
+const HUD_POWER_UP_SPACING = 50;
+
+/**
+ * How many seconds before running out a power-up's icon starts blinking
+ * @type {number}
+ */
+const HUD_POWER_UP_BLINK_SECONDS = 2;
+
+/**
+ * The arrow and distance shown at the bottom of the screen while the wave is below it
+ * @type {PIXI.Container}
+ */
+let WAVE_INDICATOR;
+
+/**
+ * The distance to the wave on the wave indicator
+ * @type {PIXI.Text}
+ */
+let WAVE_INDICATOR_LABEL;
+
+/**
+ * The zone shown at the top of the screen while aiming with a pointer, letting go in it cancels the aim
+ * @type {PIXI.Graphics}
+ */
+let CANCEL_ZONE;
+
+/**
+ * The color of the wave indicator while the wave is surging
+ * @type {number}
+ */
+const WAVE_SURGE_TINT = 0xff3333;
+
+/**
+ * The size of HUD meters in screen space
+ * @type {Victor}
+ */
+const HUD_METER_SIZE = Victor(120, 8);
+
+/**
+ * The distance from the edge of the screen to HUD elements
+ * @type {number}
+ */
+const HUD_MARGIN = 16;
+
+/**
+ * The last height which the player died at
+ * @type {number}
+ */
+let lastDeathHeight = 0;
+
+/**
+ * The highest height which the player died at
+ * @type {number}
+ */
+let highestDeathHeight = 0;
+
+/**
+ * The label for the highest death height
+ * @type {PIXI.Text}
+ */
+let HIGHEST_LABEL;
+
+/**
+ * The label for the most recent death height
+ * @type {PIXI.Text}
+ */
+let LAST_HEIGHT_LABEL;
+
+/**
+ * The line across the world at the goal of the level, hidden when there isn't a level
+ * @type {PIXI.Container}
+ */
+let GOAL_VIEW;
+
+/**
+ * The buttons in the level select, one for each bundled level in the same order
+ * @type {MenuItem[]}
+ */
+const LEVEL_BUTTONS = [];
+
+/**
+ * The buttons in the settings scene, one for each setting option in the same order
+ * @type {MenuItem[]}
+ */
+const SETTING_BUTTONS = [];
+
+/**
+ * The button showing the seed of the most recent run
+ * @type {MenuItem}
+ */
+let SEED_BUTTON;
+
+/**
+ * The button to watch the replay of the highest run
+ * @type {MenuItem}
+ */
+let WATCH_BEST_BUTTON;
+
+/**
+ * The button to download the replay of the most recent run
+ * @type {MenuItem}
+ */
+let SAVE_REPLAY_BUTTON;
+
+/**
+ * The screen space toolbars of the editor. Kept in screen space by undoing the editor camera every frame
+ * @type {PIXI.Container}
+ */
+let EDITOR_UI;
+
+/**
+ * The bottom toolbar of the editor, moved to the bottom of the screen every frame
+ * @type {PIXI.Container}
+ */
+let EDITOR_FOOTER;
+
+/**
+ * The grid, walls and start of the level being edited, redrawn every frame to cover the editor camera
+ * @type {PIXI.Graphics}
+ */
+let EDITOR_GRID;
+
+/**
+ * Holds the views of the obstacles in the level being edited
+ * @type {PIXI.Container}
+ */
+let EDITOR_OBSTACLES;
+
+/**
+ * The ring drawn around the selected obstacle in the editor
+ * @type {PIXI.Graphics}
+ */
+let EDITOR_SELECTION_RING;
+
+/**
+ * The line across the world at the goal of the level being edited
+ * @type {PIXI.Container}
+ */
+let EDITOR_GOAL_VIEW;
+
+/**
+ * The editor's tool buttons, in the same order as the EDITOR_TOOL enum
+ * @type {MenuItem[]}
+ */
+const EDITOR_TOOL_BUTTONS = [];
+
+/**
+ * The button toggling snapping in the editor
+ * @type {MenuItem}
+ */
+let EDITOR_SNAP_BUTTON;
+
+/**
+ * The buttons showing and changing the level's name, wave speed, goal and starting flings
+ * @type {{name: MenuItem, waveSpeed: MenuItem, goalHeight: MenuItem, startingFlings: MenuItem}}
+ */
+const EDITOR_SETTING_BUTTONS = {};
+
+/**
+ * Sets the last death height to this one and overwrites highest if it is higher
+ * @param {number} newHeight The new death height
+ */
+const recordDeathHeight = newHeight =>
+{
+    lastDeathHeight = newHeight;
+    if(newHeight > highestDeathHeight) saveHighestsDeath(newHeight);
+}
+
+/**
+ * The prefix for local storage
+ * @type {string}
+ */
+const LS_PREFIX = "jmj2097-chronoFling-";
+
+/**
+ * The local storage key for the highest death height
+ */
+const LS_HIGHEST_DEATH = LS_PREFIX + "highestDeath";
+
+/**
+ * Saves the highest death height to local storage
+ * @param {number} height The height to save
+ */
+const saveHighestsDeath = height =>
+{
+    highestDeathHeight = height;
+    localStorage.setItem(LS_HIGHEST_DEATH, highestDeathHeight.toString());
+}
+
+/**
+ * Loads the highest death height from local storage
+ */
+const loadHighestDeath = () =>
+{
+    const saved = localStorage.getItem(LS_HIGHEST_DEATH);
+    if(saved) highestDeathHeight = parseInt(saved);
+}
+
+//#endregion
+
+//#endregion
+
+//#region Managers
+
+//#region Physics Manager
+
+/**@type {number} The game speed without being proccessed by delta time */
+let currentGameSpeed = 1;
 
 /**@type {number} The game speed being targeted (eased to) */
 let targetGameSpeed = 1;
 
-/**@type {number} The amount time should be progressing (game speed * delta time)*/
-let timeSpeed = 1;
+/**@type {number} The most physics steps that can run in one frame so a hitch can't snowball */
+const MAX_PHYSICS_STEPS_PER_FRAME = 8;
+
+/**@type {number} The simulated time (seconds) that hasn't been stepped through yet */
+let physicsAccumulator = 0;
+
+/**@type {number} How far (0-1) the current frame is between the last and next physics step */
+let physicsInterpolation = 1;
+
+/**@type {number} The game seconds that passed this frame (game speed * delta time), for visuals that don't need steps */
+let frameTimeSpeed = 0;
+
+/**@type {number} The amount of easing to apply to the time speed (per 60th of a second)*/
+const TIME_EASING_FACTOR = 0.1;
+
+/**@type {number} The frame length in ms that the time easing factor is tuned for */
+const TIME_EASING_REFERENCE_MS = 1000 / 60;
+
+/**
+ * Updates time speed and runs as many fixed physics steps as the elapsed simulated time allows
+ * @param {Function} fixedUpdate The function to call for each physics step
+ */
+const updatePhysicsManager = fixedUpdate =>
+{
+    //Ease to the target game speed, adjusted so it eases the same amount at any frame rate
+    const easing = 1 - Math.pow(1 - TIME_EASING_FACTOR, APP.ticker.elapsedMS / TIME_EASING_REFERENCE_MS);
+    currentGameSpeed = lerp(currentGameSpeed, targetGameSpeed, easing);
+
+    //Game speed scales how much simulated time passes, use elapsed SECONDS so convert from ms
+    frameTimeSpeed = currentGameSpeed * APP.ticker.elapsedMS * 0.001;
+    physicsAccumulator += frameTimeSpeed;
+
+    //Step through the accumulated time
+    let steps = 0;
+    while(physicsAccumulator >= PHYSICS_TIMESTEP && steps < MAX_PHYSICS_STEPS_PER_FRAME)
+    {
+        fixedUpdate();
+        physicsAccumulator -= PHYSICS_TIMESTEP;
+        steps++;
+    }
+
+    //If it hit the cap, drop the time that couldn't be simulated instead of catching up later
+    if(physicsAccumulator >= PHYSICS_TIMESTEP) physicsAccumulator %= PHYSICS_TIMESTEP;
+
+    //How far between steps the visuals should be
+    physicsInterpolation = physicsAccumulator / PHYSICS_TIMESTEP;
+}
+
+/**
+ * Resets the physics manager so leftover time from the last game isn't simulated
+ */
+const resetPhysicsManager = () =>
+{
+    physicsAccumulator = 0;
+    physicsInterpolation = 1;
+}
+
+//#endregion
+
+//#region Object Manager
+
+/**@type {World} The simulation the game scene draws */
+let WORLD;
+
+/**@type {Player} The player object */
+let PLAYER;
+
+/**@type {Wave} The wave */
+let WAVE;
+
+/**@type {PhysicsObjectView[]} The list of all physics object views in the game */
+const VIEWS = [];
+
+/**@type {PlayerView} The view of the player */
+let PLAYER_VIEW;
+
+/**@type {WaveView} The view of the wave */
+let WAVE_VIEW;
+
+/**
+ * The path of the difficulty table, tuned without touching the code
+ * @type {string}
+ */
+const DIFFICULTY_TABLE_PATH = "assets/data/difficulty.json";
+
+/**@type {Difficulty[]} The difficulty table the world spawns and speeds up the wave with */
+let DIFFICULTY_TABLE = DEFAULT_DIFFICULTY_TABLE;
+
+/**
+ * Loads the difficulty table, keeping the default one if it can't be loaded
+ */
+const loadDifficultyTable = async() =>
+{
+    try
+    {
+        const response = await fetch(DIFFICULTY_TABLE_PATH);
+        const table = parseDifficultyTable(await response.json());
+        if(!table) throw new Error("invalid table");
+
+        DIFFICULTY_TABLE = table;
+    }
+    catch(error)
+    {
+        console.warn(`Couldn't load ${DIFFICULTY_TABLE_PATH}, using the default difficulty`, error);
+    }
+}
+
+/**
+ * Creates the world and the views for its objects, should only be called once
+ * @param {Difficulty[]} difficultyTable The difficulty table the world uses
+ */
+const initializeOjects = difficultyTable =>
+{
+    WORLD = new World({ difficulty: difficultyTable });
+    PLAYER = WORLD.player;
+    WAVE = WORLD.wave;
+
+    //Generate views in the same order as the world so the player is drawn over obstacles, areas go under everything
+    for(const timeZone of WORLD.timeZones) new TimeZoneView(timeZone);
+    for(const field of WORLD.fields) new FieldView(field);
+    for(const portal of WORLD.portals) new PortalView(portal);
+    for(const powerUp of WORLD.powerUps) new PowerUpView(powerUp);
+    for(const orb of WORLD.orbs) new OrbView(orb);
+    for(const spike of WORLD.spikes) new SpikeView(spike);
+    PLAYER_VIEW = new PlayerView(PLAYER);
+    WAVE_VIEW = new WaveView(WAVE);
+
+    //Sounds, particles, time and replays react to what happens in the world
+    initializeWorldEvents();
+}
+
+/**
+ * Listens to the world's events, should only be called once
+ */
+const initializeWorldEvents = () =>
+{
+    //Aiming slows time
+    WORLD.on(SIMULATION_EVENT.Aim, () =>
+    {
+        recordInput(REPLAY_EVENT.Aim);
+        playSound(SFX_ID.Aim);
+        targetGameSpeed = 0.02;
+    });
+    WORLD.on(SIMULATION_EVENT.AimDenied, () => playSound(SFX_ID.Spike));
+
+    //Time goes back to normal, also make it go back quicker so it feels more responsive
+    WORLD.on(SIMULATION_EVENT.AimEnd, () =>
+    {
+        currentGameSpeed = 0.5;
+        targetGameSpeed = 1;
+    });
+
+    //Flings are recorded whether they launched or were cancelled
+    WORLD.on(SIMULATION_EVENT.Fling, player =>
+    {
+        recordInput(REPLAY_EVENT.Fling, player.flingForce);
+        playSound(SFX_ID.Fling);
+
+        //Trail behind the launch
+        emitParticles(PARTICLE_EMITTER.Fling, player.vectorPosition, player.flingForce.angle() + Math.PI, 0xffff00);
+    });
+    WORLD.on(SIMULATION_EVENT.FlingCancel, player =>
+    {
+        recordInput(REPLAY_EVENT.Fling, player.flingForce);
+        playSound(SFX_ID.Spike);
+    });
+
+    //Cancelling on purpose isn't a mistake so it gets a softer sound
+    WORLD.on(SIMULATION_EVENT.AimCancel, () =>
+    {
+        recordInput(REPLAY_EVENT.AimCancel);
+        playSound(SFX_ID.Back);
+    });
+
+    //Obstacles burst where they were hit, before they go out of play
+    WORLD.on(SIMULATION_EVENT.OrbHit, orb =>
+    {
+        emitParticles(PARTICLE_EMITTER.Orb, orb.vectorPosition);
+        playSound(SFX_ID.Orb);
+        punchCamera(CAMERA_ZOOM_PUNCH_ORB);
+    });
+    WORLD.on(SIMULATION_EVENT.SpikeHit, spike =>
+    {
+        emitParticles(PARTICLE_EMITTER.Spike, spike.vectorPosition);
+        playSound(SFX_ID.Orb);
+        playSound(SFX_ID.Spike);
+        shakeCamera(CAMERA_TRAUMA_SPIKE);
+    });
+
+    //Power-ups burst in their color, the shield in the player's
+    WORLD.on(SIMULATION_EVENT.PowerUpCollected, powerUp =>
+    {
+        emitParticles(PARTICLE_EMITTER.Orb, powerUp.vectorPosition, 0, POWER_UP_ICONS[powerUp.powerUpType].tint);
+        playSound(SFX_ID.Orb);
+    });
+    WORLD.on(SIMULATION_EVENT.ShieldBreak, player =>
+    {
+        emitParticles(PARTICLE_EMITTER.Orb, player.vectorPosition, 0, POWER_UP_ICONS[POWER_UP_TYPE.Shield].tint);
+        playSound(SFX_ID.Back);
+    });
+
+    //Warn that the wave is catching up
+    WORLD.on(SIMULATION_EVENT.WaveSurge, () => playSound(SFX_ID.Swipe));
+
+    //Burst out of both ends, the camera jumps the same as the player so it doesn't ease across the whole gap
+    WORLD.on(SIMULATION_EVENT.PortalEnter, portal =>
+    {
+        playSound(SFX_ID.Swipe);
+        emitParticles(PARTICLE_EMITTER.Portal, portal.vectorPosition);
+        emitParticles(PARTICLE_EMITTER.Portal, portal.partner.vectorPosition);
+
+        CAMERA.panBy(portal.partner.vectorPosition.clone().subtract(portal.vectorPosition));
+        CAMERA.update();
+    });
+
+    //Spray away from the wall
+    WORLD.on(SIMULATION_EVENT.Bounce, player =>
+    {
+        playSound(SFX_ID.Back);
+        emitParticles(PARTICLE_EMITTER.Bounce, player.vectorPosition, player.velocity.x > 0 ? 0 : Math.PI, PLAYER_VIEW.tint);
+    });
+
+    WORLD.on(SIMULATION_EVENT.Death, player =>
+    {
+        playSound(SFX_ID.Death);
+        shakeCamera(CAMERA_TRAUMA_DEATH);
+
+        //Splash into the wave
+        emitParticles(PARTICLE_EMITTER.Death, player.vectorPosition, -PI_OVER_2, PLAYER_VIEW.tint);
+
+        //Record death height and the run, unless this is just a replay of an old run
+        if(isReplaying()) return;
+        const height = getHeightInMeters(player.vectorPosition.y);
+        finishRecording(height);
+
+        //Levels don't count towards the farthest reached
+        if(!currentLevel) recordDeathHeight(height);
+    });
+
+    WORLD.on(SIMULATION_EVENT.LevelComplete, player =>
+    {
+        playSound(SFX_ID.Orb);
+        emitParticles(PARTICLE_EMITTER.Orb, player.vectorPosition);
+        PLAYER_VIEW.finishedSeconds = 0;
+
+        if(isReplaying()) return;
+        finishRecording(getHeightInMeters(player.vectorPosition.y));
+
+        //Testing a level in the editor doesn't complete anything
+        if(currentLevel.id !== null) completeLevel(currentLevel.id);
+    });
+
+    //Levels can need more obstacles than there are, draw them under the player like the rest (and areas under everything)
+    WORLD.on(SIMULATION_EVENT.ObstacleCreated, obstacle =>
+    {
+        const gameScene = getScene(SCENE_ID.Game);
+        if(obstacle instanceof AreaObstacle)
+        {
+            gameScene.addChildAt(obstacle instanceof TimeZone ? new TimeZoneView(obstacle) : new FieldView(obstacle), 0);
+            return;
+        }
+
+        const view = obstacle instanceof Orb ? new OrbView(obstacle) :
+            obstacle instanceof Portal ? new PortalView(obstacle) :
+            obstacle instanceof PowerUp ? new PowerUpView(obstacle) : new SpikeView(obstacle);
+        gameScene.addChildAt(view, gameScene.getChildIndex(PLAYER_VIEW));
+    });
+
+    //Show that time is going backwards
+    WORLD.on(SIMULATION_EVENT.RewindStart, () =>
+    {
+        recordInput(REPLAY_EVENT.RewindStart);
+        playSound(SFX_ID.Back);
+        APP.renderer.backgroundColor = REWIND_BACKGROUND_COLOR;
+    });
+    WORLD.on(SIMULATION_EVENT.RewindDenied, () => playSound(SFX_ID.Spike));
+    WORLD.on(SIMULATION_EVENT.RewindEnd, () =>
+    {
+        recordInput(REPLAY_EVENT.RewindEnd);
+        APP.renderer.backgroundColor = 0x000000;
+    });
+}
+
+/**
+ * Updates all views every frame
+ */
+const updateObjects = () =>
+{
+    //Update all views
+    for(const view of VIEWS)
+    {
+        view.update();
+    }
+
+    //Update the wave
+    WAVE_VIEW.update();
+}
+
+//#endregion
+
+//#region Particle Manager
+
+/**
+ * The most particles that can be alive at once
+ * @type {number}
+ */
+const PARTICLE_POOL_SIZE = 300;
+
+/**
+ * The emitter settings for each effect in the game
+ */
+const PARTICLE_EMITTER = Object.freeze
+({
+    /**@type {ParticleEmitter}*/
+    Orb: { count: 16, lifetime: 0.5, speedMin: 100, speedMax: 400, spread: TWO_PI, size: 4, color: 0x00ff00, fade: true },
+    /**@type {ParticleEmitter}*/
+    Spike: { count: 12, lifetime: 0.6, speedMin: 150, speedMax: 500, spread: TWO_PI, size: 5, color: 0xff4500, fade: true },
+    /**@type {ParticleEmitter}*/
+    Death: { count: 40, lifetime: 1.2, speedMin: 200, speedMax: 900, spread: Math.PI * 0.75, size: 6, color: 0x0000ff, fade: true },
+    /**@type {ParticleEmitter}*/
+    Fling: { count: 10, lifetime: 0.3, speedMin: 100, speedMax: 300, spread: Math.PI * 0.4, size: 3, color: 0xffff00, fade: true },
+    /**@type {ParticleEmitter}*/
+    Bounce: { count: 6, lifetime: 0.25, speedMin: 100, speedMax: 250, spread: Math.PI * 0.6, size: 3, color: 0xffffff, fade: true },
+    /**@type {ParticleEmitter}*/
+    Portal: { count: 12, lifetime: 0.4, speedMin: 80, speedMax: 250, spread: TWO_PI, size: 4, color: PORTAL_TINT, fade: true }
+});
+
+/**
+ * The pool of particles
+ * @type {Particle[]}
+ */
+const PARTICLES = [];
+
+/**
+ * The container all particles are drawn in
+ * @type {PIXI.Container}
+ */
+const PARTICLE_CONTAINER = new PIXI.Container();
+
+/**
+ * Creates the particle pool, should only be called once
+ */
+const initializeParticles = () =>
+{
+    for(let i = 0; i < PARTICLE_POOL_SIZE; i++)
+    {
+        const particle = new Particle();
+        PARTICLES.push(particle);
+        PARTICLE_CONTAINER.addChild(particle);
+    }
+}
+
+/**
+ * Emits a burst of particles. Uses Math.random rather than the seeded random since
+ * particles are only visual and shouldn't change the layout
+ * @param {ParticleEmitter} emitter The emitter settings
+ * @param {Victor} position Where the burst starts
+ * @param {number} direction The angle (radians) the burst goes in
+ * @param {number} color The tint of the particles, defaults to the emitter's color
+ */
+const emitParticles = (emitter, position, direction = 0, color = emitter.color) =>
+{
+    let emitted = 0;
+    for(const particle of PARTICLES)
+    {
+        if(emitted >= emitter.count) break;
+        if(particle.active) continue;
+
+        //Random direction within the spread and random speed
+        const angle = direction + (Math.random() - 0.5) * emitter.spread;
+        const speed = lerp(emitter.speedMin, emitter.speedMax, Math.random());
+        particle.emit(emitter, position, Victor(Math.cos(angle) * speed, Math.sin(angle) * speed), color);
+        emitted++;
+    }
+}
+
+/**
+ * Updates all active particles on game time, so they freeze while time is stopped
+ */
+const updateParticles = () =>
+{
+    for(const particle of PARTICLES)
+    {
+        if(particle.active) particle.update(frameTimeSpeed);
+    }
+}
+
+/**
+ * Hides all particles
+ */
+const resetParticles = () =>
+{
+    for(const particle of PARTICLES)
+    {
+        particle.active = false;
+        particle.visible = false;
+    }
+}
+
+//#endregion
+
+//#region Settings Manager
+
+/**
+ * The local storage key for the settings
+ */
+const LS_SETTINGS = LS_PREFIX + "settings";
+
+/**
+ * The player's settings, saved to local storage. These are the defaults until loaded
+ */
+const SETTINGS =
+{
+    scaleMode: SCALE_MODE.Letterbox,
+    reducedMotion: window.matchMedia("(prefers-reduced-motion: reduce)").matches,
+    stickDeadzone: 0.15,
+    aimSensitivity: 1,
+    trajectorySeconds: 1
+};
+
+/**
+ * @typedef {Object} SettingOption
+ * @property {string} key The key of the setting in SETTINGS
+ * @property {string} label The name shown on its button
+ * @property {any[]} values The values the button cycles through
+ * @property {(value: any) => string} format Turns a value into the text shown on its button
+ * @property {Function} [onChange] Called after the setting changes
+ */
+
+/**
+ * The settings that can be changed in the settings scene, in the order they are listed
+ * @type {SettingOption[]}
+ */
+const SETTING_OPTIONS =
+[
+    {
+        key: "scaleMode",
+        label: "Screen",
+        values: Object.values(SCALE_MODE),
+        format: value => value === SCALE_MODE.Letterbox ? "Fit" : "Fill",
+        onChange: () => resizeApp()
+    },
+    {
+        key: "reducedMotion",
+        label: "Reduced motion",
+        values: [false, true],
+        format: value => value ? "On" : "Off",
+        onChange: () => CAMERA.clearEffects()
+    },
+    {
+        key: "stickDeadzone",
+        label: "Stick deadzone",
+        values: [0.05, 0.1, 0.15, 0.2, 0.25, 0.3],
+        format: value => `${Math.round(value * 100)}%`
+    },
+    {
+        key: "aimSensitivity",
+        label: "Stick sensitivity",
+        values: [0.5, 0.75, 1, 1.25, 1.5, 2],
+        format: value => `${value}x`
+    },
+    {
+        key: "trajectorySeconds",
+        label: "Aim preview",
+        values: [0.5, 1, 1.5, 2],
+        format: value => `${value}s`
+    }
+];
+
+/**
+ * Saves the settings to local storage
+ */
+const saveSettings = () => localStorage.setItem(LS_SETTINGS, JSON.stringify(SETTINGS));
+
+/**
+ * Loads the settings from local storage, anything missing or no longer an option keeps its default
+ */
+const loadSettings = () =>
+{
+    let saved;
+    try
+    {
+        saved = JSON.parse(localStorage.getItem(LS_SETTINGS));
+    }
+    catch
+    {
+        return;
+    }
+    if(saved === null || typeof saved !== "object") return;
+
+    for(const { key, values } of SETTING_OPTIONS)
+    {
+        if(values.includes(saved[key])) SETTINGS[key] = saved[key];
+    }
+}
+
+/**
+ * Returns the text shown on a setting's button
+ * @param {SettingOption} option The setting
+ * @returns {string} Its label and current value
+ */
+const getSettingText = option => `${option.label}: ${option.format(SETTINGS[option.key])}`;
+
+/**
+ * Changes a setting to the next of its values (wrapping around) and saves it
+ * @param {SettingOption} option The setting to change
+ */
+const cycleSetting = option =>
+{
+    const index = option.values.indexOf(SETTINGS[option.key]);
+    SETTINGS[option.key] = option.values[(index + 1) % option.values.length];
+    saveSettings();
+    option.onChange?.();
+}
+
+//#endregion
+
+//#region Screen Manager
+
+/**
+ * Fits the app to its container using the scale mode setting and renders it at the screen's pixel density
+ */
+const resizeApp = () =>
+{
+    //The space inside the container's padding
+    const style = window.getComputedStyle(GAME_CONTAINER_ELEMENT);
+    const availableWidth = GAME_CONTAINER_ELEMENT.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+    const availableHeight = GAME_CONTAINER_ELEMENT.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+
+    //Hidden or collapsed, keep the last size
+    if(availableWidth <= 0 || availableHeight <= 0) return;
+
+    //Expanding only ever adds height, a wide screen gets bars either way since the walls can't move
+    APP_SIZE.y = SETTINGS.scaleMode === SCALE_MODE.Expand
+        ? Math.max(APP_DESIGN_SIZE.y, Math.round(APP_SIZE.x * availableHeight / availableWidth))
+        : APP_DESIGN_SIZE.y;
+
+    //Scale the canvas up or down to fit, then give it enough pixels to stay sharp at that size
+    const clientSize = Math.min(availableWidth / APP_SIZE.x, availableHeight / APP_SIZE.y);
+    APP.renderer.resolution = window.devicePixelRatio * clientSize;
+    APP.renderer.resize(APP_SIZE.x, APP_SIZE.y);
+    APP.view.style.width = `${APP_SIZE.x * clientSize}px`;
+    APP.view.style.height = `${APP_SIZE.y * clientSize}px`;
+
+    updateAppClientPosition();
+}
+
+/**
+ * Recomputes where the app is on the page and how big it is drawn there
+ */
+const updateAppClientPosition = () =>
+{
+    const bounds = APP.view.getBoundingClientRect();
+    APP_CLIENT_POSITION = Victor(bounds.x, bounds.y);
+    APP_CLIENT_SCALE = APP_SIZE.x / bounds.width;
+    APP_CLIENT_CENTER = Victor(bounds.x + bounds.width * 0.5, bounds.y + bounds.height * 0.5);
+}
+
+/**
+ * Converts a position on the page (client) to a position on the canvas
+ * @param {number} clientX The x position on the page
+ * @param {number} clientY The y position on the page
+ * @returns {Victor} The position in canvas units
+ */
+const clientToCanvas = (clientX, clientY) => Victor(clientX, clientY).subtract(APP_CLIENT_POSITION).multiplyScalar(APP_CLIENT_SCALE);
+
+/**
+ * Keeps the app fitted to the page as it resizes, scrolls or moves to a screen with a different pixel density
+ */
+const initializeScreenManager = () =>
+{
+    resizeApp();
+
+    window.addEventListener("resize", resizeApp);
+
+    //Scrolling anything the canvas is inside of moves it on the page
+    window.addEventListener("scroll", updateAppClientPosition, true);
+
+    //Only matches the current density, so listen again each time it changes
+    const watchPixelRatio = () => window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`)
+        .addEventListener("change", () =>
+        {
+            resizeApp();
+            watchPixelRatio();
+        }, { once: true });
+    watchPixelRatio();
+}
+
+//#endregion
+
+//#region Input Manager
+
+/**
+ * The position of the mouse in client space (the entire website)
+ * @type {Victor}
+ */
+let mouseClientPosition = Victor(0, 0);
+
+/**
+ * The position of the mouse in canvas space (the canvas object)
+ * @type {Victor}
+ */
+let mouseCanvasPosition = Victor(0, 0);
+
+/**
+ * The position of the mouse in world space (takes into account the camera)
+ * @type {Victor}
+ */
+let mouseWorldPosition = Victor(0, 0);
+
+/**
+ * The id of the pointer that is aiming (the first one pressed), null if there isn't one.
+ * Other pointers can't move or release the aim
+ * @type {number | null}
+ */
+let aimPointerId = null;
+
+/**
+ * The position of the mouse when it was last pressed in canvas space
+ * @type {Victor}
+ */
+let mouseDownCanvasPosition = Victor(0, 0);
+
+/**
+ * The position of the mouse when it was last released in canvas space
+ * @type {Victor}
+ */
+let mouseUpCanvasPosition = Victor(0, 0);
+
+/**
+ * The id of the second pointer (touch), null if there isn't one. Pressing it cancels
+ * the aim and holding it rewinds
+ * @type {number | null}
+ */
+let rewindPointerId = null;
+
+/**
+ * The real seconds the second pointer has been held for
+ * @type {number}
+ */
+let rewindPointerSeconds = 0;
+
+/**
+ * How many real seconds the second pointer has to be held before it rewinds, so a tap only cancels
+ * @type {number}
+ */
+const REWIND_POINTER_HOLD_SECONDS = 0.25;
+
+/**
+ * The radius of the zone at the top of the screen that cancels the aim when the pointer is let go in it
+ * @type {number}
+ */
+const CANCEL_ZONE_RADIUS = 36;
+
+/**
+ * The center of the cancel zone in canvas space
+ * @type {Victor}
+ */
+const CANCEL_ZONE_POSITION = Victor(APP_DESIGN_SIZE.x * 0.5, HUD_MARGIN + CANCEL_ZONE_RADIUS);
+
+/**
+ * An "enum" for what is aiming the player
+ */
+const AIM_SOURCE = Object.freeze({ Pointer: 0, Gamepad: 1, Keyboard: 2 });
+
+/**
+ * What started the current aim, only meaningful while the player is aiming
+ * @type {number | null}
+ */
+let aimSource = null;
+
+/**
+ * The buttons of a standard gamepad (https://w3c.github.io/gamepad/#remapping)
+ */
+const GAMEPAD_BUTTON = Object.freeze
+({
+    A: 0,
+    LeftTrigger: 6,
+    RightTrigger: 7,
+    Up: 12,
+    Down: 13,
+    Left: 14,
+    Right: 15
+});
+
+/**
+ * The fling force when a stick is pushed all the way at normal sensitivity, about a long drag
+ * @type {number}
+ */
+const STICK_FLING_FORCE_MAX = 400;
+
+/**
+ * How many real seconds holding an arrow key takes to push the keyboard's stick all the way
+ * @type {number}
+ */
+const KEYBOARD_AIM_SECONDS = 0.6;
+
+/**
+ * The direction each arrow key pushes the keyboard's stick
+ * @type {Object<string, Victor>}
+ */
+const ARROW_KEY_DIRECTIONS = Object.freeze
+({
+    ArrowUp: Victor(0, -1),
+    ArrowDown: Victor(0, 1),
+    ArrowLeft: Victor(-1, 0),
+    ArrowRight: Victor(1, 0)
+});
+
+/**
+ * The left stick of the gamepad, x and y between -1 and 1 with down being positive like the canvas
+ * @type {Victor}
+ */
+let gamepadStick = Victor(0, 0);
+
+/**
+ * Which gamepad buttons were held when it was last polled, to find presses and releases
+ * @type {boolean[]}
+ */
+let gamepadButtonsHeld = [];
+
+/**
+ * The stick the arrow keys push while aiming with the keyboard, it stays where it is when they are let go
+ * @type {Victor}
+ */
+let keyboardStick = Victor(0, 0);
+
+/**
+ * The arrow keys that are held
+ * @type {Set<string>}
+ */
+const heldArrowKeys = new Set();
+
+/**
+ * The menu item picked with the d-pad or arrow keys, null until one is picked
+ * @type {MenuItem | null}
+ */
+let focusedMenuItem = null;
+
+/**
+ * Initializes input related tasks 
+ */
+const initializeInputManager = () =>
+{
+    //Update the mouse position on move (over anything)
+    document.onpointermove = e =>
+    {
+        //Only the aiming pointer moves the aim
+        if(aimPointerId !== null && e.pointerId !== aimPointerId) return;
+
+        mouseClientPosition = Victor(e.clientX, e.clientY);
+        mouseCanvasPosition = clientToCanvas(e.clientX, e.clientY);
+
+        if(currentScene === SCENE_ID.Editor) onEditorPointerMove();
+    };
+
+    //When mouse down (only over canvas)
+    APP.view.onpointerdown = e =>
+    {
+        //Stop from dragging on text
+        e.preventDefault();
+
+        //The editor uses the pointer for editing
+        if(currentScene === SCENE_ID.Editor)
+        {
+            onEditorPointerDown(e);
+            return;
+        }
+
+        //The replay is in control
+        if(isReplaying()) return;
+
+        //A second touch cancels the aim, and rewinds if it is held (see updateInputManager). Any more are ignored
+        if(aimPointerId !== null)
+        {
+            if(rewindPointerId !== null) return;
+
+            rewindPointerId = e.pointerId;
+            rewindPointerSeconds = 0;
+            cancelAim(AIM_SOURCE.Pointer);
+            return;
+        }
+
+        aimPointerId = e.pointerId;
+
+        //Position when pressed, a touch doesn't move there before it presses
+        mouseDownCanvasPosition = clientToCanvas(e.clientX, e.clientY);
+        mouseCanvasPosition = mouseDownCanvasPosition.clone();
+
+        //Begin aiming
+        startAim(AIM_SOURCE.Pointer);
+    };
+
+    //When mouse up (over anything)
+    document.onpointerup = e =>
+    {
+        //Stop from dragging on text
+        e.preventDefault();
+
+        if(currentScene === SCENE_ID.Editor)
+        {
+            onEditorPointerUp();
+            return;
+        }
+
+        //The replay is in control
+        if(isReplaying()) return;
+
+        //Letting go of the second touch stops rewinding
+        if(e.pointerId === rewindPointerId)
+        {
+            rewindPointerId = null;
+            PLAYER.onRewindEnd();
+            return;
+        }
+
+        if(e.pointerId !== aimPointerId) return;
+        aimPointerId = null;
+
+        //Position when pressed
+        mouseUpCanvasPosition = clientToCanvas(e.clientX, e.clientY);
+
+        //Fling the player, unless let go in the cancel zone
+        if(isInCancelZone(mouseUpCanvasPosition)) cancelAim(AIM_SOURCE.Pointer);
+        else releaseAim(AIM_SOURCE.Pointer);
+    };
+
+    //The browser took the pointer (like for a gesture), so it will never be let go
+    document.onpointercancel = e =>
+    {
+        if(currentScene === SCENE_ID.Editor)
+        {
+            onEditorPointerUp();
+            return;
+        }
+
+        if(e.pointerId === aimPointerId)
+        {
+            aimPointerId = null;
+            cancelAim(AIM_SOURCE.Pointer);
+        }
+        else if(e.pointerId === rewindPointerId)
+        {
+            rewindPointerId = null;
+            if(!isReplaying()) PLAYER.onRewindEnd();
+        }
+    };
+
+    //Hold the rewind key to rewind
+    document.addEventListener("keydown", e =>
+    {
+        if(e.repeat || e.key.toLowerCase() !== REWIND_KEY || isReplaying()) return;
+        PLAYER.onRewind();
+    });
+    document.addEventListener("keyup", e =>
+    {
+        if(e.key.toLowerCase() !== REWIND_KEY || isReplaying()) return;
+        PLAYER.onRewindEnd();
+    });
+
+    //Hold the aim key to aim with the arrow keys and let go to fling. In menus they pick and click buttons instead
+    document.addEventListener("keydown", e =>
+    {
+        const isArrowKey = e.key in ARROW_KEY_DIRECTIONS;
+        if(isArrowKey) heldArrowKeys.add(e.key);
+
+        if(currentScene === SCENE_ID.Game && (isArrowKey || e.key === AIM_KEY))
+        {
+            //Don't scroll the page
+            e.preventDefault();
+            if(e.key === AIM_KEY && !e.repeat) startAim(AIM_SOURCE.Keyboard);
+        }
+        else if(isMenuScene() && (isArrowKey || e.key === AIM_KEY || e.key === "Enter"))
+        {
+            e.preventDefault();
+            if(isArrowKey) moveMenuFocus(ARROW_KEY_DIRECTIONS[e.key]);
+            else if(!e.repeat) focusedMenuItem?.click();
+        }
+    });
+    document.addEventListener("keyup", e =>
+    {
+        heldArrowKeys.delete(e.key);
+        if(e.key === AIM_KEY && currentScene === SCENE_ID.Game) releaseAim(AIM_SOURCE.Keyboard);
+    });
+
+    //Pointers and keys let go while the page isn't focused never come up, so let go of everything
+    window.addEventListener("blur", releaseAllInput);
+
+    //Editor shortcuts, and escape leaves a test of the level being edited
+    document.addEventListener("keydown", e =>
+    {
+        if(currentScene === SCENE_ID.Editor) onEditorKeyDown(e);
+        else if(currentScene === SCENE_ID.Game && currentLevel?.id === null && e.key === "Escape") transitionToEditor();
+    });
+
+    //Scroll to zoom the editor, without scrolling the page
+    APP.view.addEventListener("wheel", e =>
+    {
+        if(currentScene !== SCENE_ID.Editor) return;
+
+        e.preventDefault();
+        onEditorWheel(e);
+    }, {passive: false});
+}
+
+/**
+ * Returns the fling force the player is currently aiming with
+ * @returns {Victor} The mouse drag or stick, or the upcoming fling when watching a replay
+ */
+const getAimFlingForce = () =>
+{
+    if(isReplaying()) return getReplayFlingForce();
+    if(aimSource === AIM_SOURCE.Gamepad) return getStickFlingForce(gamepadStick);
+    if(aimSource === AIM_SOURCE.Keyboard) return getStickFlingForce(keyboardStick);
+    return mouseDownCanvasPosition.clone().subtract(mouseCanvasPosition);
+}
+
+/**
+ * Returns the fling force from a stick, in the direction it's pushed. Nothing inside the deadzone
+ * and it starts from nothing at the edge of it so there's no jump
+ * @param {Victor} stick The stick, no longer than 1
+ * @returns {Victor}
+ */
+const getStickFlingForce = stick =>
+{
+    const tilt = Math.min(stick.length(), 1);
+    if(tilt <= SETTINGS.stickDeadzone) return Victor(0, 0);
+
+    const amount = (tilt - SETTINGS.stickDeadzone) / (1 - SETTINGS.stickDeadzone);
+    return stick.clone().normalize().multiplyScalar(amount * STICK_FLING_FORCE_MAX * SETTINGS.aimSensitivity);
+}
+
+/**
+ * Starts aiming with the specified input, unless something else is already aiming
+ * @param {number} source What is aiming from the AIM_SOURCE enum
+ */
+const startAim = source =>
+{
+    if(isReplaying() || PLAYER.playerState === PLAYER_STATE.Aiming) return;
+
+    aimSource = source;
+    keyboardStick = Victor(0, 0);
+    PLAYER.onAim();
+}
+
+/**
+ * Flings the player if the specified input is the one aiming
+ * @param {number} source What let go from the AIM_SOURCE enum
+ */
+const releaseAim = source =>
+{
+    if(isReplaying() || aimSource !== source) return;
+    PLAYER.onFling();
+}
+
+/**
+ * Stops aiming without flinging if the specified input is the one aiming
+ * @param {number} source What cancelled from the AIM_SOURCE enum
+ */
+const cancelAim = source =>
+{
+    if(isReplaying() || aimSource !== source) return;
+    PLAYER.onAimCancel();
+}
+
+/**
+ * Returns if the specified position is in the cancel zone
+ * @param {Victor} canvasPosition The position in canvas space
+ * @returns {boolean}
+ */
+const isInCancelZone = canvasPosition => canvasPosition.distanceSq(CANCEL_ZONE_POSITION) <= CANCEL_ZONE_RADIUS * CANCEL_ZONE_RADIUS;
+
+/**
+ * Lets go of every pointer and key, cancelling any aim and ending any rewind. For when their
+ * releases won't arrive, like when the page loses focus
+ */
+const releaseAllInput = () =>
+{
+    aimPointerId = null;
+    rewindPointerId = null;
+    heldArrowKeys.clear();
+
+    if(isReplaying()) return;
+    if(aimSource !== null) cancelAim(aimSource);
+    PLAYER.onRewindEnd();
+}
+
+/**
+ * Returns if the current scene is a menu of buttons that the d-pad and arrow keys can move between
+ * @returns {boolean}
+ */
+const isMenuScene = () => currentScene === SCENE_ID.Menu || currentScene === SCENE_ID.LevelSelect || currentScene === SCENE_ID.Settings;
+
+/**
+ * Picks the closest visible menu item in the specified direction from the one picked now,
+ * or the first visible one if nothing is picked yet
+ * @param {Victor} direction The direction to move in (normalized)
+ */
+const moveMenuFocus = direction =>
+{
+    //Only the current scene is visible
+    const items = MENU_ITEMS.filter(item => item.worldVisible);
+    if(items.length === 0) return;
+
+    let next = null;
+    if(focusedMenuItem === null || !focusedMenuItem.worldVisible)
+    {
+        next = items[0];
+    }
+    else
+    {
+        //Going sideways counts for more than going straight so it doesn't skip over the row or column
+        const from = toVector(focusedMenuItem.position);
+        let closestScore = Infinity;
+        for(const item of items)
+        {
+            const offset = toVector(item.position).subtract(from);
+            const along = offset.dot(direction);
+            if(along <= 0) continue;
+
+            const score = along + Math.abs(offset.cross(direction)) * 2;
+            if(score >= closestScore) continue;
+            closestScore = score;
+            next = item;
+        }
+    }
+    if(next === null) return;
+
+    clearMenuFocus();
+    focusedMenuItem = next;
+    next.interact(next.baseScale * 1.1, SFX_ID.Swipe);
+}
+
+/**
+ * Unpicks the picked menu item, if there is one
+ */
+const clearMenuFocus = () =>
+{
+    if(focusedMenuItem !== null) focusedMenuItem.targetScale = focusedMenuItem.baseScale;
+    focusedMenuItem = null;
+}
+
+/**
+ * Reads the first connected gamepad. In the game its triggers aim and rewind, in menus its d-pad picks buttons
+ */
+const updateGamepad = () =>
+{
+    const gamepad = [...(navigator.getGamepads?.() ?? [])].find(pad => pad?.connected);
+    if(!gamepad)
+    {
+        gamepadStick = Victor(0, 0);
+        gamepadButtonsHeld = [];
+        return;
+    }
+
+    gamepadStick = Victor(gamepad.axes[0] ?? 0, gamepad.axes[1] ?? 0);
+
+    //Presses and releases since the last poll
+    const wasHeld = gamepadButtonsHeld;
+    gamepadButtonsHeld = gamepad.buttons.map(button => button.pressed);
+    const wasPressed = button => gamepadButtonsHeld[button] && !wasHeld[button];
+    const wasReleased = button => !gamepadButtonsHeld[button] && wasHeld[button];
+
+    if(currentScene === SCENE_ID.Game)
+    {
+        //Hold the right trigger to aim with the stick and let go to fling
+        if(wasPressed(GAMEPAD_BUTTON.RightTrigger)) startAim(AIM_SOURCE.Gamepad);
+        if(wasReleased(GAMEPAD_BUTTON.RightTrigger)) releaseAim(AIM_SOURCE.Gamepad);
+
+        //Hold the left trigger to rewind, the same as the rewind key
+        if(isReplaying()) return;
+        if(wasPressed(GAMEPAD_BUTTON.LeftTrigger)) PLAYER.onRewind();
+        if(wasReleased(GAMEPAD_BUTTON.LeftTrigger)) PLAYER.onRewindEnd();
+        return;
+    }
+
+    if(!isMenuScene()) return;
+    if(wasPressed(GAMEPAD_BUTTON.Up)) moveMenuFocus(ARROW_KEY_DIRECTIONS.ArrowUp);
+    if(wasPressed(GAMEPAD_BUTTON.Down)) moveMenuFocus(ARROW_KEY_DIRECTIONS.ArrowDown);
+    if(wasPressed(GAMEPAD_BUTTON.Left)) moveMenuFocus(ARROW_KEY_DIRECTIONS.ArrowLeft);
+    if(wasPressed(GAMEPAD_BUTTON.Right)) moveMenuFocus(ARROW_KEY_DIRECTIONS.ArrowRight);
+    if(wasPressed(GAMEPAD_BUTTON.A)) focusedMenuItem?.click();
+}
+
+/**
+ * Updates input related tasks
+ */
+const updateInputManager = () =>
+{
+    //This needs to be updated every frame since the camera can move even when the mouse isn't
+    mouseWorldPosition = CAMERA.canvasToWorld(mouseCanvasPosition);
+
+    //Gamepads can only be polled
+    updateGamepad();
+
+    //Holding the second touch rewinds, once it has been held long enough to not be a tap
+    if(rewindPointerId !== null && rewindPointerSeconds < REWIND_POINTER_HOLD_SECONDS)
+    {
+        rewindPointerSeconds += APP.ticker.elapsedMS * 0.001;
+        if(rewindPointerSeconds >= REWIND_POINTER_HOLD_SECONDS && !isReplaying()) PLAYER.onRewind();
+    }
+
+    //Held arrow keys push the keyboard's stick, on real time since aiming slows the game down
+    if(aimSource === AIM_SOURCE.Keyboard && PLAYER.playerState === PLAYER_STATE.Aiming)
+    {
+        const push = Victor(0, 0);
+        for(const key of heldArrowKeys) push.add(ARROW_KEY_DIRECTIONS[key]);
+        keyboardStick.add(push.multiplyScalar(APP.ticker.elapsedMS * 0.001 / KEYBOARD_AIM_SECONDS));
+        if(keyboardStick.lengthSq() > 1) keyboardStick.normalize();
+    }
+}
+
+//#endregion
+
+//#region Random Manager
+
+/**
+ * The URL query parameter used to set the seed
+ * @type {string}
+ */
+const SEED_QUERY_PARAMETER = "seed";
+
+/**
+ * The seed set by the URL, if there is one every run uses it so the layout can be replayed
+ * @type {number | null}
+ */
+let querySeed = null;
+
+/**
+ * The seed of the current (or most recent) run
+ * @type {number}
+ */
+let runSeed = 0;
+
+/**
+ * Reads the seed from the URL if there is one
+ */
+const initializeRandomManager = () =>
+{
+    const seedParameter = new URLSearchParams(window.location.search).get(SEED_QUERY_PARAMETER);
+    if(seedParameter === null) return;
+
+    //Only accept whole numbers, anything else gets a random seed
+    const parsed = parseInt(seedParameter);
+    if(!isNaN(parsed)) querySeed = parsed >>> 0;
+}
+
+/**
+ * Picks the seed for a new run, the world is seeded with it when it resets
+ * @param {number | null} seed The seed to use, if null it uses the URL seed or a random one
+ */
+const resetRandomManager = (seed = null) =>
+{
+    //Use the URL seed if there is one, otherwise a fresh unsigned 32 bit seed
+    runSeed = seed ?? querySeed ?? Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Returns a link to the game that will play the specified seed
+ * @param {number} seed The seed to link to
+ * @returns {string} The url with the seed query parameter set
+ */
+const getSeedLink = seed =>
+{
+    const url = new URL(window.location.href);
+    url.searchParams.set(SEED_QUERY_PARAMETER, seed.toString());
+    return url.toString();
+}
+
+//#endregion
+
+//#region Replay Manager
+
+/**
+ * An "enum" for the types of inputs recorded in a replay
+ */
+const REPLAY_EVENT = Object.freeze({ Aim: 0, Fling: 1, RewindStart: 2, RewindEnd: 3, AimCancel: 4 });
+
+/**
+ * The version of the replay format, bump when old replays can't play back the same
+ * @type {number}
+ */
+const REPLAY_VERSION = 14;
+
+/**
+ * The local storage key for the replay of the highest run
+ */
+const LS_BEST_REPLAY = LS_PREFIX + "bestReplay";
+
+/**
+ * A recorded run. Each event is [physics step, REPLAY_EVENT], flings also have the force as [physics step, REPLAY_EVENT, x, y].
+ * The level is the id of the bundled level played, null when it was generated
+ * @typedef {{version: number, seed: number, level: string | null, height: number, events: number[][]}} Replay
+ */
+
+/**
+ * The run currently being recorded
+ * @type {Replay | null}
+ */
+let currentRecording = null;
+
+/**
+ * The most recently finished run
+ * @type {Replay | null}
+ */
+let lastReplay = null;
+
+/**
+ * The run being played back, null when playing normally
+ * @type {Replay | null}
+ */
+let activeReplay = null;
+
+/**
+ * The index of the next event to play back in the active replay
+ * @type {number}
+ */
+let replayEventIndex = 0;
+
+/**
+ * Returns whether a replay is being played back
+ * @returns {boolean} TRUE if a replay is in control of the player
+ */
+const isReplaying = () => activeReplay !== null;
+
+/**
+ * Starts recording a new run
+ * @param {number} seed The seed of the run
+ * @param {string | null} levelID The id of the bundled level being played, null when it is generated
+ */
+const startRecording = (seed, levelID = null) =>
+{
+    currentRecording = { version: REPLAY_VERSION, seed: seed, level: levelID, height: 0, events: [] };
+}
+
+/**
+ * Records an input to the current run, does nothing when playing back a replay
+ * @param {number} eventType The type of input from the REPLAY_EVENT enum
+ * @param {Victor | null} force The force of a fling, the other inputs don't have one
+ */
+const recordInput = (eventType, force = null) =>
+{
+    if(isReplaying() || currentRecording === null) return;
+    currentRecording.events.push(force ? [WORLD.stepCount, eventType, force.x, force.y] : [WORLD.stepCount, eventType]);
+}
+
+/**
+ * Finishes recording the current run, saving it if it is the highest
+ * @param {number} height The height the run reached
+ */
+const finishRecording = height =>
+{
+    if(currentRecording === null) return;
+
+    currentRecording.height = height;
+    lastReplay = currentRecording;
+    currentRecording = null;
+
+    //Keep the best run to watch from the menu
+    if(lastReplay.level === null && height > highestDeathHeight) localStorage.setItem(LS_BEST_REPLAY, JSON.stringify(lastReplay));
+}
+
+/**
+ * Loads the replay of the highest run from local storage
+ * @returns {Replay | null} The best replay or null if there isn't a valid one
+ */
+const loadBestReplay = () => parseReplay(localStorage.getItem(LS_BEST_REPLAY));
+
+/**
+ * Parses and validates a replay
+ * @param {string | null} text The replay as JSON
+ * @returns {Replay | null} The replay or null if it is invalid or from another version
+ */
+const parseReplay = text =>
+{
+    if(!text) return null;
+
+    let replay;
+    try
+    {
+        replay = JSON.parse(text);
+    }
+    catch
+    {
+        return null;
+    }
+
+    //Make sure it is a replay this version can play
+    if(!replay || replay.version !== REPLAY_VERSION || !Number.isInteger(replay.seed) || !Array.isArray(replay.events))
+        return null;
+    //Only flings have a force
+    const isValidEvent = event => Array.isArray(event) && event.every(Number.isFinite) &&
+        event.length === (event[1] === REPLAY_EVENT.Fling ? 4 : 2);
+    if(!replay.events.every(isValidEvent)) return null;
+
+    //Replays from before levels were generated, otherwise the level has to be one that is bundled
+    replay.level ??= null;
+    if(replay.level !== null && !getBundledLevel(replay.level)) return null;
+
+    return replay;
+}
+
+/**
+ * Starts playing back the specified replay. Should be called after the game is reset
+ * @param {Replay} replay The replay to play back
+ */
+const startReplay = replay =>
+{
+    activeReplay = replay;
+    replayEventIndex = 0;
+    currentRecording = null;
+}
+
+/**
+ * Stops playing back the replay
+ */
+const stopReplay = () =>
+{
+    activeReplay = null;
+}
+
+/**
+ * Plays back every replay event that is due at the current physics step.
+ * Called every frame and before every physics step since inputs can happen while time is stopped
+ */
+const updateReplayManager = () =>
+{
+    if(!isReplaying()) return;
+
+    const events = activeReplay.events;
+    while(replayEventIndex < events.length && events[replayEventIndex][0] <= WORLD.stepCount)
+    {
+        const [, eventType, x, y] = events[replayEventIndex++];
+        switch(eventType)
+        {
+            case REPLAY_EVENT.Aim:
+                PLAYER.onAim();
+                break;
+            case REPLAY_EVENT.Fling:
+                PLAYER.flingForce = Victor(x, y);
+                PLAYER.onFling();
+                break;
+            case REPLAY_EVENT.RewindStart:
+                PLAYER.onRewind();
+                break;
+            case REPLAY_EVENT.RewindEnd:
+                PLAYER.onRewindEnd();
+                break;
+            case REPLAY_EVENT.AimCancel:
+                PLAYER.onAimCancel();
+                break;
+        }
+    }
+}
+
+/**
+ * Returns the force of the next fling in the replay so aiming shows what is about to happen
+ * @returns {Victor} The upcoming fling force, or nothing if there are no more flings
+ */
+const getReplayFlingForce = () =>
+{
+    const events = activeReplay.events;
+    for(let i = replayEventIndex; i < events.length; i++)
+    {
+        if(events[i][1] === REPLAY_EVENT.Fling) return Victor(events[i][2], events[i][3]);
+    }
+    return Victor(0, 0);
+}
+
+/**
+ * Downloads the specified replay as a json file
+ * @param {Replay} replay The replay to download
+ */
+const downloadReplay = replay =>
+{
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(replay)], {type: "application/json"}));
+    link.download = `chrono-fling-${replay.seed}-${replay.height}m.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Asks the user for a replay file and plays it
+ */
+const uploadReplay = () =>
+{
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.onchange = async() =>
+    {
+        if(input.files.length === 0) return;
+
+        const replay = parseReplay(await input.files[0].text());
+        if(replay) transitionToReplay(replay);
+        else alert("That isn't a valid Chrono-Fling replay");
+    };
+    input.click();
+}
+
+//#endregion
+
+//#region Level Manager
+
+/**
+ * The folder the bundled levels are in
+ * @type {string}
+ */
+const LEVEL_DIRECTORY = "assets/levels/";
+
+/**
+ * The list of bundled level files, in the order they are shown
+ * @type {string}
+ */
+const LEVEL_INDEX_PATH = LEVEL_DIRECTORY + "index.json";
+
+/**
+ * The local storage key for the ids of the completed levels
+ */
+const LS_COMPLETED_LEVELS = LS_PREFIX + "completedLevels";
+
+/**
+ * How many real seconds to celebrate reaching the goal of a level before leaving it
+ * @type {number}
+ */
+const LEVEL_COMPLETE_SECONDS = 1.5;
+
+/**
+ * A level that comes with the game, the id is its file name. The id is null for a level being tested in the editor
+ * @typedef {{id: string | null, level: Level}} BundledLevel
+ */
+
+/**
+ * The levels that come with the game, in the order they are shown
+ * @type {BundledLevel[]}
+ */
+const LEVELS = [];
+
+/**
+ * The ids of the levels that have been completed
+ * @type {Set<string>}
+ */
+const completedLevels = new Set();
+
+/**
+ * The level being played, null when the level is generated
+ * @type {BundledLevel | null}
+ */
+let currentLevel = null;
+
+/**
+ * Loads every bundled level, skipping any that can't be loaded
+ */
+const loadLevels = async() =>
+{
+    let ids;
+    try
+    {
+        ids = await (await fetch(LEVEL_INDEX_PATH)).json();
+    }
+    catch(error)
+    {
+        console.warn(`Couldn't load ${LEVEL_INDEX_PATH}, there won't be any levels`, error);
+        return;
+    }
+
+    for(const id of ids)
+    {
+        try
+        {
+            const level = parseLevel(await (await fetch(LEVEL_DIRECTORY + id)).json());
+            if(!level) throw new Error("invalid level");
+
+            LEVELS.push({ id: id, level: level });
+        }
+        catch(error)
+        {
+            console.warn(`Couldn't load the level ${id}`, error);
+        }
+    }
+}
+
+/**
+ * Returns the bundled level with the specified id
+ * @param {string} id The id of the level
+ * @returns {BundledLevel | undefined} The level or undefined if there isn't one with the id
+ */
+const getBundledLevel = id => LEVELS.find(bundled => bundled.id === id);
+
+/**
+ * Marks the level as completed and saves it to local storage
+ * @param {string} id The id of the level
+ */
+const completeLevel = id =>
+{
+    completedLevels.add(id);
+    localStorage.setItem(LS_COMPLETED_LEVELS, JSON.stringify([...completedLevels]));
+}
+
+/**
+ * Loads the completed levels from local storage
+ */
+const loadCompletedLevels = () =>
+{
+    try
+    {
+        const saved = JSON.parse(localStorage.getItem(LS_COMPLETED_LEVELS));
+        if(Array.isArray(saved)) for(const id of saved) completedLevels.add(id);
+    }
+    catch
+    {
+        //Nothing saved or it is corrupted, nothing completed then
+    }
+}
+
+//#endregion
+
+//#region Editor Manager
+
+/**
+ * An "enum" for what clicking on empty space in the editor does
+ */
+const EDITOR_TOOL = Object.freeze({ Select: 0, Orb: 1, Spike: 2, GravityWell: 3, Repulsor: 4, SlowZone: 5, FastZone: 6, Portal: 7, PowerUp: 8 });
+
+/**
+ * The OBSTACLE_TYPE each placing tool places
+ */
+const EDITOR_TOOL_OBSTACLE_TYPE = Object.freeze
+({
+    [EDITOR_TOOL.Orb]: OBSTACLE_TYPE.Orb,
+    [EDITOR_TOOL.Spike]: OBSTACLE_TYPE.Spike,
+    [EDITOR_TOOL.GravityWell]: OBSTACLE_TYPE.GravityWell,
+    [EDITOR_TOOL.Repulsor]: OBSTACLE_TYPE.Repulsor,
+    [EDITOR_TOOL.SlowZone]: OBSTACLE_TYPE.SlowZone,
+    [EDITOR_TOOL.FastZone]: OBSTACLE_TYPE.FastZone,
+    [EDITOR_TOOL.Portal]: OBSTACLE_TYPE.Portal,
+    [EDITOR_TOOL.PowerUp]: OBSTACLE_TYPE.PowerUp
+});
+
+/**
+ * The camera of the editor, unlike the game's it can go past the walls when zoomed out
+ * @type {Camera}
+ */
+const EDITOR_CAMERA = new Camera(Victor(-Infinity, Infinity));
+
+/**
+ * The most zoomed out (x) and in (y) the editor camera can be
+ * @type {Victor}
+ */
+const EDITOR_ZOOM_RANGE = Victor(0.25, 2);
+
+/**
+ * How much each scroll of the mouse wheel zooms
+ * @type {number}
+ */
+const EDITOR_ZOOM_STEP = 0.1;
+
+/**
+ * The size of the grid obstacles snap to
+ * @type {number}
+ */
+const EDITOR_GRID_SIZE = 25;
+
+/**
+ * How much rotating turns an obstacle when snapping, 15 degrees
+ * @type {number}
+ */
+const EDITOR_ROTATION_STEP = Math.PI / 12;
+
+/**
+ * How much scaling grows or shrinks an obstacle when snapping
+ * @type {number}
+ */
+const EDITOR_SCALE_STEP = 0.05;
+
+/**
+ * The smallest (x) and biggest (y) an obstacle can be scaled to
+ * @type {Victor}
+ */
+const EDITOR_SCALE_RANGE = Victor(0.25, 3);
+
+/**
+ * The most edits that can be undone
+ * @type {number}
+ */
+const EDITOR_HISTORY_MAX = 100;
+
+/**
+ * The height of the toolbar at the top of the editor, clicks on it are for its buttons
+ * @type {number}
+ */
+const EDITOR_TOOLBAR_HEIGHT = 90;
+
+/**
+ * The height of the toolbar at the bottom of the editor
+ * @type {number}
+ */
+const EDITOR_FOOTER_HEIGHT = 45;
+
+/**
+ * The local storage key for the level being edited so it isn't lost when the page closes
+ */
+const LS_EDITOR_LEVEL = LS_PREFIX + "editorLevel";
+
+/**
+ * The level being edited
+ * @type {Level}
+ */
+let editorLevel;
+
+/**
+ * The index of the selected obstacle in the level being edited, null if nothing is selected
+ * @type {number | null}
+ */
+let editorSelection = null;
+
+/**
+ * What clicking on empty space does, from the EDITOR_TOOL enum
+ * @type {number}
+ */
+let editorTool = EDITOR_TOOL.Select;
+
+/**
+ * Whether positions, rotations and scales snap to the grid and steps
+ * @type {boolean}
+ */
+let editorSnapping = true;
+
+/**
+ * The levels (as JSON) from before each edit, the last is undone first
+ * @type {string[]}
+ */
+const editorUndoStack = [];
+
+/**
+ * The levels (as JSON) from before each undo, the last is redone first
+ * @type {string[]}
+ */
+const editorRedoStack = [];
+
+/**
+ * What dragging is currently doing in the editor, null when not dragging
+ * @type {{isPanning: boolean, start: Victor, cameraStart: Victor, offset: Victor, isRecorded: boolean} | null}
+ */
+let editorDrag = null;
+
+/**
+ * Creates a level with nothing in it
+ * @returns {Level} The empty level
+ */
+const createEmptyLevel = () => ({ name: "Untitled", goalHeight: 200, startingFlings: STARTING_FLINGS, waveSpeed: WAVE_SPEED, obstacles: [] });
+
+/**
+ * Loads the level that was being edited from local storage, or starts an empty one
+ */
+const loadEditorLevel = () =>
+{
+    let saved = null;
+    try
+    {
+        saved = parseLevel(JSON.parse(localStorage.getItem(LS_EDITOR_LEVEL)));
+    }
+    catch
+    {
+        //Nothing saved or it is corrupted, start fresh
+    }
+
+    editorLevel = saved ?? createEmptyLevel();
+}
+
+/**
+ * Saves the level being edited to local storage
+ */
+const saveEditorLevel = () => localStorage.setItem(LS_EDITOR_LEVEL, JSON.stringify(editorLevel));
+
+/**
+ * Rounds the value to the snapping step, or to a fine step when not snapping so the JSON stays readable
+ * @param {number} value The value to round
+ * @param {number} snapStep The step to round to when snapping
+ * @param {number} freeStep The step to round to when not snapping
+ * @returns {number} The rounded value
+ */
+const snapEditorValue = (value, snapStep, freeStep) =>
+{
+    const step = editorSnapping ? snapStep : freeStep;
+    return Number((Math.round(value / step) * step).toFixed(4));
+}
+
+/**
+ * Returns the collider radius of the obstacle in the level, just the core for fields so they don't cover what is around them
+ * @param {LevelObstacle} placed The obstacle
+ * @returns {number} The scaled collider radius
+ */
+const getPlacedRadius = placed =>
+{
+    let baseRadius;
+    switch(placed.type)
+    {
+        case OBSTACLE_TYPE.Orb:
+            baseRadius = ORB_COLLIDER_RADIUS;
+            break;
+        case OBSTACLE_TYPE.Spike:
+            baseRadius = Math.max(...createSpikeTriangle(SPIKE_SIZE).map(vertex => vertex.length()));
+            break;
+        case OBSTACLE_TYPE.Portal:
+            baseRadius = PORTAL_COLLIDER_RADIUS;
+            break;
+        case OBSTACLE_TYPE.PowerUp:
+            baseRadius = POWER_UP_COLLIDER_RADIUS;
+            break;
+        default:
+            baseRadius = AREA_CORE_RADIUS;
+            break;
+    }
+    return baseRadius * placed.scale;
+}
+
+/**
+ * Returns the obstacle at the specified position, the one drawn on top if they overlap
+ * @param {Victor} worldPosition The position in the world
+ * @returns {number | null} The index of the obstacle in the level, or null if there isn't one there
+ */
+const getEditorObstacleAt = worldPosition =>
+{
+    for(let i = editorLevel.obstacles.length - 1; i >= 0; i--)
+    {
+        const placed = editorLevel.obstacles[i];
+        if(isColliding(worldPosition, 0, Victor(placed.x, placed.y), getPlacedRadius(placed))) return i;
+    }
 
-/**@type {number} The amount of friction to be applied to physics objects */
-const FRICTION = 0.9;
+    return null;
+}
 
-/**@type {Victor} The gravity to be applied to physics objects */
-const GRAVITY = Victor(0, 100000);
+/**
+ * Remembers the level as it is so the edit about to be made can be undone
+ */
+const recordEdit = () =>
+{
+    editorUndoStack.push(JSON.stringify(editorLevel));
+    if(editorUndoStack.length > EDITOR_HISTORY_MAX) editorUndoStack.shift();
 
-/**@type {number} The amount of easing to apply to the time speed */
-const TIME_EASING_FACTOR = 0.1;
+    //A new edit replaces anything that was undone
+    editorRedoStack.length = 0;
+}
 
 /**
- * Updates time speed
+ * Replaces the level being edited, without recording it as an edit
+ * @param {Level} level The level to edit
  */
-const updatePhysicsManager = () =>
+const setEditorLevel = level =>
 {
-    //Ease to the target game speed
-    currentGameSpeed = lerp(currentGameSpeed, targetGameSpeed, TIME_EASING_FACTOR);
-    //Compute the time speed, use elapsed SECONDS so convert from ms
-    timeSpeed = currentGameSpeed * APP.ticker.elapsedMS * 0.001;
+    editorLevel = level;
+    editorSelection = null;
+    rebuildEditorViews();
+    saveEditorLevel();
 }
 
-//#endregion
+/**
+ * Undoes the last edit
+ */
+const undoEdit = () =>
+{
+    if(editorUndoStack.length === 0) return;
 
-//#region Object Manager
+    editorRedoStack.push(JSON.stringify(editorLevel));
+    setEditorLevel(JSON.parse(editorUndoStack.pop()));
+}
+
+/**
+ * Redoes the last undone edit
+ */
+const redoEdit = () =>
+{
+    if(editorRedoStack.length === 0) return;
 
-/**@type {PhysicsObject[]} The list of all objects in the game */
-const OBJECTS = [];
+    editorUndoStack.push(JSON.stringify(editorLevel));
+    setEditorLevel(JSON.parse(editorRedoStack.pop()));
+}
 
-/**@type {Obstacle[]} The list of all obstacles in the game */
-const OBSTACLES = [];
+/**
+ * Replaces the level being edited as an edit that can be undone
+ * @param {Level} level The level to edit
+ */
+const replaceEditorLevel = level =>
+{
+    recordEdit();
+    setEditorLevel(level);
+}
 
-/**@type {Orb[]} The list of all orbs in the game */
-const ORBS = [];
+/**
+ * Returns the link for a new portal, pairing it with a portal that doesn't have a partner yet if there is one
+ * @returns {number} The link
+ */
+const getEditorPortalLink = () =>
+{
+    const portalLinks = editorLevel.obstacles.filter(placed => placed.type === OBSTACLE_TYPE.Portal).map(placed => placed.link);
+    const unpaired = portalLinks.find(link => portalLinks.indexOf(link) === portalLinks.lastIndexOf(link));
+    return unpaired ?? Math.max(-1, ...portalLinks) + 1;
+}
 
-/**@type {Spike[]} The list of all spikes in the game */
-const SPIKES = [];
+/**
+ * Adds an obstacle to the level and selects it
+ * @param {string} type The OBSTACLE_TYPE
+ * @param {Victor} worldPosition Where to put it
+ */
+const addEditorObstacle = (type, worldPosition) =>
+{
+    recordEdit();
 
-/**@type {Player} The player object */
-let PLAYER;
+    const placed =
+    {
+        type: type,
+        x: snapEditorValue(worldPosition.x, EDITOR_GRID_SIZE, 1),
+        y: snapEditorValue(worldPosition.y, EDITOR_GRID_SIZE, 1),
+        scale: 1,
+        rotation: 0
+    };
+    if(type === OBSTACLE_TYPE.Portal) placed.link = getEditorPortalLink();
+    if(type === OBSTACLE_TYPE.PowerUp) placed.powerUp = POWER_UP_TYPE.Shield;
+    editorLevel.obstacles.push(placed);
+    editorSelection = editorLevel.obstacles.length - 1;
 
-/**@type {Wave} The wave */
-let WAVE;
+    rebuildEditorViews();
+    saveEditorLevel();
+}
 
 /**
- * Generates the specified amount of objects, should only be called once
- * @param {number} orbAmount Amount of orbs to generate
- * @param {number} spikeAmount Amount of spikes to generate
+ * Removes the selected obstacle from the level
  */
-const initializeOjects = (orbAmount, spikeAmount) =>
+const deleteEditorSelection = () =>
 {
-    //Generate orbs
-    for(let i = 0; i < orbAmount; i++) new Orb();
+    if(editorSelection === null) return;
+
+    recordEdit();
+    editorLevel.obstacles.splice(editorSelection, 1);
+    editorSelection = null;
 
-    //Generate spikes
-    for(let i = 0; i < spikeAmount; i++) new Spike();
+    rebuildEditorViews();
+    saveEditorLevel();
+}
+
+/**
+ * Changes the selected power-up to the next kind
+ */
+const cycleEditorPowerUp = () =>
+{
+    const placed = editorSelection === null ? null : editorLevel.obstacles[editorSelection];
+    if(placed?.type !== OBSTACLE_TYPE.PowerUp) return;
 
-    //Initialize the player
-    PLAYER = new Player();
+    recordEdit();
+    const powerUpTypes = Object.values(POWER_UP_TYPE);
+    placed.powerUp = powerUpTypes[(powerUpTypes.indexOf(placed.powerUp) + 1) % powerUpTypes.length];
 
-    //Initialize the wave
-    WAVE = new Wave();
+    rebuildEditorViews();
+    saveEditorLevel();
 }
 
 /**
- * Resets physics objects in the game excluding the player
- * @param {PIXI.Rectangle} bounds The bounds to respawn the objects in
+ * Rotates the selected obstacle a step
+ * @param {number} direction 1 for clockwise, -1 for counterclockwise
  */
-const resetObjects = bounds =>
+const rotateEditorSelection = direction =>
 {
-    //How much space the obstacles need to give the player initially
-    const personalSpace = PLAYER.colliderRadius * 10;
+    if(editorSelection === null) return;
 
-    //Spawn all the orbs
-    for(const obstacle of OBSTACLES)
-    {
-        //Make sure the obstacle isn't colliding with the player within a reasonable distance
-        do
-        {
-            obstacle.respawn(bounds);
-        }
-        while(isColliding(obstacle.vectorPosition, obstacle.colliderRadius, PLAYER.vectorPosition, personalSpace))
-    }
+    recordEdit();
+    const placed = editorLevel.obstacles[editorSelection];
+    const rotation = snapEditorValue(placed.rotation + direction * EDITOR_ROTATION_STEP, EDITOR_ROTATION_STEP, Math.PI / 180);
+
+    //Keep it within one turn
+    placed.rotation = Number((((rotation % TWO_PI) + TWO_PI) % TWO_PI).toFixed(4));
+    saveEditorLevel();
 }
 
 /**
- * Updates all physics objects
+ * Grows or shrinks the selected obstacle a step
+ * @param {number} direction 1 to grow, -1 to shrink
  */
-const updateObjects = () =>
+const scaleEditorSelection = direction =>
+{
+    if(editorSelection === null) return;
+
+    recordEdit();
+    const placed = editorLevel.obstacles[editorSelection];
+    const scale = snapEditorValue(placed.scale + direction * EDITOR_SCALE_STEP, EDITOR_SCALE_STEP, 0.01);
+    placed.scale = Math.min(Math.max(scale, EDITOR_SCALE_RANGE.x), EDITOR_SCALE_RANGE.y);
+    saveEditorLevel();
+}
+
+/**
+ * Asks for a new value for one of the level's numbers
+ * @param {string} key The property of the level to set
+ * @param {string} label What to ask for
+ * @param {number} min The smallest value it can be
+ */
+const promptEditorSetting = (key, label, min) =>
 {
-    //Update all objects
-    for(const object of OBJECTS)
+    const answer = prompt(label, editorLevel[key].toString());
+    if(answer === null) return;
+
+    const value = Number(answer);
+    if(!Number.isFinite(value) || value < min)
     {
-        object.update();
+        alert(`${label} has to be a number of at least ${min}`);
+        return;
     }
 
-    //Update the wave
-    WAVE.update();
+    recordEdit();
+    editorLevel[key] = value;
+    saveEditorLevel();
 }
 
-//#endregion
+/**
+ * Asks for a new name for the level
+ */
+const promptEditorName = () =>
+{
+    const answer = prompt("Level name", editorLevel.name);
+    if(!answer) return;
 
-//#region Input Manager
+    recordEdit();
+    editorLevel.name = answer;
+    saveEditorLevel();
+}
 
 /**
- * The position of the mouse in client space (the entire website)
- * @type {Victor}
+ * Plays the level being edited, dying or finishing comes back to the editor
  */
-let mouseClientPosition = Victor(0, 0);
+const testEditorLevel = () => transitionToLevel({ id: null, level: parseLevel(editorLevel) });
 
 /**
- * The position of the mouse in canvas space (the canvas object)
- * @type {Victor}
+ * Downloads the level being edited as a JSON file
  */
-let mouseCanvasPosition = Victor(0, 0);
+const exportEditorLevel = () =>
+{
+    const fileName = editorLevel.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "level";
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(editorLevel, null, 4)], {type: "application/json"}));
+    link.download = `${fileName}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
 /**
- * The position of the mouse in world space (takes into account the camera)
- * @type {Victor}
+ * Loads the level from JSON to be edited
+ * @param {string} text The level as JSON
  */
-let mouseWorldPosition = Victor(0, 0);
+const importEditorLevelText = text =>
+{
+    let level = null;
+    try
+    {
+        level = parseLevel(JSON.parse(text));
+    }
+    catch
+    {
+        //Not JSON, handled the same as an invalid level
+    }
 
-/**@type {boolean}*/
-let mouseDown = false;
+    if(level) replaceEditorLevel(level);
+    else alert("That isn't a valid Chrono-Fling level");
+}
 
 /**
- * The position of the mouse when it was last pressed in canvas space
- * @type {Victor}
+ * Asks the user for a level file to edit
  */
-let mouseDownCanvasPosition = Victor(0, 0);
+const importEditorLevel = () =>
+{
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.onchange = async() =>
+    {
+        if(input.files.length === 0) return;
+        importEditorLevelText(await input.files[0].text());
+    };
+    input.click();
+}
 
 /**
- * The position of the mouse when it was last released in canvas space
- * @type {Victor}
+ * Copies the level being edited to the clipboard as JSON
  */
-let mouseUpCanvasPosition = Victor(0, 0);
+const copyEditorLevel = async() =>
+{
+    try
+    {
+        await navigator.clipboard.writeText(JSON.stringify(editorLevel));
+    }
+    catch
+    {
+        //The clipboard isn't there on insecure pages and can be blocked
+        alert("Couldn't copy the level, try exporting it instead");
+    }
+}
 
 /**
- * Initializes input related tasks 
+ * Edits the level that is on the clipboard as JSON
  */
-const initializeInputManager = () =>
+const pasteEditorLevel = async() =>
 {
-    //Update the mouse position on move (over anything)
-    document.onpointermove = e =>
+    let text = null;
+    try
     {
-        mouseClientPosition = Victor(e.clientX, e.clientY);
-        mouseCanvasPosition = mouseClientPosition.clone().subtract(APP_CLIENT_POSITION);
-    };
+        text = await navigator.clipboard.readText();
+    }
+    catch
+    {
+        //Some browsers never let pages read the clipboard, so ask for it to be pasted in instead
+        text = prompt("Paste the level JSON");
+    }
 
-    //When mouse down (only over canvas)
-    APP.view.onpointerdown = e =>
+    //Cancelled
+    if(text === null) return;
+
+    importEditorLevelText(text);
+}
+
+/**
+ * Starts placing, moving or panning depending on what was pressed
+ * @param {PointerEvent} e The pointer event
+ */
+const onEditorPointerDown = e =>
+{
+    //Touches don't move the pointer before pressing
+    mouseCanvasPosition = clientToCanvas(e.clientX, e.clientY);
+
+    //Presses on the toolbars are for their buttons
+    if(mouseCanvasPosition.y < EDITOR_TOOLBAR_HEIGHT || mouseCanvasPosition.y > APP_SIZE.y - EDITOR_FOOTER_HEIGHT) return;
+
+    const worldPosition = EDITOR_CAMERA.canvasToWorld(mouseCanvasPosition);
+    let index = getEditorObstacleAt(worldPosition);
+
+    //Place a new obstacle on empty space, then it can be dragged like any other
+    const isPlacing = index === null && editorTool !== EDITOR_TOOL.Select;
+    if(isPlacing)
     {
-        //Stop from dragging on text
-        e.preventDefault();
-        mouseDown = true;
+        addEditorObstacle(EDITOR_TOOL_OBSTACLE_TYPE[editorTool], worldPosition);
+        index = editorSelection;
+    }
 
-        //Position when pressed
-        mouseDownCanvasPosition = Victor(e.clientX, e.clientY).subtract(APP_CLIENT_POSITION);
+    //Drag empty space to pan
+    if(index === null)
+    {
+        editorSelection = null;
+        editorDrag = { isPanning: true, start: mouseCanvasPosition.clone(), cameraStart: EDITOR_CAMERA.position.clone() };
+        return;
+    }
 
-        //Begin aiming
-        PLAYER.onAim();
+    //Drag an obstacle to move it, keeping where it was grabbed under the pointer
+    editorSelection = index;
+    const placed = editorLevel.obstacles[index];
+    editorDrag =
+    {
+        isPanning: false,
+        start: mouseCanvasPosition.clone(),
+        offset: Victor(placed.x, placed.y).subtract(worldPosition),
+        //Placing it was already recorded
+        isRecorded: isPlacing
     };
+}
 
-    //When mouse up (over anything)
-    document.onpointerup = e =>
+/**
+ * Moves whatever is being dragged in the editor to the pointer
+ */
+const onEditorPointerMove = () =>
+{
+    if(editorDrag === null) return;
+
+    if(editorDrag.isPanning)
     {
-        //Stop from dragging on text
-        e.preventDefault();
-        mouseDown = false;
+        const dragged = mouseCanvasPosition.clone().subtract(editorDrag.start).divideScalar(EDITOR_CAMERA.zoom);
+        EDITOR_CAMERA.position = editorDrag.cameraStart.clone().subtract(dragged);
+        return;
+    }
 
-        //Position when pressed
-        mouseUpCanvasPosition = Victor(e.clientX, e.clientY).subtract(APP_CLIENT_POSITION);
+    //Only an edit once it actually moves
+    if(!editorDrag.isRecorded)
+    {
+        recordEdit();
+        editorDrag.isRecorded = true;
+    }
 
-        //Fling the player
-        PLAYER.onFling();
-    };
+    const placed = editorLevel.obstacles[editorSelection];
+    const target = EDITOR_CAMERA.canvasToWorld(mouseCanvasPosition).add(editorDrag.offset);
+    placed.x = snapEditorValue(target.x, EDITOR_GRID_SIZE, 1);
+    placed.y = snapEditorValue(target.y, EDITOR_GRID_SIZE, 1);
 }
 
 /**
- * Updates input related tasks
+ * Stops dragging in the editor
  */
-const updateInputManager = () =>
+const onEditorPointerUp = () =>
 {
-    //This needs to be updated every frame since the camera can move even when the mouse isn't
-    mouseWorldPosition = CAMERA.canvasToWorld(mouseCanvasPosition);
+    if(editorDrag !== null && editorDrag.isRecorded) saveEditorLevel();
+    editorDrag = null;
+}
+
+/**
+ * Zooms the editor camera towards the pointer
+ * @param {WheelEvent} e The wheel event
+ */
+const onEditorWheel = e =>
+{
+    //Keep the point under the pointer where it is
+    const before = EDITOR_CAMERA.canvasToWorld(mouseCanvasPosition);
+    EDITOR_CAMERA.zoom = Math.min(Math.max(EDITOR_CAMERA.zoom - Math.sign(e.deltaY) * EDITOR_ZOOM_STEP, EDITOR_ZOOM_RANGE.x),
+        EDITOR_ZOOM_RANGE.y);
+    EDITOR_CAMERA.computeMatrix();
+    EDITOR_CAMERA.position.add(before.subtract(EDITOR_CAMERA.canvasToWorld(mouseCanvasPosition)));
+}
+
+/**
+ * Handles the editor's keyboard shortcuts
+ * @param {KeyboardEvent} e The keyboard event
+ */
+const onEditorKeyDown = e =>
+{
+    const key = e.key.toLowerCase();
+
+    //Undo and redo
+    if(e.ctrlKey || e.metaKey)
+    {
+        if(key === "y" || (key === "z" && e.shiftKey)) redoEdit();
+        else if(key === "z") undoEdit();
+        else return;
+
+        e.preventDefault();
+        return;
+    }
+
+    switch(key)
+    {
+        case "1":
+            editorTool = EDITOR_TOOL.Select;
+            break;
+        case "2":
+            editorTool = EDITOR_TOOL.Orb;
+            break;
+        case "3":
+            editorTool = EDITOR_TOOL.Spike;
+            break;
+        case "4":
+            editorTool = EDITOR_TOOL.GravityWell;
+            break;
+        case "5":
+            editorTool = EDITOR_TOOL.Repulsor;
+            break;
+        case "6":
+            editorTool = EDITOR_TOOL.SlowZone;
+            break;
+        case "7":
+            editorTool = EDITOR_TOOL.FastZone;
+            break;
+        case "8":
+            editorTool = EDITOR_TOOL.Portal;
+            break;
+        case "9":
+            editorTool = EDITOR_TOOL.PowerUp;
+            break;
+        case "t":
+            cycleEditorPowerUp();
+            break;
+        case "g":
+            editorSnapping = !editorSnapping;
+            break;
+        case "q":
+            rotateEditorSelection(-1);
+            break;
+        case "e":
+            rotateEditorSelection(1);
+            break;
+        case "-":
+            scaleEditorSelection(-1);
+            break;
+        case "=":
+        case "+":
+            scaleEditorSelection(1);
+            break;
+        case "delete":
+        case "backspace":
+            deleteEditorSelection();
+            break;
+        case "escape":
+            editorSelection = null;
+            break;
+    }
 }
 
 //#endregion
 
+//#region Rewind Manager
+
+/**
+ * The key to hold to rewind
+ * @type {string}
+ */
+const REWIND_KEY = "r";
+
+/**
+ * The key to hold to aim with the arrow keys
+ * @type {string}
+ */
+const AIM_KEY = " ";
+
+/**
+ * The background color while rewinding
+ * @type {number}
+ */
+const REWIND_BACKGROUND_COLOR = 0x0a0a2a;
+
+//#endregion
+
 //#region Scene Manager
 
 /**
@@ -1605,7 +4068,7 @@ const SCENES = [];
 /**
  * An "enum" for the scene names
  */
-const SCENE_ID = Object.freeze({ Menu: 0, Game: 1 });
+const SCENE_ID = Object.freeze({ Menu: 0, Game: 1, LevelSelect: 2, Editor: 3, Settings: 4 });
 
 /**
  * The current scene based off the SCENE_ID enum. Should not be set outside of scene manager
@@ -1644,6 +4107,9 @@ const getScene = (sceneID) => SCENES[sceneID];
  */
 const switchToScene = (sceneID) =>
 {
+    //The picked button is in the old scene
+    clearMenuFocus();
+
     getScene(currentScene).visible = false;
     currentScene = sceneID;
     getScene(sceneID).visible = true;
@@ -1660,6 +4126,9 @@ const MENU_TRANSITION_HEIGHT = -1000;
  */
 const transitionToMenu = () =>
 {
+    //Give control back to the player if watching a replay
+    stopReplay();
+
     //Setup menu
     resetMenu();
 
@@ -1671,11 +4140,98 @@ const transitionToMenu = () =>
 }
 
 /**
- * Switches to game and sets up the scene
+ * Switches to the level select and sets up the scene
+ */
+const transitionToLevelSelect = () =>
+{
+    //Give control back to the player if watching a replay
+    stopReplay();
+
+    //Setup the level select
+    resetLevelSelect();
+
+    //Move camera up for transition
+    CAMERA.position.y = CAMERA_POSITION_DEFAULT.y + MENU_TRANSITION_HEIGHT;
+
+    //Switch scene
+    switchToScene(SCENE_ID.LevelSelect);
+}
+
+/**
+ * Switches to the settings and sets up the scene
+ */
+const transitionToSettings = () =>
+{
+    //Setup the settings
+    resetSettings();
+
+    //Move camera up for transition
+    CAMERA.position.y = CAMERA_POSITION_DEFAULT.y + MENU_TRANSITION_HEIGHT;
+
+    //Switch scene
+    switchToScene(SCENE_ID.Settings);
+}
+
+/**
+ * Switches to game and sets up the scene
+ */
+const transitionToGame = () =>
+{
+    resetGame();
+    startRecording(runSeed);
+    switchToScene(SCENE_ID.Game);
+}
+
+/**
+ * Switches to game and plays the specified level
+ * @param {BundledLevel} bundled The level to play
+ */
+const transitionToLevel = bundled =>
+{
+    resetGame(null, bundled);
+
+    //Tests from the editor aren't worth replaying
+    if(bundled.id !== null) startRecording(runSeed, bundled.id);
+    switchToScene(SCENE_ID.Game);
+}
+
+/**
+ * Switches to the editor and sets up the scene
+ */
+const transitionToEditor = () =>
+{
+    //Give control back to the player if watching a replay
+    stopReplay();
+
+    //Let go of anything held when leaving a test
+    aimPointerId = null;
+    rewindPointerId = null;
+
+    //Setup the editor
+    resetEditor();
+
+    //Switch scene
+    switchToScene(SCENE_ID.Editor);
+}
+
+/**
+ * Leaves the game scene for wherever the run was started from
+ */
+const transitionFromGame = () =>
+{
+    if(currentLevel === null) transitionToMenu();
+    else if(currentLevel.id === null) transitionToEditor();
+    else transitionToLevelSelect();
+}
+
+/**
+ * Switches to game and plays back the specified replay
+ * @param {Replay} replay The replay to watch
  */
-const transitionToGame = () =>
+const transitionToReplay = replay =>
 {
-    resetGame();
+    resetGame(replay.seed, replay.level === null ? null : getBundledLevel(replay.level));
+    startReplay(replay);
     switchToScene(SCENE_ID.Game);
 }
 
@@ -1786,15 +4342,17 @@ const init = () =>
     //Add the game panel to the dom
     GAME_CONTAINER_ELEMENT.appendChild(APP.view);
 
-    //Set the position relative to the page
-    const bounds = APP.view.getBoundingClientRect();
-    APP_CLIENT_POSITION = Victor(bounds.x, bounds.y);
-
-    //Set the client center
-    APP_CLIENT_CENTER = APP_CLIENT_POSITION.clone().add(APP_SIZE.clone().multiplyScalar(0.5));
-
     //Load local storage
+    loadSettings();
     loadHighestDeath();
+    loadCompletedLevels();
+    loadEditorLevel();
+
+    //Fit the app to the page, which also sets its position on the page
+    initializeScreenManager();
+
+    //Read the seed from the url
+    initializeRandomManager();
 
     //Load any assets
     loadAssets();
@@ -1845,6 +4403,12 @@ const loadAssets = async() =>
     //Load audio
     loadAudio();
 
+    //Load the difficulty before the world is created with it
+    await loadDifficultyTable();
+
+    //Load the levels before the level select lists them
+    await loadLevels();
+
     //Start the game
     start();
 }
@@ -1861,6 +4425,9 @@ const start = () =>
     initializeScenes();
     initializeGameScene(getScene(SCENE_ID.Game));
     initializeMenu(getScene(SCENE_ID.Menu));
+    initializeLevelSelect(getScene(SCENE_ID.LevelSelect));
+    initializeEditor(getScene(SCENE_ID.Editor));
+    initializeSettings(getScene(SCENE_ID.Settings));
     switchToScene(SCENE_ID.Menu);
 
     //Add debug to the stage to be visible over everything
@@ -1884,6 +4451,15 @@ const update = () =>
         case SCENE_ID.Game:
             updateGame();
             break;
+        case SCENE_ID.LevelSelect:
+            updateLevelSelect();
+            break;
+        case SCENE_ID.Editor:
+            updateEditor();
+            break;
+        case SCENE_ID.Settings:
+            updateSettings();
+            break;
     }
     
     //Update the debugger AFTER objects are updated so there is no lag in positioning
@@ -1894,6 +4470,24 @@ const update = () =>
 
 //#region Menu Scene
 
+/**
+ * Copies a link to the seed of the recent run, saying on the seed button whether it worked
+ */
+const copySeedLink = async() =>
+{
+    const seed = lastReplay.seed;
+    try
+    {
+        await navigator.clipboard.writeText(getSeedLink(seed));
+        SEED_BUTTON.text = `Seed: ${seed} (link copied)`;
+    }
+    catch
+    {
+        //The clipboard isn't there on insecure pages and can be blocked
+        SEED_BUTTON.text = `Seed: ${seed} (couldn't copy link)`;
+    }
+}
+
 /**
  * Initialize the menu scene
  * @param {PIXI.Container} menuScene The scene to initialize the menu into
@@ -1915,6 +4509,24 @@ const initializeMenu = menuScene =>
     playButton.position.x = CAMERA_POSITION_DEFAULT.x;
     menuScene.addChild(playButton);
 
+    //Levels
+    const levelsButton = new MenuItem("Levels", 0x000000, 0.5, transitionToLevelSelect);
+    levelsButton.position.set(CAMERA_POSITION_DEFAULT.x - APP_SIZE.x * 0.3, CAMERA_POSITION_DEFAULT.y + APP_SIZE.y * 0.07);
+    levelsButton.tint = 0x000fff;
+    menuScene.addChild(levelsButton);
+
+    //Settings
+    const settingsButton = new MenuItem("Settings", 0x000000, 0.5, transitionToSettings);
+    settingsButton.position.set(CAMERA_POSITION_DEFAULT.x, CAMERA_POSITION_DEFAULT.y + APP_SIZE.y * 0.07);
+    settingsButton.tint = 0x000fff;
+    menuScene.addChild(settingsButton);
+
+    //Editor
+    const editorButton = new MenuItem("Editor", 0x000000, 0.5, transitionToEditor);
+    editorButton.position.set(CAMERA_POSITION_DEFAULT.x + APP_SIZE.x * 0.3, CAMERA_POSITION_DEFAULT.y + APP_SIZE.y * 0.07);
+    editorButton.tint = 0x000fff;
+    menuScene.addChild(editorButton);
+
     //Documentation
     const docButton = new MenuItem("Doc", 0x000000, 0.6, () => openWebpage("doc.html"));
     docButton.position.set(CAMERA_POSITION_DEFAULT.x - APP_SIZE.x * 0.4,
@@ -1958,6 +4570,29 @@ const initializeMenu = menuScene =>
     LAST_HEIGHT_LABEL.scale.set(0.5);
     menuScene.addChild(LAST_HEIGHT_LABEL);
 
+    //Replays
+    const replayHeight = CAMERA_POSITION_DEFAULT.y - APP_SIZE.y * 0.12;
+    WATCH_BEST_BUTTON = new MenuItem("Watch best", 0x000000, 0.35, () => transitionToReplay(loadBestReplay()));
+    WATCH_BEST_BUTTON.position.set(CAMERA_POSITION_DEFAULT.x - APP_SIZE.x * 0.3, replayHeight);
+    WATCH_BEST_BUTTON.tint = 0x000fff;
+    menuScene.addChild(WATCH_BEST_BUTTON);
+
+    SAVE_REPLAY_BUTTON = new MenuItem("Save replay", 0x000000, 0.35, () => downloadReplay(lastReplay));
+    SAVE_REPLAY_BUTTON.position.set(CAMERA_POSITION_DEFAULT.x, replayHeight);
+    SAVE_REPLAY_BUTTON.tint = 0x000fff;
+    menuScene.addChild(SAVE_REPLAY_BUTTON);
+
+    const loadReplayButton = new MenuItem("Load replay", 0x000000, 0.35, uploadReplay);
+    loadReplayButton.position.set(CAMERA_POSITION_DEFAULT.x + APP_SIZE.x * 0.3, replayHeight);
+    loadReplayButton.tint = 0x000fff;
+    menuScene.addChild(loadReplayButton);
+
+    //Seed of the recent run, click to copy a link that replays it
+    SEED_BUTTON = new MenuItem(" ", 0x000000, 0.35, copySeedLink);
+    SEED_BUTTON.position.set(CAMERA_POSITION_DEFAULT.x, CAMERA_POSITION_DEFAULT.y + APP_SIZE.y * 0.33);
+    SEED_BUTTON.visible = false;
+    menuScene.addChild(SEED_BUTTON);
+
     //Setup menu
     resetMenu();
 }
@@ -1967,8 +4602,10 @@ const initializeMenu = menuScene =>
  */
 const updateMenu = () =>
 {
-    //Ease to menu
+    //Ease to menu, letting anything left over from the game settle
     CAMERA.easeTo(CAMERA_POSITION_DEFAULT, CAMERA_ZOOM_DEFAULT, CAMERA_AIMING_EASING_FACTOR);
+    CAMERA.lookAheadTarget = Victor(0, 0);
+    CAMERA.updateEffects(APP.ticker.elapsedMS * 0.001);
 
     //Update menu items
     for(const item of MENU_ITEMS) item.update();
@@ -2001,6 +4638,398 @@ const resetMenu = () =>
     {
         LAST_HEIGHT_LABEL.text = `You just reached reached: ${lastDeathHeight}m`;
     }
+
+    //Seed of the run that just ended (not runSeed since that could be from a replay)
+    if(lastReplay !== null) SEED_BUTTON.text = `Seed: ${lastReplay.seed} (click to copy link)`;
+
+    //Only show seed and replay buttons when there is something to replay, the seed alone can't replay a level
+    SEED_BUTTON.visible = lastReplay !== null && lastReplay.level === null;
+    WATCH_BEST_BUTTON.visible = loadBestReplay() !== null;
+    SAVE_REPLAY_BUTTON.visible = lastReplay !== null;
+}
+
+//#endregion
+
+//#region Level Select Scene
+
+/**
+ * Initialize the level select scene
+ * @param {PIXI.Container} levelSelectScene The scene to initialize the level select into
+ */
+const initializeLevelSelect = levelSelectScene =>
+{
+    //Title
+    const title = new PIXI.Text("Levels", LIGHT_TEXT_STYLE);
+    title.position.set(CAMERA_POSITION_DEFAULT.x, CAMERA_POSITION_DEFAULT.y - APP_SIZE.y * 0.35);
+    title.tint = 0x000000;
+    title.anchor.set(0.5);
+    title.scale.set(1);
+    levelSelectScene.addChild(title);
+
+    //One button per level, listed down the screen
+    LEVELS.forEach((bundled, index) =>
+    {
+        const levelButton = new MenuItem(" ", 0x000000, 0.5, () => transitionToLevel(bundled));
+        levelButton.position.set(CAMERA_POSITION_DEFAULT.x, CAMERA_POSITION_DEFAULT.y - APP_SIZE.y * (0.2 - index * 0.09));
+        levelSelectScene.addChild(levelButton);
+        LEVEL_BUTTONS.push(levelButton);
+    });
+
+    //Let them know if the levels couldn't be loaded
+    if(LEVELS.length === 0)
+    {
+        const emptyLabel = new PIXI.Text("No levels found", LIGHT_TEXT_STYLE);
+        emptyLabel.position.set(CAMERA_POSITION_DEFAULT.x, CAMERA_POSITION_DEFAULT.y);
+        emptyLabel.tint = 0x000000;
+        emptyLabel.anchor.set(0.5);
+        emptyLabel.scale.set(0.5);
+        levelSelectScene.addChild(emptyLabel);
+    }
+
+    //Back
+    const backButton = new MenuItem("Back", 0x000000, 0.6, transitionToMenu);
+    backButton.position.set(CAMERA_POSITION_DEFAULT.x, CAMERA_POSITION_DEFAULT.y + APP_SIZE.y * 0.4);
+    backButton.tint = 0x000fff;
+    levelSelectScene.addChild(backButton);
+}
+
+/**
+ * Updates the level select scene
+ */
+const updateLevelSelect = () =>
+{
+    //Same as the menu
+    updateMenu();
+}
+
+/**
+ * Resets everything in the level select to starting values
+ */
+const resetLevelSelect = () =>
+{
+    //Set background
+    APP.renderer.backgroundColor = 0xffffff;
+
+    //Transition camera
+    CAMERA.zoom = CAMERA_ZOOM_DEFAULT;
+    CAMERA.position = CAMERA_POSITION_DEFAULT.clone();
+
+    //Mark the completed levels
+    LEVELS.forEach((bundled, index) =>
+    {
+        const isCompleted = completedLevels.has(bundled.id);
+        LEVEL_BUTTONS[index].text = `${isCompleted ? "\u2713 " : ""}${bundled.level.name}`;
+        LEVEL_BUTTONS[index].tint = isCompleted ? 0x00bb00 : 0x000000;
+    });
+}
+
+//#endregion
+
+//#region Settings Scene
+
+/**
+ * Initialize the settings scene
+ * @param {PIXI.Container} settingsScene The scene to initialize the settings into
+ */
+const initializeSettings = settingsScene =>
+{
+    //Title
+    const title = new PIXI.Text("Settings", LIGHT_TEXT_STYLE);
+    title.position.set(CAMERA_POSITION_DEFAULT.x, CAMERA_POSITION_DEFAULT.y - APP_SIZE.y * 0.35);
+    title.tint = 0x000000;
+    title.anchor.set(0.5);
+    title.scale.set(1);
+    settingsScene.addChild(title);
+
+    //One button per setting, clicking one changes it to its next value
+    SETTING_OPTIONS.forEach((option, index) =>
+    {
+        const settingButton = new MenuItem(" ", 0x000000, 0.5, () =>
+        {
+            cycleSetting(option);
+            settingButton.text = getSettingText(option);
+        });
+        settingButton.position.set(CAMERA_POSITION_DEFAULT.x, CAMERA_POSITION_DEFAULT.y - APP_SIZE.y * (0.2 - index * 0.09));
+        settingsScene.addChild(settingButton);
+        SETTING_BUTTONS.push(settingButton);
+    });
+
+    //Back
+    const backButton = new MenuItem("Back", 0x000000, 0.6, transitionToMenu);
+    backButton.position.set(CAMERA_POSITION_DEFAULT.x, CAMERA_POSITION_DEFAULT.y + APP_SIZE.y * 0.4);
+    backButton.tint = 0x000fff;
+    settingsScene.addChild(backButton);
+}
+
+/**
+ * Updates the settings scene
+ */
+const updateSettings = () =>
+{
+    //Same as the menu
+    updateMenu();
+}
+
+/**
+ * Resets everything in the settings to starting values
+ */
+const resetSettings = () =>
+{
+    //Set background
+    APP.renderer.backgroundColor = 0xffffff;
+
+    //Transition camera
+    CAMERA.zoom = CAMERA_ZOOM_DEFAULT;
+    CAMERA.position = CAMERA_POSITION_DEFAULT.clone();
+
+    //Show the current values
+    SETTING_OPTIONS.forEach((option, index) => SETTING_BUTTONS[index].text = getSettingText(option));
+}
+
+//#endregion
+
+//#region Editor Scene
+
+/**
+ * The color of the buttons in the editor when they aren't highlighted
+ * @type {number}
+ */
+const EDITOR_BUTTON_TINT = 0xffffff;
+
+/**
+ * The color of the editor's active tool and snapping buttons
+ * @type {number}
+ */
+const EDITOR_ACTIVE_TINT = 0x00ff00;
+
+/**
+ * Initialize the editor scene
+ * @param {PIXI.Container} editorScene The scene to initialize the editor into
+ */
+const initializeEditor = editorScene =>
+{
+    //World space, under the toolbars
+    EDITOR_GRID = new PIXI.Graphics();
+    editorScene.addChild(EDITOR_GRID);
+
+    EDITOR_GOAL_VIEW = createGoalView();
+    EDITOR_GOAL_VIEW.visible = true;
+    editorScene.addChild(EDITOR_GOAL_VIEW);
+
+    EDITOR_OBSTACLES = new PIXI.Container();
+    editorScene.addChild(EDITOR_OBSTACLES);
+
+    EDITOR_SELECTION_RING = new PIXI.Graphics();
+    editorScene.addChild(EDITOR_SELECTION_RING);
+
+    //Screen space
+    EDITOR_UI = new PIXI.Container();
+    editorScene.addChild(EDITOR_UI);
+
+    //The footer follows the bottom of the screen, which moves when the app is resized
+    EDITOR_FOOTER = new PIXI.Container();
+    EDITOR_UI.addChild(EDITOR_FOOTER);
+
+    //Backdrops so the toolbars can be read over the level
+    const backdrop = new PIXI.Graphics();
+    backdrop.beginFill(0x000000, 0.8);
+    backdrop.drawRect(0, 0, APP_SIZE.x, EDITOR_TOOLBAR_HEIGHT);
+    backdrop.endFill();
+    EDITOR_UI.addChild(backdrop);
+
+    const footerBackdrop = new PIXI.Graphics();
+    footerBackdrop.beginFill(0x000000, 0.8);
+    footerBackdrop.drawRect(0, 0, APP_SIZE.x, EDITOR_FOOTER_HEIGHT);
+    footerBackdrop.endFill();
+    EDITOR_FOOTER.addChild(footerBackdrop);
+
+    /**
+     * Adds a row of buttons spread evenly across the screen, with smaller text when there are a lot of them
+     * @param {number} y The y of the row within its parent
+     * @param {[string, Function][]} buttons The label and action of each button
+     * @param {PIXI.Container} parent What to add the buttons to
+     * @returns {MenuItem[]} The buttons
+     */
+    const addRow = (y, buttons, parent = EDITOR_UI) => buttons.map(([text, onClick], index) =>
+    {
+        const button = new MenuItem(text, EDITOR_BUTTON_TINT, buttons.length > 7 ? 0.25 : 0.3, onClick);
+        button.position.set(APP_SIZE.x * (index + 0.5) / buttons.length, y);
+        parent.addChild(button);
+        return button;
+    });
+
+    //Tools, in the same order as the EDITOR_TOOL enum
+    EDITOR_TOOL_BUTTONS.push(...addRow(15,
+    [
+        ["Select", () => editorTool = EDITOR_TOOL.Select],
+        ["Orb", () => editorTool = EDITOR_TOOL.Orb],
+        ["Spike", () => editorTool = EDITOR_TOOL.Spike],
+        ["Well", () => editorTool = EDITOR_TOOL.GravityWell],
+        ["Repel", () => editorTool = EDITOR_TOOL.Repulsor],
+        ["Slow", () => editorTool = EDITOR_TOOL.SlowZone],
+        ["Fast", () => editorTool = EDITOR_TOOL.FastZone],
+        ["Portal", () => editorTool = EDITOR_TOOL.Portal],
+        ["Power", () => editorTool = EDITOR_TOOL.PowerUp]
+    ]));
+
+    //The selected obstacle, snapping and testing
+    EDITOR_SNAP_BUTTON = addRow(45,
+    [
+        ["Turn -", () => rotateEditorSelection(-1)],
+        ["Turn +", () => rotateEditorSelection(1)],
+        ["Smaller", () => scaleEditorSelection(-1)],
+        ["Bigger", () => scaleEditorSelection(1)],
+        ["Delete", deleteEditorSelection],
+        ["Kind", cycleEditorPowerUp],
+        ["Snap", () => editorSnapping = !editorSnapping],
+        ["Test", testEditorLevel]
+    ])[6];
+
+    //The level's settings (their text shows the current values) and history
+    const [nameButton, waveSpeedButton, goalHeightButton, startingFlingsButton] = addRow(75,
+    [
+        [" ", promptEditorName],
+        [" ", () => promptEditorSetting("waveSpeed", "Wave speed", 0)],
+        [" ", () => promptEditorSetting("goalHeight", "Goal height (m)", getHeightInMeters(PLAYER_START_POSITION.y) + 1)],
+        [" ", () => promptEditorSetting("startingFlings", "Starting flings", 0)],
+        ["Undo", undoEdit],
+        ["Redo", redoEdit]
+    ]);
+    Object.assign(EDITOR_SETTING_BUTTONS,
+        { name: nameButton, waveSpeed: waveSpeedButton, goalHeight: goalHeightButton, startingFlings: startingFlingsButton });
+
+    //Files
+    addRow(EDITOR_FOOTER_HEIGHT * 0.5,
+    [
+        ["Menu", transitionToMenu],
+        ["New", () => replaceEditorLevel(createEmptyLevel())],
+        ["Import", importEditorLevel],
+        ["Export", exportEditorLevel],
+        ["Copy", copyEditorLevel],
+        ["Paste", pasteEditorLevel]
+    ]);
+}
+
+/**
+ * Recreates the views of every obstacle in the level being edited, after they are added, removed or replaced
+ */
+const rebuildEditorViews = () =>
+{
+    for(const view of EDITOR_OBSTACLES.removeChildren()) view.destroy({ children: true });
+    for(const placed of editorLevel.obstacles) EDITOR_OBSTACLES.addChild(new EditorObstacleView(placed));
+}
+
+/**
+ * Draws the grid, walls, start of the player and wave over what the editor camera sees
+ */
+const drawEditorGrid = () =>
+{
+    const bounds = EDITOR_CAMERA.boundingRectangle;
+    EDITOR_GRID.clear();
+
+    //Grid, coarser when not snapping since it is just for reference
+    const spacing = editorSnapping ? EDITOR_GRID_SIZE : EDITOR_GRID_SIZE * 4;
+    EDITOR_GRID.lineStyle(1 / EDITOR_CAMERA.zoom, 0x333333);
+    for(let x = Math.floor(bounds.left / spacing) * spacing; x < bounds.right; x += spacing)
+    {
+        EDITOR_GRID.moveTo(x, bounds.top);
+        EDITOR_GRID.lineTo(x, bounds.bottom);
+    }
+    for(let y = Math.floor(bounds.top / spacing) * spacing; y < bounds.bottom; y += spacing)
+    {
+        EDITOR_GRID.moveTo(bounds.left, y);
+        EDITOR_GRID.lineTo(bounds.right, y);
+    }
+
+    //Walls
+    EDITOR_GRID.lineStyle(3 / EDITOR_CAMERA.zoom, 0xffffff);
+    for(const x of [0, WORLD_SIZE.x])
+    {
+        EDITOR_GRID.moveTo(x, bounds.top);
+        EDITOR_GRID.lineTo(x, bounds.bottom);
+    }
+    EDITOR_GRID.lineStyle(0);
+
+    //Where the wave starts
+    const waveY = PLAYER_START_POSITION.y + WAVE_START_DISTANCE;
+    EDITOR_GRID.beginFill(0xffffff, 0.5);
+    EDITOR_GRID.drawRect(0, waveY, WORLD_SIZE.x, Math.max(bounds.bottom - waveY, 0));
+    EDITOR_GRID.endFill();
+
+    //Where the player starts
+    EDITOR_GRID.beginFill(0xffffff);
+    EDITOR_GRID.drawCircle(PLAYER_START_POSITION.x, PLAYER_START_POSITION.y, 10);
+    EDITOR_GRID.endFill();
+
+    //Which portals are pairs
+    const portals = editorLevel.obstacles.filter(placed => placed.type === OBSTACLE_TYPE.Portal);
+    EDITOR_GRID.lineStyle(2 / EDITOR_CAMERA.zoom, PORTAL_TINT, 0.5);
+    for(const [index, portal] of portals.entries())
+    {
+        const partner = portals.find((other, otherIndex) => otherIndex > index && other.link === portal.link);
+        if(!partner) continue;
+
+        EDITOR_GRID.moveTo(portal.x, portal.y);
+        EDITOR_GRID.lineTo(partner.x, partner.y);
+    }
+    EDITOR_GRID.lineStyle(0);
+}
+
+/**
+ * Updates the editor scene
+ */
+const updateEditor = () =>
+{
+    //Update camera
+    EDITOR_CAMERA.update();
+
+    //Undo the camera so the toolbars stay in place on screen
+    EDITOR_UI.position.set(EDITOR_CAMERA.boundingRectangle.x, EDITOR_CAMERA.boundingRectangle.y);
+    EDITOR_UI.scale.set(1 / EDITOR_CAMERA.zoom);
+    EDITOR_FOOTER.y = APP_SIZE.y - EDITOR_FOOTER_HEIGHT;
+
+    drawEditorGrid();
+
+    //Level
+    EDITOR_GOAL_VIEW.position.y = getYAtHeight(editorLevel.goalHeight);
+    for(const view of EDITOR_OBSTACLES.children) view.update();
+
+    //Selection
+    EDITOR_SELECTION_RING.clear();
+    if(editorSelection !== null)
+    {
+        const placed = editorLevel.obstacles[editorSelection];
+        EDITOR_SELECTION_RING.lineStyle(2 / EDITOR_CAMERA.zoom, 0xffff00);
+        EDITOR_SELECTION_RING.drawCircle(placed.x, placed.y, getPlacedRadius(placed) + 5);
+    }
+
+    //Toolbars
+    EDITOR_TOOL_BUTTONS.forEach((button, tool) => button.tint = tool === editorTool ? EDITOR_ACTIVE_TINT : EDITOR_BUTTON_TINT);
+    EDITOR_SNAP_BUTTON.tint = editorSnapping ? EDITOR_ACTIVE_TINT : EDITOR_BUTTON_TINT;
+    EDITOR_SETTING_BUTTONS.name.text = editorLevel.name;
+    EDITOR_SETTING_BUTTONS.waveSpeed.text = `Wave: ${editorLevel.waveSpeed}`;
+    EDITOR_SETTING_BUTTONS.goalHeight.text = `Goal: ${editorLevel.goalHeight}m`;
+    EDITOR_SETTING_BUTTONS.startingFlings.text = `Flings: ${editorLevel.startingFlings}`;
+
+    //Update menu items
+    for(const item of MENU_ITEMS) item.update();
+}
+
+/**
+ * Resets everything in the editor to starting values
+ */
+const resetEditor = () =>
+{
+    //Set background
+    APP.renderer.backgroundColor = 0x111111;
+
+    //Start looking at where the player starts
+    EDITOR_CAMERA.zoom = CAMERA_ZOOM_DEFAULT;
+    EDITOR_CAMERA.position = CAMERA_POSITION_DEFAULT.clone();
+
+    editorSelection = null;
+    editorDrag = null;
+    rebuildEditorViews();
 }
 
 //#endregion
@@ -2014,16 +5043,24 @@ const resetMenu = () =>
 const initializeGameScene = gameScene =>
 {
     //Initialize the objects
-    initializeOjects(10, 7);
+    initializeOjects(DIFFICULTY_TABLE);
 
-    //Add all the objects to the scene
-    for(const object of OBJECTS)
+    //Add all the views to the scene
+    for(const view of VIEWS)
     {
-        gameScene.addChild(object);
+        gameScene.addChild(view);
     }
 
+    //Add the goal under the wave so the wave covers it
+    GOAL_VIEW = createGoalView();
+    gameScene.addChild(GOAL_VIEW);
+
     //Add wave to the scene
-    gameScene.addChild(WAVE);
+    gameScene.addChild(WAVE_VIEW);
+
+    //Add particles over the wave so the death splash shows
+    initializeParticles();
+    gameScene.addChild(PARTICLE_CONTAINER);
 
     //Add tutorial text
     const title = new PIXI.Text("Drag anywhere and\nrelease to fling", LIGHT_TEXT_STYLE);
@@ -2032,6 +5069,181 @@ const initializeGameScene = gameScene =>
     title.anchor.set(0.5);
     title.scale.set(0.5);
     gameScene.addChild(title);
+
+    //Add the HUD on top of everything
+    initializeHud(gameScene);
+}
+
+/**
+ * Creates the line marking the goal of a level, its y is set when a level starts
+ * @returns {PIXI.Container} The goal view
+ */
+const createGoalView = () =>
+{
+    const goalView = new PIXI.Container();
+    goalView.visible = false;
+
+    const line = new PIXI.Graphics();
+    line.beginFill(0x00ff00);
+    line.drawRect(0, -2, WORLD_SIZE.x, 4);
+    line.endFill();
+    goalView.addChild(line);
+
+    const label = new PIXI.Text("Goal", LIGHT_TEXT_STYLE);
+    label.position.set(WORLD_SIZE.x * 0.5, -8);
+    label.tint = 0x00ff00;
+    label.anchor.set(0.5, 1);
+    label.scale.set(0.3);
+    goalView.addChild(label);
+
+    return goalView;
+}
+
+/**
+ * Initializes the heads up display into the specified scene
+ * @param {PIXI.Container} gameScene The scene to add the HUD to
+ */
+const initializeHud = gameScene =>
+{
+    HUD = new PIXI.Container();
+    gameScene.addChild(HUD);
+
+    //Rewind
+    const rewindLabel = new PIXI.Text("Rewind (R)", LIGHT_TEXT_STYLE);
+    rewindLabel.position.set(HUD_MARGIN, HUD_MARGIN);
+    rewindLabel.scale.set(0.25);
+    HUD.addChild(rewindLabel);
+
+    REWIND_METER = new PIXI.Graphics();
+    REWIND_METER.position.set(HUD_MARGIN, HUD_MARGIN + 18);
+    HUD.addChild(REWIND_METER);
+
+    //Chrono-energy
+    const chronoEnergyLabel = new PIXI.Text("Time stop", LIGHT_TEXT_STYLE);
+    chronoEnergyLabel.position.set(HUD_MARGIN, HUD_MARGIN + 36);
+    chronoEnergyLabel.scale.set(0.25);
+    HUD.addChild(chronoEnergyLabel);
+
+    CHRONO_ENERGY_METER = new PIXI.Graphics();
+    CHRONO_ENERGY_METER.position.set(HUD_MARGIN, HUD_MARGIN + 54);
+    HUD.addChild(CHRONO_ENERGY_METER);
+
+    //Power-ups, with the seconds they have left under them
+    for(const powerUpType of Object.values(POWER_UP_TYPE))
+    {
+        const icon = new PIXI.Container();
+        HUD.addChild(icon);
+
+        const ring = new PIXI.Graphics();
+        drawPowerUp(ring, POWER_UP_COLLIDER_RADIUS * 0.7);
+        ring.tint = POWER_UP_ICONS[powerUpType].tint;
+        icon.addChild(ring);
+        icon.addChild(createPowerUpLabel(powerUpType));
+
+        const countdown = new PIXI.Text(" ", LIGHT_TEXT_STYLE);
+        countdown.anchor.set(0.5, 0);
+        countdown.position.set(0, POWER_UP_COLLIDER_RADIUS * 0.5 + 4);
+        countdown.scale.set(0.25);
+        icon.addChild(countdown);
+
+        POWER_UP_HUD_ICONS[powerUpType] = { icon: icon, countdown: countdown };
+    }
+
+    //Let go here to cancel aiming
+    CANCEL_ZONE = new PIXI.Graphics();
+    CANCEL_ZONE.position.set(CANCEL_ZONE_POSITION.x, CANCEL_ZONE_POSITION.y);
+    CANCEL_ZONE.lineStyle(3, 0xffffff);
+    CANCEL_ZONE.drawCircle(0, 0, CANCEL_ZONE_RADIUS);
+    const cross = CANCEL_ZONE_RADIUS * 0.35;
+    CANCEL_ZONE.moveTo(-cross, -cross).lineTo(cross, cross);
+    CANCEL_ZONE.moveTo(cross, -cross).lineTo(-cross, cross);
+    HUD.addChild(CANCEL_ZONE);
+
+    //How far below the screen the wave is
+    WAVE_INDICATOR = new PIXI.Container();
+    HUD.addChild(WAVE_INDICATOR);
+
+    const arrow = new PIXI.Graphics();
+    arrow.beginFill(0xffffff);
+    arrow.drawPolygon([-10, -10, 10, -10, 0, 0]);
+    arrow.endFill();
+    WAVE_INDICATOR.addChild(arrow);
+
+    WAVE_INDICATOR_LABEL = new PIXI.Text(" ", LIGHT_TEXT_STYLE);
+    WAVE_INDICATOR_LABEL.anchor.set(0.5, 1);
+    WAVE_INDICATOR_LABEL.position.set(0, -14);
+    WAVE_INDICATOR_LABEL.scale.set(0.25);
+    WAVE_INDICATOR.addChild(WAVE_INDICATOR_LABEL);
+}
+
+/**
+ * Updates the heads up display, should be called after the camera is updated
+ */
+const updateHud = () =>
+{
+    //Undo the camera so the HUD stays in place on screen
+    HUD.position.set(CAMERA.boundingRectangle.x, CAMERA.boundingRectangle.y);
+    HUD.scale.set(1 / CAMERA.viewZoom);
+
+    //Rewind charge
+    drawMeter(REWIND_METER, WORLD.rewindCharge / REWIND_CHARGE_MAX, 0x66ccff);
+
+    //Chrono-energy
+    drawMeter(CHRONO_ENERGY_METER, PLAYER.chronoEnergy / CHRONO_ENERGY_MAX, 0xffff00);
+
+    //Active power-ups line up from the right
+    let slot = 0;
+    for(const [powerUpType, { icon, countdown }] of Object.entries(POWER_UP_HUD_ICONS))
+    {
+        const seconds = PLAYER.powerUps[powerUpType];
+        icon.visible = seconds !== undefined;
+        if(!icon.visible) continue;
+
+        icon.position.set(APP_SIZE.x - HUD_MARGIN - HUD_POWER_UP_SPACING * (slot + 0.5), HUD_MARGIN + 20);
+        countdown.text = Math.ceil(seconds).toString();
+
+        //Blink when about to run out
+        icon.alpha = seconds < HUD_POWER_UP_BLINK_SECONDS && Math.floor(seconds * 4) % 2 === 0 ? 0.4 : 1;
+        slot++;
+    }
+
+    //The cancel zone while a pointer is aiming, red while the pointer is in it
+    CANCEL_ZONE.visible = !isReplaying() && aimSource === AIM_SOURCE.Pointer && PLAYER.playerState === PLAYER_STATE.Aiming;
+    const isCancelling = isInCancelZone(mouseCanvasPosition);
+    CANCEL_ZONE.tint = isCancelling ? 0xff3333 : 0xffffff;
+    CANCEL_ZONE.alpha = isCancelling ? 1 : 0.5;
+
+    //The wave's distance while it is out of view, red while it surges
+    const cameraBottom = CAMERA.boundingRectangle.bottom;
+    const waveY = WAVE.getInterpolatedY(physicsInterpolation);
+    WAVE_INDICATOR.visible = waveY - WAVE_AMPLITUDE > cameraBottom;
+    if(WAVE_INDICATOR.visible)
+    {
+        WAVE_INDICATOR.position.set(APP_SIZE.x * 0.5, APP_SIZE.y - HUD_MARGIN);
+        WAVE_INDICATOR_LABEL.text = `${getHeightInMeters(cameraBottom) - getHeightInMeters(waveY)}m`;
+        for(const child of WAVE_INDICATOR.children) child.tint = WAVE.isSurging() ? WAVE_SURGE_TINT : 0xffffff;
+    }
+}
+
+/**
+ * Redraws the specified HUD meter
+ * @param {PIXI.Graphics} meter The meter to draw
+ * @param {number} fill How full the meter is (0-1)
+ * @param {number} color The color of the filled part
+ */
+const drawMeter = (meter, fill, color) =>
+{
+    meter.clear();
+
+    //Background
+    meter.beginFill(0x333333);
+    meter.drawRect(0, 0, HUD_METER_SIZE.x, HUD_METER_SIZE.y);
+    meter.endFill();
+
+    //Fill
+    meter.beginFill(color);
+    meter.drawRect(0, 0, HUD_METER_SIZE.x * Math.min(Math.max(fill, 0), 1), HUD_METER_SIZE.y);
+    meter.endFill();
 }
 
 /**
@@ -2042,42 +5254,86 @@ const updateGame = () =>
     //Follow player when not aiming, speed up camera if player is going too fast
     let easeFactor = CAMERA_EASING_FACTOR;
     if(PLAYER.velocity.lengthSq() > 6000000) easeFactor  = CAMERA_SPEEDING_EASING_FACTOR;
-    CAMERA.easeTo(PLAYER.vectorPosition, CAMERA_ZOOM_DEFAULT, easeFactor);
+    CAMERA.easeTo(PLAYER.getInterpolatedPosition(physicsInterpolation), CAMERA_ZOOM_DEFAULT, easeFactor);
+
+    //Lead fast flings by how far the player is about to move on screen
+    const isLeading = !SETTINGS.reducedMotion && PLAYER.playerState === PLAYER_STATE.Idle &&
+        PLAYER.velocity.lengthSq() > CAMERA_LOOK_AHEAD_SPEED_MIN_SQUARED;
+    const lead = PLAYER.velocity.length() * CAMERA_LOOK_AHEAD_SECONDS * currentGameSpeed;
+    CAMERA.lookAheadTarget = isLeading ?
+        normalizeOr(PLAYER.velocity, Victor(0, 0)).multiplyScalar(Math.min(lead, CAMERA_LOOK_AHEAD_MAX)) :
+        Victor(0, 0);
+    CAMERA.updateEffects(APP.ticker.elapsedMS * 0.001);
     
     //Update camera
     CAMERA.update();
     updateInputManager();
 
-    //Update physics manager
-    updatePhysicsManager();
+    //Play back any replay inputs (they can happen while time is stopped so check every frame too)
+    updateReplayManager();
+
+    //Rules that run on real time, like time stop costing energy.
+    //Replays don't need them since every fling (even forced ones) was recorded
+    if(!isReplaying()) WORLD.updateRealTime(APP.ticker.elapsedMS * 0.001);
+
+    //Update physics manager, which steps the world
+    updatePhysicsManager(fixedUpdateGame);
 
-    //Update all physics objects
+    //Update all views
     updateObjects();
+
+    //Update particles
+    updateParticles();
+
+    //Update the HUD
+    updateHud();
+}
+
+/**
+ * Runs a single physics step for the game scene
+ */
+const fixedUpdateGame = () =>
+{
+    //Replay inputs happen at the exact step they were recorded
+    updateReplayManager();
+
+    //Step (or rewind) everything
+    WORLD.step();
 }
 
 /**
  * Resets everything in the game to starting values
+ * @param {number | null} seed The seed to use for this run, null for a new one
+ * @param {BundledLevel | null} bundled The level to play, null to generate one
  */
-const resetGame = () =>
+const resetGame = (seed = null, bundled = null) =>
 {
+    currentLevel = bundled;
+
     //Set background
     APP.renderer.backgroundColor = 0x000000;
 
-    //Reset player
-    PLAYER.reset();
+    //Seed for this run
+    resetRandomManager(seed);
+
+    //Reset physics
+    resetPhysicsManager();
+    resetParticles();
 
     //Reset camera
     CAMERA.zoom = CAMERA_ZOOM_DEFAULT;
     CAMERA.position = CAMERA_POSITION_DEFAULT.clone();
+    CAMERA.clearEffects();
 
     //Compute the matrix and bounding rectangle
     CAMERA.computeMatrix();
 
-    //Reset other physics objects
-    resetObjects(CAMERA.boundingRectangle);
+    //Reset the player, obstacles and wave
+    WORLD.reset(runSeed, bundled?.level ?? null);
 
-    //Reset the wave
-    WAVE.reset();
+    //Show where the goal is
+    GOAL_VIEW.visible = bundled !== null;
+    if(bundled) GOAL_VIEW.position.y = getYAtHeight(bundled.level.goalHeight);
 }
 
 //#endregion
@@ -2091,74 +5347,4 @@ const resetGame = () =>
  */
 const toVector = (point) => Victor(point.x, point.y);
 
-/**
- * Generates a random number from 0 to the specified maximum
- * @param {number} max Max inclusive
- * @returns {number} A random number from 0 to the specified max
- */
-const random = max => Math.random() * max;
-
-/**
- * Generates a random number within the specified range
- * @param {number} min Min inclusive
- * @param {number} max Max inclusive
- * @returns {number} A random number within the specified range
- */
-const randomRange = (min, max) => random(max - min) + min;
-
-
-/**
- * Generates a random vector within the specified bounds
- * @param {PIXI.Rectangle} bounds The bounds within which the vector should be generated
- * @returns {Victor} The randomly generated vector
- */
-const randomRange2D = bounds =>
-    Victor(randomRange(bounds.x, bounds.right), randomRange(bounds.y, bounds.bottom));
-
-/**
- * Linearly interpolates between two numbers.
- * If you set something to the lerp of itself, target, and easing, it is an easing function too
- * @param {number} min The lower bound
- * @param {number} max The upper bound
- * @param {number} progress How far along the lerp it is (0-1) or easing factor
- * @returns {number} The lerped vector
- */
-const lerp = (min, max, progress) => min + (max - min) * progress;
-
-/**
- * Linearly interpolates between two vectors
- * @param {Victor} min The lower bound of the lerp
- * @param {Victor} max The upper bound of the lerp
- * @param {number} progress How far along the lerp it is (0-1) or easing factor
- * @returns {Victor} The lerped vector
- */
-const lerp2D = (min, max, progress) => min.clone().add(max.clone().subtract(min).multiplyScalar(progress));
-
-/**
- * Checks if the specified decomposed circles are colliding
- * @param {Victor} p1 The position of the first circle
- * @param {number} r1 The radius of the first circle
- * @param {Victor} p2 The position of the second circle
- * @param {number} r2 The radius of the second circle
- * @returns {boolean} TRUE if the circles are colliding
- */
-const isColliding = (p1, r1, p2, r2) =>
-{
-    //Use distance squared to avoid the square root
-    const radiusTotal = r1 + r2;
-    return p1.distanceSq(p2) < radiusTotal * radiusTotal;
-}
-
-/**
- * Returns whether the specified circle is colliding with the specified point
- * @param {Victor} position The position of the circle
- * @param {number} radius The radius of the circle
- * @param {Victor} targetPoint The point to check against
- * @returns {boolean} TRUE if the circle is colliding with the point
- */
-const isCircleCollidingWithPoint = (position, radius, targetPoint) =>
-{
-    return position.distanceSq(targetPoint) < radius * radius;
-}
-
 //#endregion
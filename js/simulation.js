@@ -0,0 +1,4109 @@
+"use strict";
+
+//The game rules, with no rendering, DOM or audio so they can also run headless in node.
+//game.js draws this world and turns its events into sounds and particles
+
+//Victor is a global in the browser, in node it has to be required
+if(typeof Victor === "undefined") globalThis.Victor = require("victor");
+
+//#region Constants
+
+//#region Math
+
+/**
+ * 90 degrees in radians. Straight up
+ * @type {number}
+ */
+const PI_OVER_2 = Math.PI * 0.5;
+
+/**
+ * 360 degrees in radians. Full circle
+ * @type {number}
+ */
+const TWO_PI = Math.PI * 2;
+
+//#endregion
+
+//#region Physics
+
+/**
+ * The length of a single physics step in simulated seconds.
+ * 60 per second since that is the frame rate gravity and friction were tuned at
+ * @type {number}
+ */
+const PHYSICS_TIMESTEP = 1 / 60;
+
+/**@type {number} The amount of friction to be applied to physics objects */
+const FRICTION = 0.9;
+
+/**@type {Victor} The gravity to be applied to physics objects */
+const GRAVITY = Victor(0, 100000);
+
+//#endregion
+
+//#region World
+
+/**
+ * The width of the playable area (between the walls) and the height of one screen of it
+ * @type {Victor}
+ */
+const WORLD_SIZE = Victor(500, 750);
+
+/**
+ * Where the player starts each run
+ * @type {Victor}
+ */
+const PLAYER_START_POSITION = Victor(WORLD_SIZE.x * 0.5, 0);
+
+/**@type {number} The size of each cell of the obstacle broadphase grid */
+const OBSTACLE_GRID_CELL_SIZE = 100;
+
+/**
+ * @type {number} The speed of the wave
+ */
+const WAVE_SPEED = 200;
+
+/**
+ * @type {number} How far below the player the wave starts
+ */
+const WAVE_START_DISTANCE = 300;
+
+/**
+ * @type {number} How far the crests and troughs of the wave's surface are from its height
+ */
+const WAVE_AMPLITUDE = 14;
+
+/**
+ * @type {number} The distance between the crests of the wave's main swell
+ */
+const WAVE_LENGTH = 240;
+
+/**
+ * @type {number} The seconds it takes a crest of the main swell to move a wave length
+ */
+const WAVE_PERIOD = 2.5;
+
+/**
+ * @type {number} How many points along a movement are checked against the surface before narrowing down where it crossed
+ */
+const WAVE_SWEEP_SAMPLES = 16;
+
+/**
+ * @type {number} How much faster the wave gets each second of a generated run
+ */
+const WAVE_SPEED_RAMP_PER_SECOND = 0.01;
+
+/**
+ * @type {number} The most the wave speeds up over time, on top of its normal speed
+ */
+const WAVE_SPEED_RAMP_MAX = 0.6;
+
+/**
+ * @type {number} The seconds the player can go without climbing higher before the wave surges
+ */
+const WAVE_LINGER_SECONDS = 3;
+
+/**
+ * @type {number} How many seconds a surge lasts
+ */
+const WAVE_SURGE_SECONDS = 1.2;
+
+/**
+ * @type {number} How many times faster the wave rises while surging
+ */
+const WAVE_SURGE_MULTIPLIER = 3;
+
+//#endregion
+
+//#region Obstacles
+
+/**
+ * The amount to boost the player by when they hit an orb
+ * @type {number}
+ */
+const ORB_BOOST_MULTIPLIER = 1.2;
+
+/**
+ * How much speed the player keeps when they bounce off a spike
+ * @type {number}
+ */
+const SPIKE_KNOCKBACK_MULTIPLIER = 0.5;
+
+/**
+ * The collider radius of an orb before scaling
+ * @type {number}
+ */
+const ORB_COLLIDER_RADIUS = 40;
+
+/**
+ * The size of a spike's triangle before scaling
+ * @type {number}
+ */
+const SPIKE_SIZE = 75;
+
+//#endregion
+
+//#region Fields
+
+/**
+ * The radius of the core of a gravity well, repulsor or time zone before scaling. The player passes through it,
+ * it only marks the center and keeps other obstacles from being placed on top
+ * @type {number}
+ */
+const AREA_CORE_RADIUS = 15;
+
+/**
+ * How far a gravity well or repulsor reaches before scaling
+ * @type {number}
+ */
+const FIELD_RADIUS = 110;
+
+/**
+ * How hard a gravity well pulls at its center, for comparison GRAVITY is 100000
+ * @type {number}
+ */
+const GRAVITY_WELL_STRENGTH = 160000;
+
+/**
+ * How hard a repulsor pushes at its center
+ * @type {number}
+ */
+const REPULSOR_STRENGTH = 220000;
+
+/**
+ * The most gravity wells or repulsors a chunk is built with, the pools are sized for this many of each
+ * @type {number}
+ */
+const FIELDS_PER_CHUNK_MAX = 2;
+
+//#endregion
+
+//#region Time Zones
+
+/**
+ * How far a time zone reaches before scaling
+ * @type {number}
+ */
+const TIME_ZONE_RADIUS = 90;
+
+/**
+ * How fast time runs in a slow zone
+ * @type {number}
+ */
+const SLOW_ZONE_TIME_SCALE = 0.5;
+
+/**
+ * How fast time runs in a fast zone
+ * @type {number}
+ */
+const FAST_ZONE_TIME_SCALE = 1.6;
+
+/**
+ * The most time zones a chunk is built with, the pools are sized for this many of each
+ * @type {number}
+ */
+const TIME_ZONES_PER_CHUNK_MAX = 2;
+
+//#endregion
+
+//#region Portals
+
+/**
+ * The radius of the circle collider of a portal before scaling
+ * @type {number}
+ */
+const PORTAL_COLLIDER_RADIUS = 30;
+
+/**
+ * The least a generated pair's exit is above its entry
+ * @type {number}
+ */
+const PORTAL_JUMP_HEIGHT_MIN = 250;
+
+/**
+ * How far above the wave a portal's exit has to be for it to be used, so the player is never sent to their death
+ * @type {number}
+ */
+const PORTAL_WAVE_CLEARANCE = 150;
+
+/**
+ * The most portal pairs the generator puts in a chunk
+ * @type {number}
+ */
+const PORTAL_PAIRS_PER_CHUNK_MAX = 1;
+
+//#endregion
+
+//#region Power-ups
+
+/**
+ * An "enum" for the effects a power-up can give
+ */
+const POWER_UP_TYPE = Object.freeze({ Shield: "shield", Magnet: "magnet", DoubleBoost: "doubleBoost" });
+
+/**
+ * How a kind of power-up lasts and how often it spawns
+ * @typedef {object} PowerUpSettings
+ * @property {number} seconds How many seconds of game time the effect lasts once collected
+ * @property {number} weight How likely the generator is to pick it, rarer ones are lower
+ */
+
+/**
+ * The settings for each POWER_UP_TYPE. A shield also ends once it absorbs a spike
+ * @type {Object<string, PowerUpSettings>}
+ */
+const POWER_UP_SETTINGS = Object.freeze
+({
+    [POWER_UP_TYPE.Shield]: { seconds: 12, weight: 3 },
+    [POWER_UP_TYPE.Magnet]: { seconds: 8, weight: 2 },
+    [POWER_UP_TYPE.DoubleBoost]: { seconds: 6, weight: 1 }
+});
+
+/**
+ * The radius of the circle collider of a power-up before scaling
+ * @type {number}
+ */
+const POWER_UP_COLLIDER_RADIUS = 30;
+
+/**
+ * How likely each generated chunk is to have a power-up in it
+ * @type {number}
+ */
+const POWER_UP_CHANCE_PER_CHUNK = 0.35;
+
+/**
+ * How far from the player a magnet pulls orbs from
+ * @type {number}
+ */
+const MAGNET_RADIUS = 220;
+
+/**
+ * How fast a magnet pulls orbs towards the player, in pixels per second
+ * @type {number}
+ */
+const MAGNET_SPEED = 600;
+
+/**
+ * The multiplier for the vertical speed after hitting an orb while a double-boost is active, instead of ORB_BOOST_MULTIPLIER
+ * @type {number}
+ */
+const DOUBLE_BOOST_MULTIPLIER = 1.6;
+
+//#endregion
+
+//#region Motion
+
+/**
+ * An "enum" for the ways an obstacle can move once spawned
+ */
+const MOTION_TYPE = Object.freeze({ Patrol: "patrol", Orbit: "orbit", Bob: "bob", Spin: "spin" });
+
+/**
+ * How an obstacle moves around where it was spawned (its anchor). Periods are in seconds, a negative one runs backwards
+ * @typedef {object} Motion
+ * @property {string} type The MOTION_TYPE
+ * @property {number} [x] Patrol: how far right the other end of the patrol is from the anchor
+ * @property {number} [y] Patrol: how far down the other end of the patrol is from the anchor
+ * @property {number} [radius] Orbit: how far from the anchor it circles
+ * @property {number} [amplitude] Bob: how far above and below the anchor it goes
+ * @property {number} [period] Patrol, orbit and bob: the seconds to go there and back or around once
+ * @property {number} [phase] Patrol, orbit and bob: how far (0-1) through the period it starts
+ * @property {number} [speed] Spin: the radians per second it turns, negative turns counterclockwise
+ */
+
+/**
+ * The properties each type of motion needs
+ * @type {Object<string, string[]>}
+ */
+const MOTION_FIELDS = Object.freeze
+({
+    [MOTION_TYPE.Patrol]: ["x", "y", "period"],
+    [MOTION_TYPE.Orbit]: ["radius", "period"],
+    [MOTION_TYPE.Bob]: ["amplitude", "period"],
+    [MOTION_TYPE.Spin]: ["speed"]
+});
+
+//#endregion
+
+//#region Player
+
+/**
+ * An "enum" for the player states
+ */
+const PLAYER_STATE = Object.freeze({ Dead: 0, Idle: 1, Aiming: 2 , Tutorial: 3, Rewinding: 4, Finished: 5});
+
+/**
+ * The minimum fling force to fling
+ */
+const FLING_FORCE_MIN = 3500;
+
+/**
+ * How many times the fling force the player's velocity is set to when flung
+ */
+const FLING_VELOCITY_MULTIPLIER = 5;
+
+/**
+ * The amount of flings to start with
+ */
+const STARTING_FLINGS = 5;
+
+/**
+ * The most hits that are resolved in a single physics step, anything after continues next step
+ */
+const MAX_COLLISIONS_PER_STEP = 4;
+
+/**
+ * The kinds of things a moving body can hit during a physics step
+ */
+const COLLISION_TYPE = Object.freeze({ Wall: 0, Wave: 1, Obstacle: 2 });
+
+/**
+ * The most chrono-energy (used up by stopping time to aim) the player can have
+ */
+const CHRONO_ENERGY_MAX = 1;
+
+/**
+ * How many real seconds a full chrono-energy meter lasts while aiming
+ */
+const CHRONO_ENERGY_DRAIN_SECONDS = 3;
+
+/**
+ * How many real seconds it takes to refill an empty chrono-energy meter while not aiming
+ */
+const CHRONO_ENERGY_REFILL_SECONDS = 6;
+
+/**
+ * The chrono-energy given for hitting an orb
+ */
+const CHRONO_ENERGY_PER_ORB = 0.25;
+
+//#endregion
+
+//#region Rewind
+
+/**
+ * How many seconds back time can be rewound
+ * @type {number}
+ */
+const REWIND_BUFFER_SECONDS = 3;
+
+/**
+ * How many saved steps are rewound each physics step (how many times faster than normal it rewinds)
+ * @type {number}
+ */
+const REWIND_SPEED = 2;
+
+/**
+ * The most rewind charge, in seconds of rewinding
+ * @type {number}
+ */
+const REWIND_CHARGE_MAX = 2;
+
+/**
+ * The rewind charge (seconds) given for hitting an orb
+ * @type {number}
+ */
+const REWIND_CHARGE_PER_ORB = 0.5;
+
+//#endregion
+
+//#region Difficulty
+
+/**
+ * How hard the game is at a height. Heights between two rows of a difficulty table blend between them
+ * @typedef {object} Difficulty
+ * @property {number} height The height in meters (the same as the death height) this is for
+ * @property {number} obstacles How many obstacles each chunk (a screen tall segment of the level) is built with
+ * @property {number} spikeRatio How much (0-1) chunks lean towards spikes rather than orbs
+ * @property {number} scaleMin The smallest scale an obstacle spawns with
+ * @property {number} scaleMax The biggest scale an obstacle spawns with
+ * @property {number} waveSpeedMultiplier How many times faster than the base wave speed the wave rises
+ * @property {number} motionChance The chance (0-1) an obstacle off the guaranteed path is given a motion
+ */
+
+/**
+ * The properties every row of a difficulty table needs
+ * @type {string[]}
+ */
+const DIFFICULTY_FIELDS = Object.freeze(["height", "obstacles", "spikeRatio", "scaleMin", "scaleMax", "waveSpeedMultiplier", "motionChance"]);
+
+/**
+ * The difficulty table used when one isn't loaded, the same at every height
+ * @type {Difficulty[]}
+ */
+const DEFAULT_DIFFICULTY_TABLE = Object.freeze
+([
+    { height: 0, obstacles: 8, spikeRatio: 0.4, scaleMin: 0.5, scaleMax: 1, waveSpeedMultiplier: 1, motionChance: 0.1 }
+]);
+
+//#endregion
+
+//#region Generation
+
+/**
+ * The height of each chunk the level is generated in
+ * @type {number}
+ */
+const CHUNK_HEIGHT = WORLD_SIZE.y;
+
+/**
+ * The most chunks that can be in play at once, the obstacle pools are sized for this many
+ * @type {number}
+ */
+const CHUNKS_IN_PLAY_MAX = 5;
+
+/**
+ * The closest (vertically) consecutive steps of the guaranteed path can be
+ * @type {number}
+ */
+const PATH_STEP_HEIGHT_MIN = 120;
+
+/**
+ * The furthest (vertically) consecutive steps of the guaranteed path can be, close enough for a comfortable fling
+ * @type {number}
+ */
+const PATH_STEP_HEIGHT_MAX = 200;
+
+/**
+ * The furthest sideways consecutive steps of the guaranteed path can be
+ * @type {number}
+ */
+const PATH_STEP_WIDTH_MAX = 150;
+
+/**
+ * How much room spikes leave around the guaranteed path
+ * @type {number}
+ */
+const PATH_CLEARANCE = 40;
+
+/**
+ * The least space between obstacles so they don't clump
+ * @type {number}
+ */
+const OBSTACLE_SPACING = 10;
+
+/**
+ * A pattern a chunk can be built from
+ * @typedef {object} ChunkTemplate
+ * @property {string} name What the pattern is called
+ * @property {number} orbWeight How likely it is to be picked when the difficulty leans towards orbs
+ * @property {number} spikeWeight How likely it is to be picked when the difficulty leans towards spikes
+ * @property {(generator: ChunkGenerator, chunk: Rectangle, count: number) => void} build Places about count obstacles in the chunk
+ */
+
+/**
+ * The patterns chunks are built from, on top of the guaranteed path
+ * @type {ChunkTemplate[]}
+ */
+const CHUNK_TEMPLATES = Object.freeze
+([
+    {
+        //Obstacles anywhere, mixed by the spike ratio
+        name: "scatter",
+        orbWeight: 2,
+        spikeWeight: 2,
+        build: (generator, chunk, count) =>
+        {
+            for(let i = 0; i < count; i++)
+            {
+                const isSpike = generator.random.next() < generator.difficulty.spikeRatio;
+                generator.placeAnywhere(isSpike ? generator.world.spikes : generator.world.orbs, chunk);
+            }
+        }
+    },
+    {
+        //A zig-zag column of orbs up the chunk with a few spikes around it
+        name: "orbLadder",
+        orbWeight: 3,
+        spikeWeight: 0.5,
+        build: (generator, chunk, count) =>
+        {
+            const rungs = Math.ceil(count * 0.7);
+            const x = generator.random.range(chunk.left + 125, chunk.right - 125);
+            for(let i = 0; i < rungs; i++)
+            {
+                const side = i % 2 === 0 ? -1 : 1;
+                const y = chunk.bottom - (i + 0.5) * chunk.height / rungs;
+                generator.place(generator.world.orbs, Victor(x + side * 70, y));
+            }
+
+            for(let i = rungs; i < count; i++) generator.placeAnywhere(generator.world.spikes, chunk);
+        }
+    },
+    {
+        //Spikes lining both sides of the guaranteed path
+        name: "spikeCorridor",
+        orbWeight: 0.5,
+        spikeWeight: 3,
+        build: (generator, chunk, count) =>
+        {
+            const halfWidth = generator.random.range(90, 120);
+            for(let i = 0; i < count; i++)
+            {
+                //Spread along the path, alternating sides
+                const point = generator.getPathPointAt(chunk.bottom - (i + 0.5) * chunk.height / count);
+                const side = i % 2 === 0 ? -1 : 1;
+                generator.place(generator.world.spikes, Victor(point.x + side * halfWidth, point.y));
+            }
+        }
+    },
+    {
+        //A tight group of orbs off the path, guarded by a ring of spikes open towards the path
+        name: "rewardCluster",
+        orbWeight: 1.5,
+        spikeWeight: 1.5,
+        build: (generator, chunk, count) =>
+        {
+            const center = Victor(generator.random.range(chunk.left + 130, chunk.right - 130),
+                generator.random.range(chunk.top + 130, chunk.bottom - 130));
+            const orbs = Math.ceil(count * 0.5);
+            for(let i = 0; i < orbs; i++)
+            {
+                const angle = TWO_PI * i / orbs;
+                generator.place(generator.world.orbs, Victor(center.x + Math.cos(angle) * 35, center.y + Math.sin(angle) * 35));
+            }
+
+            //Leave the side facing the path open
+            const opening = generator.getPathPointAt(center.y).subtract(center).angle();
+            const spikes = count - orbs;
+            for(let i = 0; i < spikes; i++)
+            {
+                const angle = opening + PI_OVER_2 + Math.PI * (i + 0.5) / spikes;
+                generator.place(generator.world.spikes, Victor(center.x + Math.cos(angle) * 110, center.y + Math.sin(angle) * 110));
+            }
+        }
+    },
+    {
+        //A gravity well or repulsor or two off the path, bending flings through the obstacles scattered around them
+        name: "fieldPocket",
+        orbWeight: 1,
+        spikeWeight: 1.5,
+        build: (generator, chunk, count) =>
+        {
+            const fields = Math.min(count, Math.ceil(generator.random.range(0, FIELDS_PER_CHUNK_MAX)));
+            for(let i = 0; i < fields; i++)
+            {
+                const isWell = generator.random.next() < 0.5;
+                generator.placeAnywhere(isWell ? generator.world.gravityWells : generator.world.repulsors, chunk);
+            }
+
+            for(let i = fields; i < count; i++)
+            {
+                const isSpike = generator.random.next() < generator.difficulty.spikeRatio;
+                generator.placeAnywhere(isSpike ? generator.world.spikes : generator.world.orbs, chunk);
+            }
+        }
+    },
+    {
+        //A pair of portals off the path, the lower one jumps the player up to the higher one (and back down if they fall in)
+        name: "portalJump",
+        orbWeight: 1,
+        spikeWeight: 1,
+        build: (generator, chunk, count) =>
+        {
+            let portals = 0;
+            if(count >= 2)
+            {
+                const portalPool = generator.world.portals;
+                const halfHeight = chunk.height * 0.5;
+                const entry = generator.placeAnywhere(portalPool, new Rectangle(chunk.x, chunk.y + halfHeight, chunk.width, halfHeight));
+
+                //Always above the entry so the exit is never the side closer to the wave
+                const exit = entry && generator.placeAnywhere(portalPool,
+                    new Rectangle(chunk.x, chunk.y, chunk.width, entry.anchor.y - PORTAL_JUMP_HEIGHT_MIN - chunk.y));
+
+                if(exit)
+                {
+                    entry.link(exit);
+                    portals = 2;
+
+                    //Some pairs turn the momentum a bit on the way through
+                    if(generator.random.next() < 0.3) exit.rotation = (generator.random.next() < 0.5 ? -1 : 1) * Math.PI * 0.25;
+                }
+                else if(entry) entry.deactivate();
+            }
+
+            for(let i = portals; i < count; i++)
+            {
+                const isSpike = generator.random.next() < generator.difficulty.spikeRatio;
+                generator.placeAnywhere(isSpike ? generator.world.spikes : generator.world.orbs, chunk);
+            }
+        }
+    },
+    {
+        //A slow or fast zone or two across the path, with spikes to dodge through slowly or get rushed past
+        name: "timePocket",
+        orbWeight: 1,
+        spikeWeight: 1,
+        build: (generator, chunk, count) =>
+        {
+            const zones = Math.min(count, Math.ceil(generator.random.range(0, TIME_ZONES_PER_CHUNK_MAX)));
+            for(let i = 0; i < zones; i++)
+            {
+                const point = generator.getPathPointAt(generator.random.range(chunk.top, chunk.bottom));
+                const isSlow = generator.random.next() < 0.5;
+                generator.place(isSlow ? generator.world.slowZones : generator.world.fastZones, point);
+            }
+
+            for(let i = zones; i < count; i++)
+            {
+                const isSpike = generator.random.next() < generator.difficulty.spikeRatio;
+                generator.placeAnywhere(isSpike ? generator.world.spikes : generator.world.orbs, chunk);
+            }
+        }
+    }
+]);
+
+//#endregion
+
+//#region Levels
+
+/**
+ * An "enum" for the obstacle types in a level file
+ */
+const OBSTACLE_TYPE = Object.freeze
+({
+    Orb: "orb",
+    Spike: "spike",
+    GravityWell: "gravityWell",
+    Repulsor: "repulsor",
+    SlowZone: "slowZone",
+    FastZone: "fastZone",
+    Portal: "portal",
+    PowerUp: "powerUp"
+});
+
+/**
+ * An obstacle placed in a level
+ * @typedef {object} LevelObstacle
+ * @property {string} type The OBSTACLE_TYPE
+ * @property {number} x The world x
+ * @property {number} y The world y, up is negative and the player starts at 0
+ * @property {number} scale The scale
+ * @property {number} rotation The rotation in radians
+ * @property {Motion} [motion] How it moves, around x and y, if it moves at all
+ * @property {number} [link] Portals only, the two portals with the same link are a pair
+ * @property {string} [powerUp] Power-ups only, the POWER_UP_TYPE it gives
+ */
+
+/**
+ * A handcrafted level, played instead of the generated one
+ * @typedef {object} Level
+ * @property {string} name The name shown in the level select
+ * @property {number} goalHeight The height in meters to reach to complete the level
+ * @property {number} startingFlings The amount of flings to start with
+ * @property {number} waveSpeed How fast the wave rises, only surges speed it up in levels
+ * @property {LevelObstacle[]} obstacles Every obstacle in the level
+ */
+
+//#endregion
+
+/**
+ * The settings a world uses unless they are overridden, mostly so balancing can try other values
+ * @typedef {object} WorldSettings
+ * @property {Victor} gravity The gravity applied to the player
+ * @property {number} friction The friction applied to physics objects
+ * @property {number} waveSpeed How fast the wave rises before the difficulty speeds it up
+ * @property {number} flingForceMin The minimum (squared) fling force to fling
+ * @property {number} startingFlings The amount of flings to start with
+ * @property {Difficulty[]} difficulty The difficulty table, sorted by height
+ */
+
+/**
+ * The default settings for a world
+ * @type {WorldSettings}
+ */
+const DEFAULT_WORLD_SETTINGS = Object.freeze
+({
+    gravity: GRAVITY,
+    friction: FRICTION,
+    waveSpeed: WAVE_SPEED,
+    flingForceMin: FLING_FORCE_MIN,
+    startingFlings: STARTING_FLINGS,
+    difficulty: DEFAULT_DIFFICULTY_TABLE
+});
+
+/**
+ * An "enum" for the things that happen in the world that something outside of it (visuals, audio, replays) might react to.
+ * Listeners are given the object it happened to
+ */
+const SIMULATION_EVENT = Object.freeze
+({
+    Aim: 0,
+    AimDenied: 1,
+    AimEnd: 2,
+    Fling: 3,
+    FlingCancel: 4,
+    OrbHit: 5,
+    SpikeHit: 6,
+    Bounce: 7,
+    Death: 8,
+    RewindStart: 9,
+    RewindDenied: 10,
+    RewindEnd: 11,
+    LevelComplete: 12,
+    ObstacleCreated: 13,
+    PortalEnter: 14,
+    PowerUpCollected: 15,
+    ShieldBreak: 16,
+    WaveSurge: 17,
+    AimCancel: 18
+});
+
+//#endregion
+
+//#region Classes
+
+/**
+ * An axis aligned rectangle
+ */
+class Rectangle
+{
+    /**
+     * Creates a new Rectangle
+     * @param {number} x The left side
+     * @param {number} y The top side
+     * @param {number} width The width
+     * @param {number} height The height
+     */
+    constructor(x = 0, y = 0, width = 0, height = 0)
+    {
+        /**@type {number}*/this.x = x;
+        /**@type {number}*/this.y = y;
+        /**@type {number}*/this.width = width;
+        /**@type {number}*/this.height = height;
+    }
+
+    get left() { return this.x; }
+    get right() { return this.x + this.width; }
+    get top() { return this.y; }
+    get bottom() { return this.y + this.height; }
+
+    /**
+     * Returns whether the specified point is inside this rectangle (the right and bottom edges are outside)
+     * @param {number} x The x of the point
+     * @param {number} y The y of the point
+     * @returns {boolean} TRUE if the point is inside
+     */
+    contains(x, y)
+    {
+        if(this.width <= 0 || this.height <= 0) return false;
+        return x >= this.x && x < this.right && y >= this.y && y < this.bottom;
+    }
+}
+
+/**
+ * A seedable random number generator (mulberry32) so the same seed always gives the same run
+ */
+class SeededRandom
+{
+    /**
+     * Creates a new SeededRandom
+     * @param {number} seed An unsigned 32 bit integer
+     */
+    constructor(seed = 0)
+    {
+        /**
+         * The internal state of the generator. Saving and restoring it repeats the same numbers
+         * @type {number}
+         */
+        this.state = 0;
+
+        this.seed(seed);
+    }
+
+    /**
+     * Seeds the generator
+     * @param {number} seed An unsigned 32 bit integer
+     */
+    seed(seed)
+    {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Returns the next random number
+     * @returns {number} A random number from 0 (inclusive) to 1 (exclusive)
+     */
+    next()
+    {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Generates a random number within the specified range
+     * @param {number} min Min inclusive
+     * @param {number} max Max inclusive
+     * @returns {number} A random number within the specified range
+     */
+    range(min, max)
+    {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Generates a random vector within the specified bounds
+     * @param {Rectangle} bounds The bounds within which the vector should be generated
+     * @returns {Victor} The randomly generated vector
+     */
+    range2D(bounds)
+    {
+        return Victor(this.range(bounds.x, bounds.right), this.range(bounds.y, bounds.bottom));
+    }
+}
+
+/**
+ * A fixed size buffer that overwrites its oldest item when full
+ */
+class RingBuffer
+{
+    /**
+     * Creates a new RingBuffer
+     * @param {number} capacity The most items it can hold
+     */
+    constructor(capacity)
+    {
+        /**@type {any[]}*/this.items = new Array(capacity);
+        /**@type {number}*/this.capacity = capacity;
+
+        /**
+         * The index the next item will be pushed to
+         * @type {number}
+         */
+        this.head = 0;
+
+        /**@type {number}*/this.length = 0;
+    }
+
+    /**
+     * Adds an item, overwriting the oldest if full
+     * @param {any} item The item to add
+     */
+    push(item)
+    {
+        this.items[this.head] = item;
+        this.head = (this.head + 1) % this.capacity;
+        this.length = Math.min(this.length + 1, this.capacity);
+    }
+
+    /**
+     * Removes and returns the newest item
+     * @returns {any} The newest item or undefined if empty
+     */
+    pop()
+    {
+        if(this.length === 0) return undefined;
+
+        this.head = (this.head - 1 + this.capacity) % this.capacity;
+        this.length--;
+
+        const item = this.items[this.head];
+        this.items[this.head] = undefined;
+        return item;
+    }
+
+    /**
+     * Removes all items
+     */
+    clear()
+    {
+        this.items.fill(undefined);
+        this.head = 0;
+        this.length = 0;
+    }
+}
+
+/**
+ * A uniform grid broadphase. Objects are registered by their bounding box into every cell it overlaps
+ * so only objects in nearby cells need to be checked
+ */
+class SpatialHash
+{
+    /**
+     * Creates a new SpatialHash
+     * @param {number} cellSize The width and height of each cell in world space
+     */
+    constructor(cellSize)
+    {
+        /**@type {number}*/this.cellSize = cellSize;
+
+        /**
+         * The objects in each cell, keyed by cell coordinates
+         * @type {Map<string, Set<any>>}
+         */
+        this.cells = new Map();
+
+        /**
+         * The keys of the cells each object is in, so it can be removed quickly
+         * @type {Map<any, string[]>}
+         */
+        this.objectCells = new Map();
+
+        /**
+         * The last area queried, kept for debugging
+         * @type {Rectangle | null}
+         */
+        this.lastQuery = null;
+    }
+
+    /**
+     * Returns the key of the cell at the specified cell coordinates
+     * @param {number} cellX The cell column
+     * @param {number} cellY The cell row
+     * @returns {string} The key of the cell
+     */
+    getKey(cellX, cellY)
+    {
+        return cellX + "," + cellY;
+    }
+
+    /**
+     * Returns the keys of every cell the specified bounds overlap
+     * @param {Rectangle} bounds The bounds in world space
+     * @returns {string[]} The keys of the overlapped cells
+     */
+    getKeys(bounds)
+    {
+        const keys = [];
+        const left = Math.floor(bounds.left / this.cellSize);
+        const right = Math.floor(bounds.right / this.cellSize);
+        const top = Math.floor(bounds.top / this.cellSize);
+        const bottom = Math.floor(bounds.bottom / this.cellSize);
+        for(let cellY = top; cellY <= bottom; cellY++)
+        {
+            for(let cellX = left; cellX <= right; cellX++) keys.push(this.getKey(cellX, cellY));
+        }
+        return keys;
+    }
+
+    /**
+     * Adds the object or moves it if it is already in the grid
+     * @param {any} object The object to register
+     * @param {Rectangle} bounds The bounding box of the object
+     */
+    update(object, bounds)
+    {
+        this.remove(object);
+
+        const keys = this.getKeys(bounds);
+        for(const key of keys)
+        {
+            if(!this.cells.has(key)) this.cells.set(key, new Set());
+            this.cells.get(key).add(object);
+        }
+        this.objectCells.set(object, keys);
+    }
+
+    /**
+     * Removes the object from the grid
+     * @param {any} object The object to remove
+     */
+    remove(object)
+    {
+        const keys = this.objectCells.get(object);
+        if(!keys) return;
+
+        for(const key of keys)
+        {
+            const cell = this.cells.get(key);
+            cell.delete(object);
+            //Don't keep empty cells around since the game keeps going up
+            if(cell.size === 0) this.cells.delete(key);
+        }
+        this.objectCells.delete(object);
+    }
+
+    /**
+     * Returns every object in the cells the specified bounds overlap (they may not actually overlap the bounds)
+     * @param {Rectangle} bounds The area to check
+     * @returns {Set<any>} The objects that could be in the area
+     */
+    query(bounds)
+    {
+        this.lastQuery = bounds;
+
+        const found = new Set();
+        for(const key of this.getKeys(bounds))
+        {
+            const cell = this.cells.get(key);
+            if(cell) for(const object of cell) found.add(object);
+        }
+        return found;
+    }
+
+    /**
+     * Removes everything from the grid
+     */
+    clear()
+    {
+        this.cells.clear();
+        this.objectCells.clear();
+        this.lastQuery = null;
+    }
+}
+
+/**
+ * An object with basic physics
+ * @abstract
+ */
+class PhysicsObject
+{
+    /**
+     * Creates a new PhysicsObject
+     * @param {World} world The world this object is in
+     * @param {Victor} vectorPosition The initial position
+     */
+    constructor(world, vectorPosition = Victor(0, 0))
+    {
+        /**@type {World}*/this.world = world;
+
+        // --Properties
+
+        //-Collider
+        /**
+         * The collider radius of the base visual
+         * @type {number}
+         */
+        this.baseColliderRadius = 1;
+
+        /**
+         * The collider radius of the complete physics object
+         * aka the base collider * scale
+         * @type {number}
+         */
+        this.colliderRadius = 1;
+
+        /**
+         * The vertices (local space, unscaled, convex) of the polygon collider of the base visual.
+         * If null the object collides as a circle, otherwise the collider radius just bounds the polygon
+         * @type {Victor[] | null}
+         */
+        this.baseColliderPolygon = null;
+
+        /**
+         * Whether this object is in play. Inactive objects don't collide and aren't drawn
+         * @type {boolean}
+         */
+        this.active = true;
+
+        //-Transform
+        /**@type {number}*/this.rotation = 0;
+        /**@type {number}*/this.scale = 1;
+
+        //-Physics
+        /**@type {Victor}*/this.vectorPosition = vectorPosition;
+        /**@type {Victor}*/this.velocity = Victor(0, 0);
+        /**@type {Victor}*/this.momentOfAcceleration = Victor(0, 0);
+
+        /**
+         * The vector position at the start of the last physics step. Used to interpolate the visual
+         * @type {Victor}
+         */
+        this.previousPosition = vectorPosition.clone();
+
+        /**
+         * How fast time runs for this object, from the time zones it was in at the start of the last physics step
+         * @type {number}
+         */
+        this.timeScale = 1;
+
+        //Add to the list of objects
+        world.objects.push(this);
+    }
+
+    /**
+     * Preforms anything that needs to be run every physics step
+     */
+    fixedUpdate()
+    {
+        //Remember where the step started for interpolation
+        this.previousPosition = this.vectorPosition.clone();
+
+        //Time runs differently in time zones
+        this.updateTimeScale();
+
+        //Basic physics
+        integrateMovement(this, this.momentOfAcceleration, this.getTimestep(), this.world.settings.friction);
+
+        //Reset acceleration
+        this.momentOfAcceleration = Victor(0, 0);
+    }
+
+    /**
+     * Updates how fast time runs for this object from the time zones it is in
+     */
+    updateTimeScale()
+    {
+        this.timeScale = this.world.getTimeScaleAt(this.vectorPosition);
+    }
+
+    /**
+     * Returns how much time passes for this object each physics step
+     * @returns {number} The physics timestep scaled by this object's time scale
+     */
+    getTimestep()
+    {
+        return PHYSICS_TIMESTEP * this.timeScale;
+    }
+
+    /**
+     * Returns where this object is between the last two physics steps
+     * @param {number} progress How far (0-1) from the last step to the current one
+     * @returns {Victor} The interpolated position
+     */
+    getInterpolatedPosition(progress)
+    {
+        return lerp2D(this.previousPosition, this.vectorPosition, progress);
+    }
+
+    /**
+     * Moves this object to the specified position without interpolating from the old one
+     * @param {Victor} vectorPosition The position to move to
+     */
+    teleport(vectorPosition)
+    {
+        this.vectorPosition = vectorPosition;
+        this.previousPosition = vectorPosition.clone();
+    }
+
+    /**
+     * Returns a copy of the state needed to rewind this object
+     * @returns {object} The rewindable state
+     */
+    saveState()
+    {
+        return { position: this.vectorPosition.clone(), velocity: this.velocity.clone() };
+    }
+
+    /**
+     * Sets this object back to a state from saveState, interpolating from where it is now
+     * @param {object} state The state to load
+     */
+    loadState(state)
+    {
+        this.previousPosition = this.vectorPosition;
+        this.vectorPosition = state.position.clone();
+        this.velocity = state.velocity.clone();
+    }
+
+    /**
+     * Checks if this object collides with another
+     * @param {PhysicsObject} other The physics object to check collision with
+     * @returns {boolean} TRUE if the objects are colliding
+     */
+    isColliding(other)
+    {
+        //Circle against polygon (two polygons never need to collide so they just use their bounding circles)
+        if(this.baseColliderPolygon && !other.baseColliderPolygon)
+            return isCircleCollidingWithPolygon(other.vectorPosition, other.colliderRadius, this.getColliderPolygon());
+        if(other.baseColliderPolygon && !this.baseColliderPolygon)
+            return isCircleCollidingWithPolygon(this.vectorPosition, this.colliderRadius, other.getColliderPolygon());
+
+        return isColliding(this.vectorPosition, this.colliderRadius,
+            other.vectorPosition, other.colliderRadius)
+    }
+
+    /**
+     * Returns whether or not this object is colliding with the specified point
+     * @param {Victor} point The vector position of the point to check collision with
+     * @returns {boolean} TRUE if the point is colliding with this object
+     */
+    isCollidingWithPoint(point)
+    {
+        if(this.baseColliderPolygon) return isPointInPolygon(point, this.getColliderPolygon());
+        return isCircleCollidingWithPoint(this.vectorPosition, this.colliderRadius, point);
+    }
+
+    /**
+     * Returns when a circle moving along the specified path first touches this object's collider
+     * @param {Victor} start Where the circle starts
+     * @param {Victor} displacement How far the circle moves
+     * @param {number} radius The radius of the circle
+     * @returns {number | null} How far along the path (0-1) it hits, or null if it doesn't
+     */
+    sweepCircle(start, displacement, radius)
+    {
+        if(this.baseColliderPolygon) return sweepCircleAgainstPolygon(start, displacement, radius, this.getColliderPolygon());
+        return sweepCircles(start, displacement, radius, this.vectorPosition, this.colliderRadius);
+    }
+
+    /**
+     * Returns the direction from this object's collider surface out to the specified point
+     * @param {Victor} point The point touching the collider (such as the center of a circle hitting it)
+     * @returns {Victor} The normalized contact normal
+     */
+    getContactNormal(point)
+    {
+        if(this.baseColliderPolygon) return getPolygonContactNormal(point, this.getColliderPolygon());
+        return normalizeOr(point.clone().subtract(this.vectorPosition), Victor(0, -1));
+    }
+
+    /**
+     * Returns the polygon collider in world space, taking into account the position, rotation and scale
+     * @param {Victor} position The position to place the polygon at, defaults to the vector position
+     * @returns {Victor[]} The world space vertices or an empty list if this isn't a polygon collider
+     */
+    getColliderPolygon(position = this.vectorPosition)
+    {
+        if(!this.baseColliderPolygon) return [];
+
+        return this.baseColliderPolygon.map(vertex =>
+            vertex.clone().multiplyScalar(this.scale).rotate(this.rotation).add(position));
+    }
+
+    /**
+     * Sets the scale of the object and computes the collider radius
+     * @param {number} scale The scale amount to set the object to
+     */
+    setScale(scale)
+    {
+        this.scale = scale;
+        this.colliderRadius = this.baseColliderRadius * scale;
+    }
+
+    /**
+     * Returns the scale of the object
+     * @returns {number} The scale of the object
+     */
+    getScale()
+    {
+        return this.scale;
+    }
+}
+
+//#region Obstacles
+
+/**
+ * General physics objects that are procedurally placed such as orbs or spikes
+ * @abstract
+ */
+class Obstacle extends PhysicsObject
+{
+    /**
+     * Creates a new Obstacle
+     * @param {World} world The world this obstacle is in
+     * @param {Victor} vectorPosition The initial position
+     * @param {number} colliderRadius The radius of the circle collider
+     */
+    constructor(world, vectorPosition = Victor(0, 0), colliderRadius = 1)
+    {
+        super(world, vectorPosition);
+
+        //Out of play until the world spawns it
+        this.active = false;
+
+        /**
+         * Whether the player hits this, ones that aren't act on the player from a distance instead
+         * @type {boolean}
+         */
+        this.isSolid = true;
+
+        /**
+         * How this obstacle moves around its anchor, null if it stays put
+         * @type {Motion | null}
+         */
+        this.motion = null;
+
+        /**
+         * Where this obstacle was spawned, its motion is around here
+         * @type {Victor}
+         */
+        this.anchor = vectorPosition.clone();
+
+        /**
+         * The seconds of game time this obstacle has been moving for
+         * @type {number}
+         */
+        this.motionTime = 0;
+
+        //Set the collider radius
+        this.baseColliderRadius = colliderRadius;
+        //Comput the collider radius
+        super.setScale(1);
+
+        //Add to obstacle list
+        world.obstacles.push(this);
+    }
+
+    /**
+     * Physics step for this obstacle, moves it along its motion then checks if it is too low to matter
+     */
+    fixedUpdate()
+    {
+        if(!this.active) return;
+
+        //Remember where the step started for interpolation, the player's magnet can move obstacles that don't move themselves
+        this.previousPosition = this.vectorPosition.clone();
+
+        if(this.motion) this.updateMotion();
+
+        //Check if too low, the world will spawn another one in its place
+        if(this.vectorPosition.y > this.world.wave.bounds.y + 100)
+        {
+            this.deactivate();
+        }
+    }
+
+    /**
+     * Moves this obstacle a physics step along its motion. Only runs in physics steps so it freezes whenever time does
+     */
+    updateMotion()
+    {
+        //Moves slower or faster in time zones
+        this.updateTimeScale();
+        const timestep = this.getTimestep();
+        this.motionTime += timestep;
+
+        //Spinning turns in place
+        if(this.motion.type === MOTION_TYPE.Spin)
+        {
+            this.rotation += this.motion.speed * timestep;
+            return;
+        }
+
+        this.vectorPosition = this.anchor.clone().add(getMotionOffset(this.motion, this.motionTime));
+        this.world.grid.update(this, this.getBounds2D());
+    }
+
+    /**
+     * Takes this obstacle out of play until it is spawned again
+     */
+    deactivate()
+    {
+        this.active = false;
+        this.world.activeObstacles.delete(this);
+        this.world.grid.remove(this);
+    }
+
+    /**
+     * Returns a copy of the state needed to rewind this obstacle
+     * @returns {object} The rewindable state
+     */
+    saveState()
+    {
+        const state = super.saveState();
+        state.scale = this.getScale();
+        state.rotation = this.rotation;
+        state.active = this.active;
+        state.motion = this.motion;
+        state.anchor = this.anchor.clone();
+        state.motionTime = this.motionTime;
+        return state;
+    }
+
+    /**
+     * Sets this obstacle back to a state from saveState
+     * @param {object} state The state to load
+     */
+    loadState(state)
+    {
+        super.loadState(state);
+
+        //Obstacles jump rather than slide, their motion is too small a step to need it
+        this.previousPosition = this.vectorPosition.clone();
+        this.rotation = state.rotation;
+        this.motion = state.motion;
+        this.anchor = state.anchor.clone();
+        this.motionTime = state.motionTime;
+
+        //Setting the scale puts it back in the broadphase if it is in play
+        if(state.active) this.world.activeObstacles.add(this);
+        else this.deactivate();
+        this.active = state.active;
+        this.setScale(state.scale);
+    }
+
+    /**
+     * Moves this obstacle without interpolating and registers where it is now with the broadphase
+     * @param {Victor} vectorPosition The position to move to
+     */
+    teleport(vectorPosition)
+    {
+        super.teleport(vectorPosition);
+        if(this.active) this.world.grid.update(this, this.getBounds2D());
+    }
+
+    /**
+     * Sets the scale of the obstacle and registers its new size with the broadphase
+     * @param {number} scale The scale amount to set the obstacle to
+     */
+    setScale(scale)
+    {
+        super.setScale(scale);
+        if(this.active) this.world.grid.update(this, this.getBounds2D());
+    }
+
+    /**
+     * Returns the bounding box of this obstacle's collider
+     * @returns {Rectangle} The bounds in world space
+     */
+    getBounds2D()
+    {
+        return new Rectangle(this.vectorPosition.x - this.colliderRadius, this.vectorPosition.y - this.colliderRadius,
+            this.colliderRadius * 2, this.colliderRadius * 2);
+    }
+
+    /**
+     * Returns how far from its center this obstacle affects the player at the specified scale
+     * @param {number} scale The scale
+     * @returns {number} The distance
+     */
+    getInfluenceRadius(scale)
+    {
+        return this.baseColliderRadius * scale;
+    }
+
+    /**
+     * Reacts to being hit by the player
+     * @abstract
+     * @param {Player} player The player that hit this obstacle
+     */
+    onHit(player) {}
+
+    /**
+     * Puts this obstacle into play
+     * @param {Victor} vectorPosition Where to put it, the anchor of its motion
+     * @param {number} scale The scale to give it
+     * @param {Motion | null} motion How it moves, null to stay put
+     */
+    spawn(vectorPosition, scale, motion = null)
+    {
+        this.active = true;
+        this.world.activeObstacles.add(this);
+        this.motion = motion;
+        this.anchor = vectorPosition.clone();
+        this.motionTime = 0;
+        this.setScale(scale);
+        this.teleport(motion ? this.anchor.clone().add(getMotionOffset(motion, 0)) : vectorPosition);
+    }
+
+    /**
+     * Destroys this obstacle, taking it out of play
+     * @param {number} eventType The SIMULATION_EVENT to emit before it is taken out of play
+     */
+    destroy(eventType)
+    {
+        //Let the visuals react
+        this.world.emit(eventType, this);
+
+        this.deactivate();
+    }
+}
+
+/**
+ * A friendly object that adds flings and gives a boost
+ */
+class Orb extends Obstacle
+{
+    /**
+     * Creates a new Orb
+     * @param {World} world The world this orb is in
+     * @param {Victor} vectorPosition The initial position
+     * @param {number} colliderRadius The radius of the circle collider
+     */
+    constructor(world, vectorPosition = Victor(0, 0), colliderRadius = ORB_COLLIDER_RADIUS)
+    {
+        super(world, vectorPosition, colliderRadius);
+
+        //Add to the list of orbs
+        world.orbs.push(this);
+    }
+
+    /**
+     * Gives the player a boost when hit
+     * @param {Player} player The player that hit this orb
+     */
+    onHit(player)
+    {
+        player.hitOrb(this);
+    }
+
+    /**
+     * Moves this orb (and the anchor of its motion) towards the specified position
+     * @param {Victor} target Where to move towards
+     * @param {number} distance How far to move, it stops at the target
+     */
+    pullTowards(target, distance)
+    {
+        const offset = target.clone().subtract(this.vectorPosition);
+        const length = offset.length();
+        if(length === 0) return;
+
+        offset.multiplyScalar(Math.min(distance, length) / length);
+        this.vectorPosition.add(offset);
+        this.anchor.add(offset);
+        this.world.grid.update(this, this.getBounds2D());
+    }
+
+    /**
+     * Destroys this orb
+     */
+    destroy()
+    {
+        super.destroy(SIMULATION_EVENT.OrbHit);
+    }
+}
+
+/**
+ * A spike that subtracts flings and bounces the player back
+ */
+class Spike extends Obstacle
+{
+    /**
+     * Creates a new Spike with the specified values
+     * @param {World} world The world this spike is in
+     * @param {Victor} vectorPosition The initial position
+     * @param {number} scaleAmount The size of the triangle before scaling
+     */
+    constructor(world, vectorPosition = Victor(0, 0), scaleAmount = SPIKE_SIZE)
+    {
+        //Used for both the visual and the collider
+        const triangle = createSpikeTriangle(scaleAmount);
+
+        super(world, vectorPosition, Math.max(...triangle.map(vertex => vertex.length())));
+
+        //Collide as the triangle, the collider radius just bounds it
+        this.baseColliderPolygon = triangle;
+
+        //Add to the list of spikes
+        world.spikes.push(this);
+    }
+
+    /**
+     * Knocks the player back when hit
+     * @param {Player} player The player that hit this spike
+     */
+    onHit(player)
+    {
+        player.hitSpike(this);
+    }
+
+    /**
+     * Puts the spike into play with a random rotation
+     * @param {Victor} vectorPosition Where to put it, the anchor of its motion
+     * @param {number} scale The scale to give it
+     * @param {Motion | null} motion How it moves, null to stay put
+     */
+    spawn(vectorPosition, scale, motion = null)
+    {
+        super.spawn(vectorPosition, scale, motion);
+
+        //Set a random rotation
+        this.rotation = this.world.random.range(0, TWO_PI);
+    }
+
+    /**
+     * Destroys this spike
+     */
+    destroy()
+    {
+        super.destroy(SIMULATION_EVENT.SpikeHit);
+    }
+}
+
+/**
+ * An obstacle the player passes through that affects everything within an area around it instead
+ * @abstract
+ */
+class AreaObstacle extends Obstacle
+{
+    /**
+     * Creates a new AreaObstacle
+     * @param {World} world The world this obstacle is in
+     * @param {Victor} vectorPosition The initial position
+     * @param {number} areaRadius How far the area reaches before scaling
+     */
+    constructor(world, vectorPosition = Victor(0, 0), areaRadius = 1)
+    {
+        //The collider is just the core, it marks the center and keeps other obstacles from being placed on top
+        super(world, vectorPosition, AREA_CORE_RADIUS);
+
+        //Acts through the area rather than on contact
+        this.isSolid = false;
+
+        /**
+         * How far the area reaches before scaling
+         * @type {number}
+         */
+        this.baseAreaRadius = areaRadius;
+    }
+
+    /**
+     * Returns how far the area reaches
+     * @returns {number} The scaled area radius
+     */
+    getAreaRadius()
+    {
+        return this.getInfluenceRadius(this.scale);
+    }
+
+    /**
+     * Returns how far from its center the area reaches at the specified scale
+     * @param {number} scale The scale
+     * @returns {number} The distance
+     */
+    getInfluenceRadius(scale)
+    {
+        return this.baseAreaRadius * scale;
+    }
+
+    /**
+     * Returns whether the specified position is within the area
+     * @param {Victor} position The position in the world
+     * @returns {boolean} TRUE if it is in the area
+     */
+    isInArea(position)
+    {
+        return this.active && isCircleCollidingWithPoint(this.vectorPosition, this.getAreaRadius(), position);
+    }
+}
+
+/**
+ * An obstacle that pulls or pushes the player while they are within its field, harder towards its center
+ * @abstract
+ */
+class FieldObstacle extends AreaObstacle
+{
+    /**
+     * Creates a new FieldObstacle
+     * @param {World} world The world this field is in
+     * @param {Victor} vectorPosition The initial position
+     * @param {number} strength How hard it pulls at its center, negative pushes instead
+     */
+    constructor(world, vectorPosition = Victor(0, 0), strength = 0)
+    {
+        super(world, vectorPosition, FIELD_RADIUS);
+
+        /**
+         * How hard it pulls at its center, negative pushes instead
+         * @type {number}
+         */
+        this.strength = strength;
+
+        //Add to the list of fields
+        world.fields.push(this);
+    }
+
+    /**
+     * Returns the force the field puts on something at the specified position, fading out to nothing at the edge
+     * @param {Victor} position The position in the world
+     * @returns {Victor} The force, towards the center if it pulls
+     */
+    getForceAt(position)
+    {
+        const offset = this.vectorPosition.clone().subtract(position);
+        const distance = offset.length();
+        const fieldRadius = this.getAreaRadius();
+        if(distance >= fieldRadius || distance === 0) return Victor(0, 0);
+
+        //Squared so it eases in at the edge rather than kicking in all at once
+        const falloff = 1 - distance / fieldRadius;
+        return offset.multiplyScalar(this.strength * falloff * falloff / distance);
+    }
+}
+
+/**
+ * A field that pulls the player in, bending flings towards it
+ */
+class GravityWell extends FieldObstacle
+{
+    /**
+     * Creates a new GravityWell
+     * @param {World} world The world this gravity well is in
+     * @param {Victor} vectorPosition The initial position
+     */
+    constructor(world, vectorPosition = Victor(0, 0))
+    {
+        super(world, vectorPosition, GRAVITY_WELL_STRENGTH);
+
+        //Add to the list of gravity wells
+        world.gravityWells.push(this);
+    }
+}
+
+/**
+ * A field that pushes the player away, bending flings around it
+ */
+class Repulsor extends FieldObstacle
+{
+    /**
+     * Creates a new Repulsor
+     * @param {World} world The world this repulsor is in
+     * @param {Victor} vectorPosition The initial position
+     */
+    constructor(world, vectorPosition = Victor(0, 0))
+    {
+        super(world, vectorPosition, -REPULSOR_STRENGTH);
+
+        //Add to the list of repulsors
+        world.repulsors.push(this);
+    }
+}
+
+/**
+ * An area where time runs at a different speed for everything in it
+ * @abstract
+ */
+class TimeZone extends AreaObstacle
+{
+    /**
+     * Creates a new TimeZone
+     * @param {World} world The world this time zone is in
+     * @param {Victor} vectorPosition The initial position
+     * @param {number} rate How fast time runs in it, 1 is normal
+     */
+    constructor(world, vectorPosition = Victor(0, 0), rate = 1)
+    {
+        super(world, vectorPosition, TIME_ZONE_RADIUS);
+
+        /**
+         * How fast time runs in it, 1 is normal.
+         * Not its timeScale since that is how fast time runs for the zone itself where it is, including its own rate
+         * @type {number}
+         */
+        this.rate = rate;
+
+        //Add to the list of time zones
+        world.timeZones.push(this);
+    }
+}
+
+/**
+ * A time zone where time runs slower, making it easier to dodge through
+ */
+class SlowZone extends TimeZone
+{
+    /**
+     * Creates a new SlowZone
+     * @param {World} world The world this slow zone is in
+     * @param {Victor} vectorPosition The initial position
+     */
+    constructor(world, vectorPosition = Victor(0, 0))
+    {
+        super(world, vectorPosition, SLOW_ZONE_TIME_SCALE);
+
+        //Add to the list of slow zones
+        world.slowZones.push(this);
+    }
+}
+
+/**
+ * A time zone where time runs faster, rushing the player through
+ */
+class FastZone extends TimeZone
+{
+    /**
+     * Creates a new FastZone
+     * @param {World} world The world this fast zone is in
+     * @param {Victor} vectorPosition The initial position
+     */
+    constructor(world, vectorPosition = Victor(0, 0))
+    {
+        super(world, vectorPosition, FAST_ZONE_TIME_SCALE);
+
+        //Add to the list of fast zones
+        world.fastZones.push(this);
+    }
+}
+
+/**
+ * One end of a pair of portals. Going into one sends the player out of the other with the same momentum,
+ * turned by how differently the two are rotated
+ */
+class Portal extends Obstacle
+{
+    /**
+     * Creates a new Portal
+     * @param {World} world The world this portal is in
+     * @param {Victor} vectorPosition The initial position
+     * @param {number} colliderRadius The radius of the circle collider
+     */
+    constructor(world, vectorPosition = Victor(0, 0), colliderRadius = PORTAL_COLLIDER_RADIUS)
+    {
+        super(world, vectorPosition, colliderRadius);
+
+        /**
+         * The other end of the pair, null if it isn't linked
+         * @type {Portal | null}
+         */
+        this.partner = null;
+
+        //Add to the list of portals
+        world.portals.push(this);
+    }
+
+    /**
+     * Pairs this portal with another, each is the other's exit
+     * @param {Portal} partner The other end
+     */
+    link(partner)
+    {
+        this.partner = partner;
+        partner.partner = this;
+    }
+
+    /**
+     * Returns whether going into this portal would send the player anywhere
+     * @returns {boolean} TRUE if its partner is in play and far enough above the wave
+     */
+    canTeleport()
+    {
+        return this.partner !== null && this.partner.active &&
+            this.partner.vectorPosition.y < this.world.wave.bounds.y - PORTAL_WAVE_CLEARANCE;
+    }
+
+    /**
+     * Sends the player out of its partner when hit
+     * @param {Player} player The player that hit this portal
+     */
+    onHit(player)
+    {
+        player.enterPortal(this);
+    }
+
+    /**
+     * Puts the portal into play unlinked and facing up, the generator or level links it afterwards
+     * @param {Victor} vectorPosition Where to put it, the anchor of its motion
+     * @param {number} scale The scale to give it
+     * @param {Motion | null} motion How it moves, null to stay put
+     */
+    spawn(vectorPosition, scale, motion = null)
+    {
+        super.spawn(vectorPosition, scale, motion);
+
+        this.partner = null;
+        this.rotation = 0;
+    }
+
+    /**
+     * Returns a copy of the state needed to rewind this portal
+     * @returns {object} The rewindable state
+     */
+    saveState()
+    {
+        const state = super.saveState();
+        state.partner = this.partner;
+        return state;
+    }
+
+    /**
+     * Sets this portal back to a state from saveState
+     * @param {object} state The state to load
+     */
+    loadState(state)
+    {
+        super.loadState(state);
+        this.partner = state.partner;
+    }
+}
+
+/**
+ * A pickup that gives the player a timed effect
+ */
+class PowerUp extends Obstacle
+{
+    /**
+     * Creates a new PowerUp
+     * @param {World} world The world this power-up is in
+     * @param {Victor} vectorPosition The initial position
+     * @param {number} colliderRadius The radius of the circle collider
+     */
+    constructor(world, vectorPosition = Victor(0, 0), colliderRadius = POWER_UP_COLLIDER_RADIUS)
+    {
+        super(world, vectorPosition, colliderRadius);
+
+        /**
+         * The POWER_UP_TYPE it gives, set by the generator or level when it is spawned
+         * @type {string}
+         */
+        this.powerUpType = POWER_UP_TYPE.Shield;
+
+        //Add to the list of power-ups
+        world.powerUps.push(this);
+    }
+
+    /**
+     * Gives the player its effect when hit
+     * @param {Player} player The player that hit this power-up
+     */
+    onHit(player)
+    {
+        player.collectPowerUp(this);
+    }
+
+    /**
+     * Returns a copy of the state needed to rewind this power-up
+     * @returns {object} The rewindable state
+     */
+    saveState()
+    {
+        const state = super.saveState();
+        state.powerUpType = this.powerUpType;
+        return state;
+    }
+
+    /**
+     * Sets this power-up back to a state from saveState
+     * @param {object} state The state to load
+     */
+    loadState(state)
+    {
+        super.loadState(state);
+        this.powerUpType = state.powerUpType;
+    }
+
+    /**
+     * Destroys this power-up
+     */
+    destroy()
+    {
+        super.destroy(SIMULATION_EVENT.PowerUpCollected);
+    }
+}
+
+//#endregion
+
+//#region Player
+
+/**
+ * The player of the game
+ */
+class Player extends PhysicsObject
+{
+    /**
+     * Creates a new Player with the specified values
+     * @param {World} world The world this player is in
+     * @param {Victor} vectorPosition The initial position
+     * @param {number} colliderRadius The radius for the collider
+     */
+    constructor(world, vectorPosition = PLAYER_START_POSITION.clone(), colliderRadius = 10)
+    {
+        super(world, vectorPosition);
+
+        //Properties
+        /**
+         * The state of the player represented by the PLAYER_STATE enum
+         * @type {number}
+         */
+        this.playerState = PLAYER_STATE.Dead;
+
+        /**@type {number}*/this.flings = 0;
+
+        /**
+         * How much longer time can be stopped for aiming, from 0 to CHRONO_ENERGY_MAX
+         * @type {number}
+         */
+        this.chronoEnergy = CHRONO_ENERGY_MAX;
+
+        /**
+         * The direction to fling
+         * @type {Victor}
+         */
+        this.flingForce = Victor(0, 0);
+
+        /**
+         * The seconds left of each active POWER_UP_TYPE, ones that aren't active aren't in it
+         * @type {Object<string, number>}
+         */
+        this.powerUps = {};
+
+        //Set the collider radius
+        this.baseColliderRadius = colliderRadius;
+
+        //Comput the collider radius
+        this.setScale(1);
+    }
+
+    /**
+     * Resets the player to the starting values
+     */
+    reset()
+    {
+        this.playerState = PLAYER_STATE.Tutorial;
+        this.teleport(PLAYER_START_POSITION.clone());
+        this.velocity = Victor(0, 0);
+        this.setFlingAmount(this.world.settings.startingFlings);
+        this.flingForce = Victor(0, 0);
+        this.chronoEnergy = CHRONO_ENERGY_MAX;
+        this.powerUps = {};
+    }
+
+    /**
+     * Returns a copy of the state needed to rewind the player
+     * @returns {object} The rewindable state
+     */
+    saveState()
+    {
+        const state = super.saveState();
+        state.flings = this.flings;
+        state.powerUps = { ...this.powerUps };
+        state.chronoEnergy = this.chronoEnergy;
+        return state;
+    }
+
+    /**
+     * Sets the player back to a state from saveState, flings and power-ups used or lost since then come back.
+     * Chrono-energy gained since then is taken away (the orbs that gave it come back) but energy used isn't given back
+     * @param {object} state The state to load
+     */
+    loadState(state)
+    {
+        super.loadState(state);
+        this.setFlingAmount(state.flings);
+        this.powerUps = { ...state.powerUps };
+        this.chronoEnergy = Math.min(this.chronoEnergy, state.chronoEnergy);
+    }
+
+    /**
+     * Bounces the player off the specified bound
+     * @param {number} bound The bound to bounce off of
+     */
+    bounce(bound)
+    {
+        bounceOffWall(this, bound);
+        this.world.emit(SIMULATION_EVENT.Bounce, this);
+    }
+
+    /**
+     * Adds chrono-energy, up to the max
+     * @param {number} amount The amount of chrono-energy to add
+     */
+    addChronoEnergy(amount)
+    {
+        this.chronoEnergy = Math.min(CHRONO_ENERGY_MAX, this.chronoEnergy + amount);
+    }
+
+    /**
+     * Drains chrono-energy while aiming and refills it otherwise. Takes real time since time is stopped while aiming
+     * @param {number} elapsedSeconds The real seconds that passed
+     */
+    updateChronoEnergy(elapsedSeconds)
+    {
+        switch(this.playerState)
+        {
+            case PLAYER_STATE.Aiming:
+                this.chronoEnergy -= CHRONO_ENERGY_MAX * elapsedSeconds / CHRONO_ENERGY_DRAIN_SECONDS;
+
+                //Out of energy, time starts again whether they are ready or not
+                if(this.chronoEnergy <= 0)
+                {
+                    this.chronoEnergy = 0;
+                    this.onFling();
+                }
+                break;
+            case PLAYER_STATE.Idle:
+                this.addChronoEnergy(CHRONO_ENERGY_MAX * elapsedSeconds / CHRONO_ENERGY_REFILL_SECONDS);
+                break;
+        }
+    }
+
+    /**
+     * Sets the fling amount to the specified amount
+     * @param {number} amount The amount of flings to set it to
+     */
+    setFlingAmount(amount)
+    {
+        //Clamp the amount
+        if(amount < 0) amount = 0;
+
+        //Set the amount
+        this.flings = amount;
+    }
+
+    /**
+     * Returns the velocity the player would be flung with
+     * @returns {Victor} The velocity from the current fling force
+     */
+    getFlingVelocity()
+    {
+        return this.flingForce.clone().multiplyScalar(FLING_VELOCITY_MULTIPLIER);
+    }
+
+    /**
+     * Returns whether the specified power-up is active
+     * @param {string} type The POWER_UP_TYPE
+     * @returns {boolean} TRUE if it has time left
+     */
+    hasPowerUp(type)
+    {
+        return type in this.powerUps;
+    }
+
+    /**
+     * Counts down the active power-ups by a physics step of game time and lets the magnet pull in orbs
+     */
+    updatePowerUps()
+    {
+        for(const type of Object.keys(this.powerUps))
+        {
+            this.powerUps[type] -= PHYSICS_TIMESTEP;
+            if(this.powerUps[type] <= 0) delete this.powerUps[type];
+        }
+
+        if(!this.hasPowerUp(POWER_UP_TYPE.Magnet)) return;
+
+        const position = this.vectorPosition;
+        const area = new Rectangle(position.x - MAGNET_RADIUS, position.y - MAGNET_RADIUS, MAGNET_RADIUS * 2, MAGNET_RADIUS * 2);
+        for(const obstacle of this.world.grid.query(area))
+        {
+            if(obstacle instanceof Orb && isCircleCollidingWithPoint(position, MAGNET_RADIUS, obstacle.vectorPosition))
+                obstacle.pullTowards(position, MAGNET_SPEED * PHYSICS_TIMESTEP);
+        }
+    }
+
+    /**
+     * Returns how much hitting an orb multiplies the vertical speed by
+     * @returns {number} The multiplier, higher while a double-boost is active
+     */
+    getOrbBoostMultiplier()
+    {
+        return this.hasPowerUp(POWER_UP_TYPE.DoubleBoost) ? DOUBLE_BOOST_MULTIPLIER : ORB_BOOST_MULTIPLIER;
+    }
+
+    /**
+     * Returns whether releasing now would fling rather than cancel
+     * @returns {boolean} TRUE if the fling force is big enough and there are flings left
+     */
+    canFling()
+    {
+        return this.flingForce.lengthSq() >= this.world.settings.flingForceMin && this.flings > 0;
+    }
+
+    //#region FSM
+
+    /**
+     * Physics step for this player
+     */
+    fixedUpdate()
+    {
+        //Effects only run out while playing
+        if(this.playerState === PLAYER_STATE.Idle || this.playerState === PLAYER_STATE.Aiming) this.updatePowerUps();
+
+        //Apply gravity and get pulled and pushed by any fields it is in
+        this.momentOfAcceleration.add(this.world.getAccelerationAt(this.vectorPosition));
+
+        //Move for this step
+        super.fixedUpdate();
+
+        //Go back over the movement and react to everything hit along the way, in order
+        this.sweepCollisions();
+    }
+
+    //#region Aim
+
+    /**
+     * Starts aiming the player, fsm transition
+     * @returns {boolean} TRUE if the player started aiming
+     */
+    onAim()
+    {
+        //If the player is dead or done, don't aim
+        if(this.playerState === PLAYER_STATE.Dead || this.playerState === PLAYER_STATE.Finished) return false;
+
+        //Can't stop time without energy
+        if(this.chronoEnergy <= 0)
+        {
+            this.world.emit(SIMULATION_EVENT.AimDenied, this);
+            return false;
+        }
+
+        //Change state
+        this.playerState = PLAYER_STATE.Aiming;
+
+        this.world.emit(SIMULATION_EVENT.Aim, this);
+        return true;
+    }
+
+    //#endregion
+
+    //#region Alive and Idle
+
+
+    /**
+     * Sweeps the player along this step's movement (previous position to vector position) and reacts to everything
+     * hit along the way, in order
+     */
+    sweepCollisions()
+    {
+        //Only walls matter when not playing
+        const isAlive = this.playerState === PLAYER_STATE.Idle || this.playerState === PLAYER_STATE.Aiming;
+
+        this.world.sweepMovement(this, this.previousPosition.clone(), this.getTimestep(), this.colliderRadius, isAlive, hit =>
+        {
+            switch(hit.type)
+            {
+                case COLLISION_TYPE.Wall:
+                    this.bounce(hit.bound);
+                    break;
+                case COLLISION_TYPE.Wave:
+                    this.onDeath();
+                    break;
+                case COLLISION_TYPE.Obstacle:
+                    hit.obstacle.onHit(this);
+                    break;
+            }
+
+            return this.playerState !== PLAYER_STATE.Dead;
+        });
+    }
+
+    /**
+     * Reacts to hitting an orb
+     * @param {Orb} orb The orb that was hit
+     */
+    hitOrb(orb)
+    {
+        //Get a lil boost
+        this.velocity = Victor(-this.velocity.x, -Math.abs(this.velocity.y) * this.getOrbBoostMultiplier());
+
+        //Increase flings
+        this.setFlingAmount(this.flings + 1);
+
+        //Refill some rewind and chrono-energy
+        this.world.addRewindCharge(REWIND_CHARGE_PER_ORB);
+        this.addChronoEnergy(CHRONO_ENERGY_PER_ORB);
+
+        //Drestroy orb
+        orb.destroy();
+    }
+
+    /**
+     * Reacts to hitting a spike
+     * @param {Spike} spike The spike that was hit
+     */
+    hitSpike(spike)
+    {
+        //A shield takes the hit instead, keeping the flings and momentum
+        if(this.hasPowerUp(POWER_UP_TYPE.Shield))
+        {
+            delete this.powerUps[POWER_UP_TYPE.Shield];
+            this.world.emit(SIMULATION_EVENT.ShieldBreak, this);
+            spike.destroy();
+            return;
+        }
+
+        //Knockback, bounce off the side that was hit
+        const normal = spike.getContactNormal(this.vectorPosition);
+        const intoSurface = this.velocity.dot(normal);
+        if(intoSurface < 0) this.velocity.subtract(normal.clone().multiplyScalar(2 * intoSurface));
+        this.velocity.multiplyScalar(SPIKE_KNOCKBACK_MULTIPLIER);
+
+        //Increase flings
+        this.setFlingAmount(this.flings - 1);
+
+        //Drestroy orb
+        spike.destroy();
+    }
+
+    /**
+     * Reacts to going into a portal, coming out of its partner
+     * @param {Portal} portal The portal that was entered
+     */
+    enterPortal(portal)
+    {
+        //Portals without a safe exit are just passed through
+        if(!portal.canTeleport()) return;
+
+        //Keep the momentum, turned by how differently the exit is rotated
+        const exit = portal.partner;
+        this.velocity.rotate(exit.rotation - portal.rotation);
+
+        //Come out just past the edge of the exit, heading away from it so it isn't gone straight back into
+        const direction = this.velocity.lengthSq() > 0 ? this.velocity.clone().normalize() : Victor(0, -1).rotate(exit.rotation);
+        const position = exit.vectorPosition.clone().add(direction.multiplyScalar(exit.colliderRadius + this.colliderRadius + 1));
+        position.x = Math.min(Math.max(position.x, this.world.xBounds.x), this.world.xBounds.y);
+
+        //Jump rather than slide across the gap
+        this.teleport(position);
+
+        this.world.emit(SIMULATION_EVENT.PortalEnter, portal);
+    }
+
+    /**
+     * Reacts to hitting a power-up, starting its effect (or restarting it if it is already active)
+     * @param {PowerUp} powerUp The power-up that was hit
+     */
+    collectPowerUp(powerUp)
+    {
+        this.powerUps[powerUp.powerUpType] = POWER_UP_SETTINGS[powerUp.powerUpType].seconds;
+
+        powerUp.destroy();
+    }
+
+    /**
+     * Flings the player with the current fling force, fsm transition
+     * @returns {boolean} TRUE if the player was aiming (whether it flung or cancelled)
+     */
+    onFling()
+    {
+        //This could happen if you click outside of the canvas since I want it to be seamless for the player
+        if(this.playerState !== PLAYER_STATE.Aiming) return false;
+
+        //Reset time
+        this.exitAiming();
+
+        //Change state
+        this.playerState = PLAYER_STATE.Idle;
+
+        //If the mouse is within the player's collider or no flings left, don't fling (cancel)
+        if(!this.canFling())
+        {
+            this.world.emit(SIMULATION_EVENT.FlingCancel, this);
+            return true;
+        }
+
+        this.setFlingAmount(this.flings - 1);
+
+        //Fling the player
+        this.velocity = this.getFlingVelocity();
+
+        this.world.emit(SIMULATION_EVENT.Fling, this);
+        return true;
+    }
+
+    /**
+     * Stops aiming without flinging or using a fling, fsm transition
+     * @returns {boolean} TRUE if the player was aiming
+     */
+    onAimCancel()
+    {
+        if(this.playerState !== PLAYER_STATE.Aiming) return false;
+
+        //Reset time
+        this.exitAiming();
+
+        //Change state
+        this.playerState = PLAYER_STATE.Idle;
+
+        this.world.emit(SIMULATION_EVENT.AimCancel, this);
+        return true;
+    }
+
+    /**
+     * Transitions out of aiming
+     */
+    exitAiming()
+    {
+        this.world.emit(SIMULATION_EVENT.AimEnd, this);
+    }
+
+    //#endregion
+
+    //#region Rewind
+
+    /**
+     * Starts rewinding time, fsm transition
+     * @returns {boolean} TRUE if the player started rewinding
+     */
+    onRewind()
+    {
+        //Can only rewind while alive and playing
+        if(this.playerState !== PLAYER_STATE.Idle && this.playerState !== PLAYER_STATE.Aiming) return false;
+
+        //Nothing to rewind with or to
+        if(!this.world.canRewind())
+        {
+            this.world.emit(SIMULATION_EVENT.RewindDenied, this);
+            return false;
+        }
+
+        //Rewinding cancels aiming without flinging
+        if(this.playerState === PLAYER_STATE.Aiming) this.exitAiming();
+
+        //Change state
+        this.playerState = PLAYER_STATE.Rewinding;
+
+        this.world.emit(SIMULATION_EVENT.RewindStart, this);
+        return true;
+    }
+
+    /**
+     * Stops rewinding time, fsm transition
+     * @returns {boolean} TRUE if the player was rewinding
+     */
+    onRewindEnd()
+    {
+        if(this.playerState !== PLAYER_STATE.Rewinding) return false;
+
+        //Change state
+        this.playerState = PLAYER_STATE.Idle;
+
+        this.world.emit(SIMULATION_EVENT.RewindEnd, this);
+        return true;
+    }
+
+    //#endregion
+
+    //#region Death
+
+    /**
+     * Kills the player, fsm transition
+     */
+    onDeath()
+    {
+        //Change state
+        this.playerState = PLAYER_STATE.Dead;
+
+        //Transition out of aiming
+        this.exitAiming();
+
+        //Stop horizontal velocity
+        this.velocity.x = 0;
+
+        this.world.emit(SIMULATION_EVENT.Death, this);
+    }
+
+    /**
+     * Reached the goal of the level, fsm transition
+     */
+    onLevelComplete()
+    {
+        //Change state
+        this.playerState = PLAYER_STATE.Finished;
+
+        //Transition out of aiming
+        this.exitAiming();
+
+        this.world.emit(SIMULATION_EVENT.LevelComplete, this);
+    }
+
+    //#endregion
+
+    //#endregion
+}
+
+//#endregion
+
+/**
+ * The white thing that approaches from below, its surface swells as it rises
+ */
+class Wave
+{
+    /**
+     * Creates a new Wave
+     * @param {World} world The world this wave is in
+     */
+    constructor(world)
+    {
+        /**@type {World}*/this.world = world;
+
+        /**
+         * The collider of the wave, as wide as the world and two screens tall. Its y is the height of the wave,
+         * the surface swells above and below it
+         * @type {Rectangle}
+         */
+        this.bounds = new Rectangle(0, 0, WORLD_SIZE.x, WORLD_SIZE.y * 2);
+
+        /**
+         * The height of the wave at the start of the last physics step. Used to interpolate the visual
+         * @type {number}
+         */
+        this.previousY = 0;
+
+        /**
+         * The seconds of game time since the run started, moves the surface and speeds the wave up
+         * @type {number}
+         */
+        this.time = 0;
+
+        /**
+         * The time at the start of the last physics step. Used to interpolate the visual
+         * @type {number}
+         */
+        this.previousTime = 0;
+
+        /**
+         * The highest (lowest y) the player has been, climbing past it calms the wave down
+         * @type {number}
+         */
+        this.highestY = 0;
+
+        /**
+         * The seconds since the player last climbed higher
+         * @type {number}
+         */
+        this.lingerSeconds = 0;
+
+        /**
+         * The seconds left of the current surge, 0 when not surging
+         * @type {number}
+         */
+        this.surgeSeconds = 0;
+
+        //Preform any resetting
+        this.reset();
+    }
+
+    /**
+     * Physics step for the wave
+     */
+    fixedUpdate()
+    {
+        this.previousY = this.bounds.y;
+        this.previousTime = this.time;
+        this.time += PHYSICS_TIMESTEP;
+
+        this.updateSurge();
+
+        //Move the wave
+        this.bounds.y -= this.world.settings.waveSpeed * this.getSpeedMultiplier() * PHYSICS_TIMESTEP;
+
+        //If the wave is too far below the player (when not aiming), move it up
+        const player = this.world.player;
+        if(player.playerState !== PLAYER_STATE.Aiming)
+            this.bounds.y = Math.min(this.bounds.y, player.vectorPosition.y + WORLD_SIZE.y * 0.5 + 100);
+    }
+
+    /**
+     * Surges the wave when the player has gone too long without climbing
+     */
+    updateSurge()
+    {
+        const playerY = this.world.player.vectorPosition.y;
+        if(playerY < this.highestY)
+        {
+            this.highestY = playerY;
+            this.lingerSeconds = 0;
+        }
+        else this.lingerSeconds += PHYSICS_TIMESTEP;
+
+        if(this.surgeSeconds > 0)
+        {
+            this.surgeSeconds = Math.max(0, this.surgeSeconds - PHYSICS_TIMESTEP);
+        }
+        else if(this.lingerSeconds >= WAVE_LINGER_SECONDS)
+        {
+            this.surgeSeconds = WAVE_SURGE_SECONDS;
+            this.lingerSeconds = 0;
+            this.world.emit(SIMULATION_EVENT.WaveSurge, this);
+        }
+    }
+
+    /**
+     * Returns whether the wave is surging
+     * @returns {boolean} TRUE if a surge has time left
+     */
+    isSurging()
+    {
+        return this.surgeSeconds > 0;
+    }
+
+    /**
+     * Returns how many times its base speed the wave is rising at. Faster the higher it is and the longer the run goes
+     * unless the level sets its speed, and faster still while surging
+     * @returns {number} The multiplier
+     */
+    getSpeedMultiplier()
+    {
+        const surgeMultiplier = this.isSurging() ? WAVE_SURGE_MULTIPLIER : 1;
+        if(this.world.level) return surgeMultiplier;
+
+        const rampMultiplier = 1 + Math.min(this.time * WAVE_SPEED_RAMP_PER_SECOND, WAVE_SPEED_RAMP_MAX);
+        return surgeMultiplier * rampMultiplier * this.world.getDifficulty(getHeightInMeters(this.bounds.y)).waveSpeedMultiplier;
+    }
+
+    /**
+     * Returns how far below (or above if negative) the height of the wave its surface is at the specified x
+     * @param {number} x The world x
+     * @param {number} time The time to get the surface at
+     * @returns {number} The offset, never further than WAVE_AMPLITUDE
+     */
+    getSurfaceOffset(x, time = this.time)
+    {
+        //A main swell rolling one way with a smaller, shorter one rolling the other
+        const swell = Math.sin(TWO_PI * (x / WAVE_LENGTH - time / WAVE_PERIOD));
+        const chop = Math.sin(TWO_PI * (x / (WAVE_LENGTH * 0.45) + time / (WAVE_PERIOD * 0.6)));
+        return WAVE_AMPLITUDE * (swell * 0.65 + chop * 0.35);
+    }
+
+    /**
+     * Returns the y of the wave's surface at the specified x between the last two physics steps
+     * @param {number} x The world x
+     * @param {number} progress How far (0-1) from the last step to the current one
+     * @returns {number} The interpolated surface y
+     */
+    getInterpolatedSurfaceY(x, progress)
+    {
+        return this.getInterpolatedY(progress) + this.getSurfaceOffset(x, lerp(this.previousTime, this.time, progress));
+    }
+
+    /**
+     * Returns the height of the wave between the last two physics steps
+     * @param {number} progress How far (0-1) from the last step to the current one
+     * @returns {number} The interpolated height
+     */
+    getInterpolatedY(progress)
+    {
+        return lerp(this.previousY, this.bounds.y, progress);
+    }
+
+    /**
+     * Returns a copy of the state needed to rewind the wave
+     * @returns {object} The rewindable state
+     */
+    saveState()
+    {
+        return { y: this.bounds.y, time: this.time, highestY: this.highestY, lingerSeconds: this.lingerSeconds, surgeSeconds: this.surgeSeconds };
+    }
+
+    /**
+     * Sets the wave back to a state from saveState, interpolating from where it is now
+     * @param {object} state The state to load
+     */
+    loadState(state)
+    {
+        this.previousY = this.bounds.y;
+        this.previousTime = this.time;
+        this.bounds.y = state.y;
+        this.time = state.time;
+        this.highestY = state.highestY;
+        this.lingerSeconds = state.lingerSeconds;
+        this.surgeSeconds = state.surgeSeconds;
+    }
+
+    /**
+     * Returns whether the specified point is colliding with this wave
+     * @param {Victor} point The point to check collisions with
+     * @returns {boolean} TRUE if the point is under the surface
+     */
+    isColliding(point)
+    {
+        return this.bounds.contains(point.x, point.y - this.getSurfaceOffset(point.x));
+    }
+
+    /**
+     * Returns when a point moving along the specified path first goes under this wave's surface
+     * @param {Victor} start Where the point starts
+     * @param {Victor} displacement How far the point moves
+     * @returns {number | null} How far along the path (0-1) it hits, or null if it doesn't
+     */
+    sweep(start, displacement)
+    {
+        //Already in it
+        if(this.isColliding(start)) return 0;
+
+        //Nothing above the crests can hit it
+        if(Math.max(start.y, start.y + displacement.y) < this.bounds.y - WAVE_AMPLITUDE) return null;
+
+        //Step along the movement to the first point under the surface, then narrow down where it crossed
+        let before = 0;
+        for(let i = 1; i <= WAVE_SWEEP_SAMPLES; i++)
+        {
+            let after = i / WAVE_SWEEP_SAMPLES;
+            if(!this.isColliding(start.clone().add(displacement.clone().multiplyScalar(after))))
+            {
+                before = after;
+                continue;
+            }
+
+            for(let j = 0; j < 8; j++)
+            {
+                const middle = (before + after) * 0.5;
+                if(this.isColliding(start.clone().add(displacement.clone().multiplyScalar(middle)))) after = middle;
+                else before = middle;
+            }
+            return after;
+        }
+
+        return null;
+    }
+
+    /**
+     * Resets this wave
+     */
+    reset()
+    {
+        //Start below player
+        this.bounds.y = this.previousY = PLAYER_START_POSITION.y + WAVE_START_DISTANCE;
+        this.time = this.previousTime = 0;
+        this.highestY = PLAYER_START_POSITION.y;
+        this.lingerSeconds = 0;
+        this.surgeSeconds = 0;
+    }
+}
+
+//#region Generation
+
+/**
+ * Builds the level a chunk (a screen tall segment) at a time from weighted templates,
+ * around a path of steps that can always be flung between with the flings the player has
+ */
+class ChunkGenerator
+{
+    /**
+     * Creates a new ChunkGenerator
+     * @param {World} world The world to generate the level of
+     */
+    constructor(world)
+    {
+        /**@type {World}*/this.world = world;
+
+        /**@type {SeededRandom} What every choice the generator makes draws from */
+        this.random = world.random;
+
+        /**@type {number} The top of the highest chunk generated so far */
+        this.generatedTop = 0;
+
+        /**@type {Victor} The last step of the guaranteed path generated so far */
+        this.pathEnd = Victor(0, 0);
+
+        /**@type {Victor} The step after the path end, in the next chunk, but already kept clear */
+        this.pathNext = Victor(0, 0);
+
+        /**@type {number} The flings the player will have left when they reach the path end, if they follow the path */
+        this.pathFlings = 0;
+
+        /**@type {Victor[]} The steps of the guaranteed path through the chunk being built, from the bottom */
+        this.path = [];
+
+        /**@type {Difficulty} The difficulty of the chunk being built */
+        this.difficulty = null;
+    }
+
+    /**
+     * Starts a new level, the path starts from the player
+     * @param {Victor} start Where the path starts
+     * @param {number} bottom The bottom of the first chunk
+     * @param {number} flings The flings the player starts with
+     */
+    reset(start, bottom, flings)
+    {
+        this.generatedTop = bottom;
+        this.pathEnd = start.clone();
+        this.pathNext = this.getNextPathStep(this.pathEnd);
+        this.pathFlings = flings;
+    }
+
+    /**
+     * Generates chunks until the level reaches the specified height
+     * @param {number} top The world y the level needs to reach
+     */
+    generateUpTo(top)
+    {
+        while(this.generatedTop > top) this.generateChunk();
+    }
+
+    /**
+     * Generates the next chunk above the ones already generated
+     */
+    generateChunk()
+    {
+        const chunk = new Rectangle(this.world.xBounds.x, this.generatedTop - CHUNK_HEIGHT,
+            this.world.xBounds.y - this.world.xBounds.x, CHUNK_HEIGHT);
+        this.generatedTop = chunk.top;
+        this.difficulty = this.world.getDifficulty(getHeightInMeters(chunk.y + chunk.height * 0.5));
+
+        //The path goes first so nothing the template places can block it
+        const pathOrbs = this.buildPath(chunk);
+
+        this.pickTemplate().build(this, chunk, Math.max(0, Math.round(this.difficulty.obstacles) - pathOrbs));
+
+        //Now and then a power-up on top of the template
+        if(this.random.next() < POWER_UP_CHANCE_PER_CHUNK)
+        {
+            const powerUp = this.placeAnywhere(this.world.powerUps, chunk);
+            if(powerUp) powerUp.powerUpType = this.pickPowerUpType();
+        }
+    }
+
+    /**
+     * Continues the guaranteed path through the chunk, putting orbs on the steps the player wouldn't have a fling left for
+     * @param {Rectangle} chunk The chunk being built
+     * @returns {number} How many orbs were placed
+     */
+    buildPath(chunk)
+    {
+        this.path = [this.pathEnd];
+
+        //Each step takes a fling, so count down from what the player will have left at the end of the path so far.
+        //Chunks are built well ahead, so the flings they have now would count the ones earlier chunks already used
+        let flings = this.pathFlings;
+        let orbs = 0;
+        let step = this.pathNext;
+        while(step.y >= chunk.top)
+        {
+            this.path.push(step);
+
+            flings--;
+            if(flings < 1 && this.place(this.world.orbs, step, true))
+            {
+                flings++;
+                orbs++;
+            }
+
+            step = this.getNextPathStep(step);
+        }
+
+        //The step into the next chunk is kept clear here too since getting to it crosses this chunk
+        this.path.push(step);
+        this.pathEnd = this.path[this.path.length - 2];
+        this.pathNext = step;
+        this.pathFlings = flings;
+
+        return orbs;
+    }
+
+    /**
+     * Returns a random step of the guaranteed path that a fling from the specified step reaches
+     * @param {Victor} step The step before
+     * @returns {Victor} The next step
+     */
+    getNextPathStep(step)
+    {
+        const margin = PATH_STEP_WIDTH_MAX * 0.5;
+        const x = Math.min(Math.max(step.x + this.random.range(-PATH_STEP_WIDTH_MAX, PATH_STEP_WIDTH_MAX),
+            this.world.xBounds.x + margin), this.world.xBounds.y - margin);
+
+        return Victor(x, step.y - this.random.range(PATH_STEP_HEIGHT_MIN, PATH_STEP_HEIGHT_MAX));
+    }
+
+    /**
+     * Returns the point on the guaranteed path through the chunk being built at the specified height
+     * @param {number} y The world y
+     * @returns {Victor} The point on the path, or the closest end if the path doesn't reach it
+     */
+    getPathPointAt(y)
+    {
+        for(let i = 1; i < this.path.length; i++)
+        {
+            const below = this.path[i - 1];
+            const above = this.path[i];
+            if(y < above.y) continue;
+
+            return lerp2D(below, above, Math.min(Math.max((below.y - y) / (below.y - above.y), 0), 1));
+        }
+
+        return this.path[this.path.length - 1].clone();
+    }
+
+    /**
+     * Picks a template, leaning towards the spiky ones the higher the spike ratio is
+     * @returns {ChunkTemplate} The template to build the chunk with
+     */
+    pickTemplate()
+    {
+        const spikeRatio = this.difficulty.spikeRatio;
+        const getWeight = template => lerp(template.orbWeight, template.spikeWeight, spikeRatio);
+
+        let roll = this.random.range(0, CHUNK_TEMPLATES.reduce((total, template) => total + getWeight(template), 0));
+        for(const template of CHUNK_TEMPLATES)
+        {
+            roll -= getWeight(template);
+            if(roll < 0) return template;
+        }
+
+        return CHUNK_TEMPLATES[CHUNK_TEMPLATES.length - 1];
+    }
+
+    /**
+     * Picks a kind of power-up, the rarer ones less often
+     * @returns {string} The POWER_UP_TYPE
+     */
+    pickPowerUpType()
+    {
+        const types = Object.values(POWER_UP_TYPE);
+        let roll = this.random.range(0, types.reduce((total, type) => total + POWER_UP_SETTINGS[type].weight, 0));
+        for(const type of types)
+        {
+            roll -= POWER_UP_SETTINGS[type].weight;
+            if(roll < 0) return type;
+        }
+
+        return types[types.length - 1];
+    }
+
+    /**
+     * Places an obstacle somewhere random in the chunk, trying a few spots before giving up
+     * @param {Obstacle[]} pool The orbs or spikes to take the obstacle from
+     * @param {Rectangle} chunk The chunk being built
+     * @returns {Obstacle | null} The placed obstacle, or null if it couldn't be placed
+     */
+    placeAnywhere(pool, chunk)
+    {
+        for(let attempt = 0; attempt < 5; attempt++)
+        {
+            const obstacle = this.place(pool, this.random.range2D(chunk));
+            if(obstacle) return obstacle;
+        }
+
+        return null;
+    }
+
+    /**
+     * Puts an obstacle from the pool into play with a scale from the difficulty.
+     * Obstacles are kept within the walls, spaced out, out of the way of the path and away from the player
+     * @param {Obstacle[]} pool The orbs or spikes to take the obstacle from
+     * @param {Victor} vectorPosition Where to put it
+     * @param {boolean} isOnPath Whether it is a step of the path, which always goes where it is asked to
+     * @returns {Obstacle | null} The placed obstacle, or null if it would be in the way or the pool is used up
+     */
+    place(pool, vectorPosition, isOnPath = false)
+    {
+        const obstacle = pool.find(pooled => !pooled.active);
+        if(!obstacle) return null;
+
+        const scale = this.random.range(this.difficulty.scaleMin, this.difficulty.scaleMax);
+        const radius = obstacle.baseColliderRadius * scale;
+        const position = vectorPosition.clone();
+
+        //The path has to stay where it was planned
+        const motion = !isOnPath && this.random.next() < this.difficulty.motionChance ? this.createMotion(obstacle) : null;
+
+        if(!isOnPath)
+        {
+            //Everywhere it moves to has to be out of the way, not just where it starts
+            const reach = radius + getMotionReach(motion);
+            const influence = obstacle.getInfluenceRadius(scale) + getMotionReach(motion);
+
+            //Keep it within the walls
+            position.x = Math.min(Math.max(position.x, this.world.xBounds.x + reach), this.world.xBounds.y - reach);
+
+            //Keep the first screen clear around the player
+            const player = this.world.player;
+            if(isColliding(position, influence, player.vectorPosition, player.colliderRadius * 10)) return null;
+
+            //Orbs and power-ups help and time zones only change how fast the path is flown, anything else could be in the way
+            const isHarmless = obstacle instanceof Orb || obstacle instanceof PowerUp || obstacle instanceof TimeZone;
+            if(!isHarmless && this.isNearPath(position, influence + player.colliderRadius + PATH_CLEARANCE)) return null;
+
+            //No clumps
+            const spacedRadius = radius + OBSTACLE_SPACING;
+            const area = new Rectangle(position.x - spacedRadius, position.y - spacedRadius, spacedRadius * 2, spacedRadius * 2);
+            for(const other of this.world.grid.query(area))
+            {
+                if(isColliding(position, spacedRadius, other.vectorPosition, other.colliderRadius)) return null;
+            }
+        }
+
+        obstacle.spawn(position, scale, motion);
+        return obstacle;
+    }
+
+    /**
+     * Returns a random motion for the obstacle, only spikes get the fast ones
+     * @param {Obstacle} obstacle The obstacle being placed
+     * @returns {Motion} The motion
+     */
+    createMotion(obstacle)
+    {
+        const types = obstacle instanceof Spike ? Object.values(MOTION_TYPE) : [MOTION_TYPE.Bob, MOTION_TYPE.Orbit];
+        const direction = this.random.next() < 0.5 ? -1 : 1;
+        const phase = this.random.next();
+
+        switch(types[Math.floor(this.random.range(0, types.length))])
+        {
+            case MOTION_TYPE.Patrol:
+                return { type: MOTION_TYPE.Patrol, x: direction * this.random.range(60, 140), y: this.random.range(-40, 40),
+                    period: this.random.range(2.5, 4), phase: phase };
+            case MOTION_TYPE.Orbit:
+                return { type: MOTION_TYPE.Orbit, radius: this.random.range(25, 50), period: direction * this.random.range(3, 5), phase: phase };
+            case MOTION_TYPE.Bob:
+                return { type: MOTION_TYPE.Bob, amplitude: this.random.range(15, 35), period: this.random.range(2, 3), phase: phase };
+            default:
+                return { type: MOTION_TYPE.Spin, speed: direction * this.random.range(1, 3) };
+        }
+    }
+
+    /**
+     * Returns whether the specified circle comes within the guaranteed path through the chunk being built
+     * @param {Victor} position The center of the circle
+     * @param {number} radius The radius of the circle
+     * @returns {boolean} TRUE if it is too close to the path
+     */
+    isNearPath(position, radius)
+    {
+        for(let i = 1; i < this.path.length; i++)
+        {
+            const closest = closestPointOnSegment(position, this.path[i - 1], this.path[i]);
+            if(closest.distanceSq(position) < radius * radius) return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Returns a copy of the state needed to rewind the generator
+     * @returns {object} The rewindable state
+     */
+    saveState()
+    {
+        return { generatedTop: this.generatedTop, pathEnd: this.pathEnd.clone(), pathNext: this.pathNext.clone(), pathFlings: this.pathFlings };
+    }
+
+    /**
+     * Restores a state saved by saveState
+     * @param {object} state The state to restore
+     */
+    loadState(state)
+    {
+        this.generatedTop = state.generatedTop;
+        this.pathEnd = state.pathEnd.clone();
+        this.pathNext = state.pathNext.clone();
+        this.pathFlings = state.pathFlings;
+    }
+}
+
+//#endregion
+
+/**
+ * Everything in a run and the rules for stepping it. Has no visuals so it can be run without a browser
+ */
+class World
+{
+    /**
+     * Creates a new World
+     * @param {object} settings Any WorldSettings to use instead of the defaults
+     */
+    constructor(settings = {})
+    {
+        /**@type {WorldSettings} The settings the world was created with */
+        this.baseSettings = { ...DEFAULT_WORLD_SETTINGS, ...settings };
+
+        /**@type {WorldSettings} The settings of the current run, a level can override some of them */
+        this.settings = this.baseSettings;
+
+        /**@type {Level | null} The level being played, null when the level is generated */
+        this.level = null;
+
+        /**@type {PhysicsObject[]} The list of all objects in the world (not including the wave) */
+        this.objects = [];
+
+        /**@type {Obstacle[]} The list of all obstacles in the world */
+        this.obstacles = [];
+
+        /**@type {Set<Obstacle>} The obstacles in play, the only ones that need saving to rewind */
+        this.activeObstacles = new Set();
+
+        /**@type {Orb[]} The list of all orbs in the world */
+        this.orbs = [];
+
+        /**@type {Spike[]} The list of all spikes in the world */
+        this.spikes = [];
+
+        /**@type {FieldObstacle[]} The list of all gravity wells and repulsors in the world */
+        this.fields = [];
+
+        /**@type {GravityWell[]} The list of all gravity wells in the world */
+        this.gravityWells = [];
+
+        /**@type {Repulsor[]} The list of all repulsors in the world */
+        this.repulsors = [];
+
+        /**@type {TimeZone[]} The list of all slow and fast zones in the world */
+        this.timeZones = [];
+
+        /**@type {SlowZone[]} The list of all slow zones in the world */
+        this.slowZones = [];
+
+        /**@type {FastZone[]} The list of all fast zones in the world */
+        this.fastZones = [];
+
+        /**@type {Portal[]} The list of all portals in the world */
+        this.portals = [];
+
+        /**@type {PowerUp[]} The list of all power-ups in the world */
+        this.powerUps = [];
+
+        /**@type {SpatialHash} The broadphase grid obstacles register with when they respawn */
+        this.grid = new SpatialHash(OBSTACLE_GRID_CELL_SIZE);
+
+        /**@type {SeededRandom} What every spawn and rotation draws from */
+        this.random = new SeededRandom();
+
+        /**@type {Victor} The left (x) and right (y) walls */
+        this.xBounds = Victor(0, WORLD_SIZE.x);
+
+        /**
+         * The screen above the player's, the level is always generated past it so chunks appear out of view.
+         * Based on the player so a seed always gives the same layout
+         * @type {Rectangle}
+         */
+        this.spawnBounds = new Rectangle();
+
+        /**@type {ChunkGenerator} Builds the level as the player climbs */
+        this.generator = new ChunkGenerator(this);
+
+        /**@type {number} The amount of physics steps run since the world was reset */
+        this.stepCount = 0;
+
+        /**
+         * The saved states of the last few seconds, one per physics step
+         * @type {RingBuffer}
+         */
+        this.rewindBuffer = new RingBuffer(Math.ceil(REWIND_BUFFER_SECONDS / PHYSICS_TIMESTEP));
+
+        /**@type {number} The seconds of rewinding left */
+        this.rewindCharge = REWIND_CHARGE_MAX;
+
+        /**
+         * The functions listening to each SIMULATION_EVENT
+         * @type {Map<number, Function[]>}
+         */
+        this.listeners = new Map();
+
+        //Enough of each type for any mix in the biggest chunks (or the most orbs a path can need) that can be in play
+        const chunkSize = Math.max(Math.ceil(CHUNK_HEIGHT / PATH_STEP_HEIGHT_MIN),
+            ...this.settings.difficulty.map(difficulty => Math.round(difficulty.obstacles)));
+        const poolSize = chunkSize * CHUNKS_IN_PLAY_MAX;
+
+        //Generate orbs
+        for(let i = 0; i < poolSize; i++) new Orb(this);
+
+        //Generate spikes
+        for(let i = 0; i < poolSize; i++) new Spike(this);
+
+        //Generate gravity wells and repulsors, chunks only have a few
+        const fieldPoolSize = FIELDS_PER_CHUNK_MAX * CHUNKS_IN_PLAY_MAX;
+        for(let i = 0; i < fieldPoolSize; i++) new GravityWell(this);
+        for(let i = 0; i < fieldPoolSize; i++) new Repulsor(this);
+
+        //Generate slow and fast zones
+        const timeZonePoolSize = TIME_ZONES_PER_CHUNK_MAX * CHUNKS_IN_PLAY_MAX;
+        for(let i = 0; i < timeZonePoolSize; i++) new SlowZone(this);
+        for(let i = 0; i < timeZonePoolSize; i++) new FastZone(this);
+
+        //Generate portals, in pairs
+        const portalPoolSize = PORTAL_PAIRS_PER_CHUNK_MAX * 2 * CHUNKS_IN_PLAY_MAX;
+        for(let i = 0; i < portalPoolSize; i++) new Portal(this);
+
+        //Generate power-ups, at most one a chunk
+        for(let i = 0; i < CHUNKS_IN_PLAY_MAX; i++) new PowerUp(this);
+
+        /**@type {Player}*/this.player = new Player(this);
+        /**@type {Wave}*/this.wave = new Wave(this);
+    }
+
+    /**
+     * Calls the specified function whenever the event happens
+     * @param {number} eventType The SIMULATION_EVENT to listen for
+     * @param {Function} listener Called with the object the event happened to
+     */
+    on(eventType, listener)
+    {
+        if(!this.listeners.has(eventType)) this.listeners.set(eventType, []);
+        this.listeners.get(eventType).push(listener);
+    }
+
+    /**
+     * Calls every listener of the event
+     * @param {number} eventType The SIMULATION_EVENT that happened
+     * @param {any} target The object it happened to
+     */
+    emit(eventType, target)
+    {
+        const listeners = this.listeners.get(eventType);
+        if(listeners) for(const listener of listeners) listener(target);
+    }
+
+    /**
+     * Resets everything for a new run
+     * @param {number} seed The seed for the layout of the run
+     * @param {Level | null} level The level to play, null to generate one
+     */
+    reset(seed, level = null)
+    {
+        this.level = level;
+        this.settings = level ? { ...this.baseSettings, startingFlings: level.startingFlings, waveSpeed: level.waveSpeed } :
+            this.baseSettings;
+
+        this.random.seed(seed);
+        this.stepCount = 0;
+
+        //Refill rewind
+        this.rewindBuffer.clear();
+        this.rewindCharge = REWIND_CHARGE_MAX;
+
+        this.player.reset();
+        this.resetObstacles();
+        this.wave.reset();
+    }
+
+    /**
+     * Returns how hard the game is at the specified height
+     * @param {number} height The height in meters
+     * @returns {Difficulty} The difficulty blended from the difficulty table
+     */
+    getDifficulty(height)
+    {
+        return sampleDifficulty(this.settings.difficulty, height);
+    }
+
+    /**
+     * Takes every obstacle out of play then places the level's, or generates the level from the bottom of the player's screen up
+     */
+    resetObstacles()
+    {
+        //Everything is about to be registered again where it spawns
+        this.grid.clear();
+        for(const obstacle of this.activeObstacles) obstacle.active = false;
+        this.activeObstacles.clear();
+
+        if(this.level)
+        {
+            //The first portal of each link waits here for the second
+            const unpairedPortals = new Map();
+            for(const placed of this.level.obstacles)
+            {
+                const obstacle = this.getFreeObstacle(placed.type);
+                obstacle.spawn(Victor(placed.x, placed.y), placed.scale, placed.motion ?? null);
+                obstacle.rotation = placed.rotation;
+                if(obstacle instanceof PowerUp) obstacle.powerUpType = placed.powerUp;
+
+                if(!(obstacle instanceof Portal)) continue;
+                if(unpairedPortals.has(placed.link)) obstacle.link(unpairedPortals.get(placed.link));
+                else unpairedPortals.set(placed.link, obstacle);
+            }
+            return;
+        }
+
+        this.generator.reset(this.player.vectorPosition, this.player.vectorPosition.y + WORLD_SIZE.y * 0.5, this.settings.startingFlings);
+        this.updateSpawnBounds();
+        this.generator.generateUpTo(this.spawnBounds.top);
+    }
+
+    /**
+     * Returns an obstacle of the specified type that is out of play, making a new one if they are all in play
+     * @param {string} type The OBSTACLE_TYPE
+     * @returns {Obstacle} The obstacle, not yet spawned
+     */
+    getFreeObstacle(type)
+    {
+        const free = this.getPool(type).find(obstacle => !obstacle.active);
+        if(free) return free;
+
+        const created = this.createObstacle(type);
+        this.emit(SIMULATION_EVENT.ObstacleCreated, created);
+        return created;
+    }
+
+    /**
+     * Returns every obstacle of the specified type
+     * @param {string} type The OBSTACLE_TYPE
+     * @returns {Obstacle[]} The pool of that type
+     */
+    getPool(type)
+    {
+        switch(type)
+        {
+            case OBSTACLE_TYPE.Orb:
+                return this.orbs;
+            case OBSTACLE_TYPE.Spike:
+                return this.spikes;
+            case OBSTACLE_TYPE.GravityWell:
+                return this.gravityWells;
+            case OBSTACLE_TYPE.Repulsor:
+                return this.repulsors;
+            case OBSTACLE_TYPE.SlowZone:
+                return this.slowZones;
+            case OBSTACLE_TYPE.FastZone:
+                return this.fastZones;
+            case OBSTACLE_TYPE.Portal:
+                return this.portals;
+            case OBSTACLE_TYPE.PowerUp:
+                return this.powerUps;
+        }
+    }
+
+    /**
+     * Adds a new obstacle of the specified type to the world, out of play
+     * @param {string} type The OBSTACLE_TYPE
+     * @returns {Obstacle} The new obstacle
+     */
+    createObstacle(type)
+    {
+        switch(type)
+        {
+            case OBSTACLE_TYPE.Orb:
+                return new Orb(this);
+            case OBSTACLE_TYPE.Spike:
+                return new Spike(this);
+            case OBSTACLE_TYPE.GravityWell:
+                return new GravityWell(this);
+            case OBSTACLE_TYPE.Repulsor:
+                return new Repulsor(this);
+            case OBSTACLE_TYPE.SlowZone:
+                return new SlowZone(this);
+            case OBSTACLE_TYPE.FastZone:
+                return new FastZone(this);
+            case OBSTACLE_TYPE.Portal:
+                return new Portal(this);
+            case OBSTACLE_TYPE.PowerUp:
+                return new PowerUp(this);
+        }
+    }
+
+    /**
+     * Returns the acceleration for a physics step of something that moves like the player at the specified position,
+     * from gravity and every field in play
+     * @param {Victor} position The position in the world
+     * @returns {Victor} The acceleration
+     */
+    getAccelerationAt(position)
+    {
+        return this.settings.gravity.clone().multiplyScalar(PHYSICS_TIMESTEP)
+            .add(this.getFieldForce(position).multiplyScalar(PHYSICS_TIMESTEP));
+    }
+
+    /**
+     * Returns the total force every field in play puts on something at the specified position
+     * @param {Victor} position The position in the world
+     * @returns {Victor} The force
+     */
+    getFieldForce(position)
+    {
+        const force = Victor(0, 0);
+        for(const field of this.fields)
+        {
+            if(field.active) force.add(field.getForceAt(position));
+        }
+        return force;
+    }
+
+    /**
+     * Returns how fast time runs at the specified position, overlapping time zones stack
+     * @param {Victor} position The position in the world
+     * @returns {number} The time scale, 1 is normal
+     */
+    getTimeScaleAt(position)
+    {
+        let timeScale = 1;
+        for(const timeZone of this.timeZones)
+        {
+            if(timeZone.isInArea(position)) timeScale *= timeZone.rate;
+        }
+        return timeScale;
+    }
+
+    /**
+     * @typedef {Object} CollisionHit
+     * @property {number} time How far along the movement (0-1) the hit is
+     * @property {number} type What was hit, from COLLISION_TYPE
+     * @property {number} [bound] The x of the wall that was hit
+     * @property {Obstacle} [obstacle] The obstacle that was hit
+     */
+
+    /**
+     * Sweeps something along a step's movement and reacts to the earliest hit first, then continues the rest of the step
+     * with the velocity it has after. This stops fast movement from skipping over things between steps.
+     * The player and its predicted path both move through this so the prediction can't drift from the real thing
+     * @param {{vectorPosition: Victor, velocity: Victor}} body What is moving, already at the end of its movement
+     * @param {Victor} start Where the movement started
+     * @param {number} timestep How much time passes for it this step
+     * @param {number} radius How big it is
+     * @param {boolean} isAlive Whether it can hit the wave and obstacles, otherwise only the walls
+     * @param {(hit: CollisionHit) => boolean} resolve Reacts to a hit, returns FALSE to stop moving
+     */
+    sweepMovement(body, start, timestep, radius, isAlive, resolve)
+    {
+        //Obstacles go out of play when hit so make sure they aren't hit again this step
+        const hitObstacles = new Set();
+
+        let displacement = body.vectorPosition.clone().subtract(start);
+
+        for(let i = 0; i < MAX_COLLISIONS_PER_STEP; i++)
+        {
+            const hit = this.findEarliestHit(start, displacement, radius, isAlive, hitObstacles);
+            //Nothing in the way, already at the end of the movement
+            if(hit === null) return;
+
+            //Move to where it hit
+            const remaining = 1 - hit.time;
+            body.vectorPosition = start.clone().add(displacement.clone().multiplyScalar(hit.time));
+
+            //React to the hit
+            if(hit.type === COLLISION_TYPE.Obstacle) hitObstacles.add(hit.obstacle);
+            if(!resolve(hit)) return;
+
+            //Move the rest of the step with the new velocity
+            start = body.vectorPosition.clone();
+            displacement = body.velocity.clone().multiplyScalar(timestep * remaining);
+            body.vectorPosition = start.clone().add(displacement);
+        }
+    }
+
+    /**
+     * Finds the first thing something would hit moving along the specified path
+     * @param {Victor} start Where the movement starts
+     * @param {Victor} displacement The movement
+     * @param {number} radius How big it is
+     * @param {boolean} isAlive Whether to check the wave and obstacles, otherwise only the walls
+     * @param {Set<Obstacle>} ignoredObstacles Obstacles to skip
+     * @returns {CollisionHit | null} The earliest hit, or null if nothing is hit
+     */
+    findEarliestHit(start, displacement, radius, isAlive, ignoredObstacles)
+    {
+        let earliest = null;
+        const consider = (time, hit) =>
+        {
+            if(time !== null && (earliest === null || time < earliest.time)) earliest = { time: time, ...hit };
+        };
+
+        //Walls
+        const end = start.x + displacement.x;
+        if(displacement.x < 0 && end < this.xBounds.x)
+            consider(Math.max(0, (this.xBounds.x - start.x) / displacement.x), { type: COLLISION_TYPE.Wall, bound: this.xBounds.x });
+        else if(displacement.x > 0 && end > this.xBounds.y)
+            consider(Math.max(0, (this.xBounds.y - start.x) / displacement.x), { type: COLLISION_TYPE.Wall, bound: this.xBounds.y });
+
+        if(!isAlive) return earliest;
+
+        //Wave
+        consider(this.wave.sweep(start, displacement), { type: COLLISION_TYPE.Wave });
+
+        //Obstacles, only the ones in grid cells the movement passes over
+        for(const obstacle of this.grid.query(getSweptBounds(start, displacement, radius)))
+        {
+            if(ignoredObstacles.has(obstacle) || !obstacle.isSolid) continue;
+            consider(obstacle.sweepCircle(start, displacement, radius), { type: COLLISION_TYPE.Obstacle, obstacle: obstacle });
+        }
+
+        return earliest;
+    }
+
+    /**
+     * Returns where something flung from the specified position would be after each of the next physics steps,
+     * moving and bouncing off the walls exactly like the player does.
+     * It stops at the first obstacle or the wave since hitting those changes where it goes
+     * @param {Victor} start Where it starts
+     * @param {Victor} velocity The velocity it starts with
+     * @param {number} steps How many physics steps to look ahead
+     * @param {number} radius How big it is, for hitting obstacles
+     * @returns {{path: Victor[], hit: Obstacle | null}} The positions, starting with the start and ending
+     * where it hits, and the obstacle it hits if it hits one
+     */
+    predictPath(start, velocity, steps, radius = 0)
+    {
+        const body = { vectorPosition: start.clone(), velocity: velocity.clone() };
+
+        const path = [start.clone()];
+        let isStopped = false;
+        let hitObstacle = null;
+        for(let i = 0; i < steps && !isStopped; i++)
+        {
+            //The same step as the player's
+            const stepStart = body.vectorPosition.clone();
+            const timestep = PHYSICS_TIMESTEP * this.getTimeScaleAt(stepStart);
+            integrateMovement(body, this.getAccelerationAt(stepStart), timestep, this.settings.friction);
+
+            this.sweepMovement(body, stepStart, timestep, radius, true, hit =>
+            {
+                if(hit.type === COLLISION_TYPE.Wall)
+                {
+                    bounceOffWall(body, hit.bound);
+                    return true;
+                }
+
+                isStopped = true;
+                hitObstacle = hit.obstacle ?? null;
+                return false;
+            });
+
+            path.push(body.vectorPosition.clone());
+        }
+        return { path: path, hit: hitObstacle };
+    }
+
+    /**
+     * Completes the level if the player is playing and has reached its goal
+     */
+    checkGoal()
+    {
+        if(!this.level) return;
+        if(this.player.playerState !== PLAYER_STATE.Idle && this.player.playerState !== PLAYER_STATE.Aiming) return;
+
+        if(getHeightInMeters(this.player.vectorPosition.y) >= this.level.goalHeight) this.player.onLevelComplete();
+    }
+
+    /**
+     * Computes the spawn bounds from the player's current position
+     */
+    updateSpawnBounds()
+    {
+        this.spawnBounds = new Rectangle(this.xBounds.x, this.player.vectorPosition.y - WORLD_SIZE.y * 1.5,
+            this.xBounds.y - this.xBounds.x, WORLD_SIZE.y);
+    }
+
+    /**
+     * Runs the rules that go by real time instead of physics steps since they keep going while time is stopped
+     * @param {number} elapsedSeconds The real seconds that passed
+     */
+    updateRealTime(elapsedSeconds)
+    {
+        //Time stop costs energy, may force a fling
+        this.player.updateChronoEnergy(elapsedSeconds);
+    }
+
+    /**
+     * Runs a single physics step, going back in time instead if the player is rewinding
+     */
+    step()
+    {
+        if(this.player.playerState === PLAYER_STATE.Rewinding)
+        {
+            this.stepRewind();
+        }
+        else
+        {
+            //How far up the level needs to be generated
+            this.updateSpawnBounds();
+
+            //Step all objects then the wave
+            for(const object of this.objects) object.fixedUpdate();
+            this.wave.fixedUpdate();
+
+            //Build any chunks that are about to come into view, levels are already built
+            if(this.level) this.checkGoal();
+            else this.generator.generateUpTo(this.spawnBounds.top);
+
+            //Remember this step so it can be rewound to
+            this.saveRewindSnapshot();
+        }
+
+        this.stepCount++;
+    }
+
+    //#region Rewind
+
+    /**
+     * Adds rewind charge, up to the max
+     * @param {number} amount The seconds of rewinding to add
+     */
+    addRewindCharge(amount)
+    {
+        this.rewindCharge = Math.min(REWIND_CHARGE_MAX, this.rewindCharge + amount);
+    }
+
+    /**
+     * Returns whether there is anything to rewind and the charge to do it
+     * @returns {boolean} TRUE if time can be rewound right now
+     */
+    canRewind()
+    {
+        return this.rewindCharge > 0 && this.rewindBuffer.length > 0;
+    }
+
+    /**
+     * Saves the state of everything that can be rewound
+     */
+    saveRewindSnapshot()
+    {
+        this.rewindBuffer.push
+        ({
+            player: this.player.saveState(),
+            //Only what is in play, the rest of the pool stays out of play until spawned and then saves from there
+            obstacles: new Map([...this.activeObstacles].map(obstacle => [obstacle, obstacle.saveState()])),
+            wave: this.wave.saveState(),
+            generator: this.generator.saveState(),
+            rewindCharge: this.rewindCharge,
+            //So chunks generated after rewinding are the same as they were the first time
+            randomState: this.random.state
+        });
+    }
+
+    /**
+     * Rewinds a physics step's worth of time, ending the rewind when out of charge or history
+     */
+    stepRewind()
+    {
+        for(let i = 0; i < REWIND_SPEED; i++)
+        {
+            if(!this.canRewind())
+            {
+                this.player.onRewindEnd();
+                return;
+            }
+
+            //Charge gained since the snapshot is taken away too since the orbs that gave it come back
+            const snapshot = this.rewindBuffer.pop();
+            this.rewindCharge = Math.max(0, Math.min(this.rewindCharge, snapshot.rewindCharge) - PHYSICS_TIMESTEP);
+
+            this.player.loadState(snapshot.player);
+            //Anything spawned since the snapshot goes back out of play
+            for(const obstacle of [...this.activeObstacles]) if(!snapshot.obstacles.has(obstacle)) obstacle.deactivate();
+            for(const [obstacle, state] of snapshot.obstacles) obstacle.loadState(state);
+            this.wave.loadState(snapshot.wave);
+            this.generator.loadState(snapshot.generator);
+            this.random.state = snapshot.randomState;
+        }
+    }
+
+    //#endregion
+}
+
+//#endregion
+
+//#region Utility
+
+/**
+ * Validates a difficulty table loaded from data
+ * @param {any} data The parsed json of the table
+ * @returns {Difficulty[] | null} A copy of the table sorted by height, or null if it is invalid
+ */
+const parseDifficultyTable = data =>
+{
+    if(!Array.isArray(data) || data.length === 0) return null;
+    if(!data.every(row => row && DIFFICULTY_FIELDS.every(field => Number.isFinite(row[field])))) return null;
+
+    return data.map(row => ({ ...row })).sort((a, b) => a.height - b.height);
+}
+
+/**
+ * Returns the difficulty at the specified height, blending between the rows above and below it
+ * @param {Difficulty[]} table The difficulty table, sorted by height
+ * @param {number} height The height in meters
+ * @returns {Difficulty} The difficulty at the height
+ */
+const sampleDifficulty = (table, height) =>
+{
+    //Past either end stays at that end
+    if(height <= table[0].height) return table[0];
+
+    for(let i = 1; i < table.length; i++)
+    {
+        if(height > table[i].height) continue;
+
+        const below = table[i - 1];
+        const above = table[i];
+        const progress = (height - below.height) / (above.height - below.height);
+
+        const difficulty = {};
+        for(const field of DIFFICULTY_FIELDS) difficulty[field] = lerp(below[field], above[field], progress);
+        return difficulty;
+    }
+
+    return table[table.length - 1];
+}
+
+/**
+ * Validates a level loaded from data
+ * @param {any} data The parsed json of the level
+ * @returns {Level | null} A copy of the level with rotations defaulted to 0, or null if it is invalid
+ */
+const parseLevel = data =>
+{
+    if(!data || typeof data.name !== "string" || !Array.isArray(data.obstacles)) return null;
+    if(![data.goalHeight, data.startingFlings, data.waveSpeed].every(Number.isFinite)) return null;
+
+    //How many portals use each link, a portal on its own does nothing but a link can't be shared by more than two
+    const portalLinks = new Map();
+
+    const obstacles = [];
+    for(const placed of data.obstacles)
+    {
+        if(!placed || !Object.values(OBSTACLE_TYPE).includes(placed.type)) return null;
+        if(![placed.x, placed.y, placed.scale].every(Number.isFinite) || placed.scale <= 0) return null;
+
+        const rotation = placed.rotation ?? 0;
+        if(!Number.isFinite(rotation)) return null;
+
+        const obstacle = { type: placed.type, x: placed.x, y: placed.y, scale: placed.scale, rotation: rotation };
+        if(placed.motion !== undefined && placed.motion !== null)
+        {
+            obstacle.motion = parseMotion(placed.motion);
+            if(!obstacle.motion) return null;
+        }
+
+        if(placed.type === OBSTACLE_TYPE.Portal)
+        {
+            if(!Number.isInteger(placed.link)) return null;
+
+            const linked = (portalLinks.get(placed.link) ?? 0) + 1;
+            if(linked > 2) return null;
+            portalLinks.set(placed.link, linked);
+            obstacle.link = placed.link;
+        }
+
+        if(placed.type === OBSTACLE_TYPE.PowerUp)
+        {
+            if(!Object.values(POWER_UP_TYPE).includes(placed.powerUp)) return null;
+            obstacle.powerUp = placed.powerUp;
+        }
+
+        obstacles.push(obstacle);
+    }
+
+    return { name: data.name, goalHeight: data.goalHeight, startingFlings: Math.max(0, Math.floor(data.startingFlings)),
+        waveSpeed: data.waveSpeed, obstacles: obstacles };
+}
+
+/**
+ * Validates a motion loaded from data
+ * @param {any} data The parsed json of the motion
+ * @returns {Motion | null} A copy of the motion with the phase defaulted to 0, or null if it is invalid
+ */
+const parseMotion = data =>
+{
+    const fields = data && MOTION_FIELDS[data.type];
+    if(!Array.isArray(fields) || !fields.every(field => Number.isFinite(data[field]))) return null;
+
+    const motion = { type: data.type };
+    for(const field of fields) motion[field] = data[field];
+
+    if(fields.includes("period"))
+    {
+        if(motion.period === 0) return null;
+
+        motion.phase = data.phase ?? 0;
+        if(!Number.isFinite(motion.phase)) return null;
+    }
+
+    return motion;
+}
+
+/**
+ * Returns where a motion has moved an obstacle from its anchor after the specified time
+ * @param {Motion} motion The motion
+ * @param {number} time The seconds it has been moving for
+ * @returns {Victor} The offset from the anchor
+ */
+const getMotionOffset = (motion, time) =>
+{
+    //Spinning doesn't move
+    if(motion.type === MOTION_TYPE.Spin) return Victor(0, 0);
+
+    const angle = (time / motion.period + motion.phase) * TWO_PI;
+    switch(motion.type)
+    {
+        case MOTION_TYPE.Patrol:
+        {
+            //There and back, slowing down at the ends
+            const progress = (1 - Math.cos(angle)) * 0.5;
+            return Victor(motion.x * progress, motion.y * progress);
+        }
+        case MOTION_TYPE.Orbit:
+            return Victor(Math.cos(angle) * motion.radius, Math.sin(angle) * motion.radius);
+        case MOTION_TYPE.Bob:
+            return Victor(0, Math.sin(angle) * motion.amplitude);
+    }
+}
+
+/**
+ * Returns the furthest a motion moves an obstacle from its anchor
+ * @param {Motion | null} motion The motion, or null if it doesn't move
+ * @returns {number} The distance
+ */
+const getMotionReach = motion =>
+{
+    switch(motion?.type)
+    {
+        case MOTION_TYPE.Patrol:
+            return Math.hypot(motion.x, motion.y);
+        case MOTION_TYPE.Orbit:
+            return Math.abs(motion.radius);
+        case MOTION_TYPE.Bob:
+            return Math.abs(motion.amplitude);
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Creates the triangle spikes are shaped as, centered around 0,0
+ * @param {number} size The size of the triangle
+ * @returns {Victor[]} The vertices of the triangle
+ */
+const createSpikeTriangle = size =>
+{
+    const halfSize = size * 0.5;
+    return [Victor(0, -halfSize), Victor(-halfSize, size*0.333), Victor(halfSize, size*0.333)];
+}
+
+/**
+ * Returns the height in meters shown to the player for the specified world y
+ * @param {number} y The y position in the world
+ * @returns {number} The height in meters
+ */
+const getHeightInMeters = y => Math.ceil(y * -0.1) + 100;
+
+/**
+ * Returns the world y where the specified height in meters is reached, the opposite of getHeightInMeters
+ * @param {number} height The height in meters
+ * @returns {number} The y position in the world
+ */
+const getYAtHeight = height => (100 - height) * 10;
+
+/**
+ * Linearly interpolates between two numbers.
+ * If you set something to the lerp of itself, target, and easing, it is an easing function too
+ * @param {number} min The lower bound
+ * @param {number} max The upper bound
+ * @param {number} progress How far along the lerp it is (0-1) or easing factor
+ * @returns {number} The lerped vector
+ */
+const lerp = (min, max, progress) => min + (max - min) * progress;
+
+/**
+ * Linearly interpolates between two vectors
+ * @param {Victor} min The lower bound of the lerp
+ * @param {Victor} max The upper bound of the lerp
+ * @param {number} progress How far along the lerp it is (0-1) or easing factor
+ * @returns {Victor} The lerped vector
+ */
+const lerp2D = (min, max, progress) => min.clone().add(max.clone().subtract(min).multiplyScalar(progress));
+
+/**
+ * Checks if the specified decomposed circles are colliding
+ * @param {Victor} p1 The position of the first circle
+ * @param {number} r1 The radius of the first circle
+ * @param {Victor} p2 The position of the second circle
+ * @param {number} r2 The radius of the second circle
+ * @returns {boolean} TRUE if the circles are colliding
+ */
+const isColliding = (p1, r1, p2, r2) =>
+{
+    //Use distance squared to avoid the square root
+    const radiusTotal = r1 + r2;
+    return p1.distanceSq(p2) < radiusTotal * radiusTotal;
+}
+
+/**
+ * Returns when a moving circle first touches a still circle
+ * @param {Victor} start The position the moving circle starts at
+ * @param {Victor} displacement How far the moving circle moves
+ * @param {number} r1 The radius of the moving circle
+ * @param {Victor} center The position of the still circle
+ * @param {number} r2 The radius of the still circle
+ * @returns {number | null} How far along the movement (0-1) they touch, 0 if they already overlap,
+ * or null if they don't touch
+ */
+const sweepCircles = (start, displacement, r1, center, r2) =>
+{
+    const radiusTotal = r1 + r2;
+    const offset = start.clone().subtract(center);
+
+    //Already overlapping
+    const c = offset.lengthSq() - radiusTotal * radiusTotal;
+    if(c < 0) return 0;
+
+    //Not moving or moving away
+    const a = displacement.lengthSq();
+    const b = offset.dot(displacement);
+    if(a === 0 || b >= 0) return null;
+
+    //Solve the quadratic for the first time the distance equals the radius total
+    const discriminant = b * b - a * c;
+    if(discriminant < 0) return null;
+    const time = (-b - Math.sqrt(discriminant)) / a;
+    return time <= 1 ? time : null;
+}
+
+/**
+ * Moves something for a physics step, how every physics object and the predicted path move
+ * @param {{vectorPosition: Victor, velocity: Victor}} body What is moving, changed in place
+ * @param {Victor} acceleration The acceleration for this step
+ * @param {number} timestep How much time passes for it this step
+ * @param {number} friction How much of its velocity it loses per second
+ */
+const integrateMovement = (body, acceleration, timestep, friction) =>
+{
+    body.velocity.add(acceleration.clone().multiplyScalar(timestep));
+    body.vectorPosition.add(body.velocity.clone().multiplyScalar(timestep));
+
+    //Apply "friction"
+    body.velocity.subtract(body.velocity.clone().multiplyScalar(friction * timestep));
+}
+
+/**
+ * Bounces something off a wall, it stays at the wall and its horizontal velocity flips
+ * @param {{vectorPosition: Victor, velocity: Victor}} body What is bouncing, changed in place
+ * @param {number} bound The x of the wall
+ */
+const bounceOffWall = (body, bound) =>
+{
+    body.vectorPosition.x = bound;
+    body.velocity.x *= -1;
+}
+
+/**
+ * Returns the bounding box of a circle moving along a path
+ * @param {Victor} start The position the circle starts at
+ * @param {Victor} displacement How far the circle moves
+ * @param {number} radius The radius of the circle
+ * @returns {Rectangle} The box covering the whole movement
+ */
+const getSweptBounds = (start, displacement, radius) =>
+{
+    const left = Math.min(start.x, start.x + displacement.x) - radius;
+    const top = Math.min(start.y, start.y + displacement.y) - radius;
+    return new Rectangle(left, top, Math.abs(displacement.x) + radius * 2, Math.abs(displacement.y) + radius * 2);
+}
+
+/**
+ * Returns the closest point on a line segment to the specified point
+ * @param {Victor} point The point to get closest to
+ * @param {Victor} a The start of the segment
+ * @param {Victor} b The end of the segment
+ * @returns {Victor} The closest point on the segment
+ */
+const closestPointOnSegment = (point, a, b) =>
+{
+    const segment = b.clone().subtract(a);
+    const lengthSq = segment.lengthSq();
+    if(lengthSq === 0) return a.clone();
+
+    //How far along the segment the point projects, clamped to the segment
+    const progress = Math.min(Math.max(point.clone().subtract(a).dot(segment) / lengthSq, 0), 1);
+    return lerp2D(a, b, progress);
+}
+
+/**
+ * Returns the closest point on the edges of a polygon to the specified point
+ * @param {Victor} point The point to get closest to
+ * @param {Victor[]} vertices The vertices of the polygon
+ * @returns {Victor} The closest point on the polygon's edges
+ */
+const closestPointOnPolygon = (point, vertices) =>
+{
+    let closest = null;
+    let closestDistanceSq = Infinity;
+    for(let i = 0; i < vertices.length; i++)
+    {
+        const candidate = closestPointOnSegment(point, vertices[i], vertices[(i + 1) % vertices.length]);
+        const distanceSq = candidate.distanceSq(point);
+        if(distanceSq < closestDistanceSq)
+        {
+            closest = candidate;
+            closestDistanceSq = distanceSq;
+        }
+    }
+    return closest;
+}
+
+/**
+ * Returns whether a point is inside a convex polygon
+ * @param {Victor} point The point to check
+ * @param {Victor[]} vertices The vertices of the convex polygon, in either winding order
+ * @returns {boolean} TRUE if the point is inside the polygon
+ */
+const isPointInPolygon = (point, vertices) =>
+{
+    //Inside if the point is on the same side of every edge
+    let sign = 0;
+    for(let i = 0; i < vertices.length; i++)
+    {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        const cross = b.clone().subtract(a).cross(point.clone().subtract(a));
+        if(cross === 0) continue;
+        if(sign === 0) sign = Math.sign(cross);
+        else if(Math.sign(cross) !== sign) return false;
+    }
+    return true;
+}
+
+/**
+ * Returns whether a circle is colliding with a convex polygon
+ * @param {Victor} center The position of the circle
+ * @param {number} radius The radius of the circle
+ * @param {Victor[]} vertices The vertices of the convex polygon
+ * @returns {boolean} TRUE if they are colliding
+ */
+const isCircleCollidingWithPolygon = (center, radius, vertices) =>
+    isPointInPolygon(center, vertices) || closestPointOnPolygon(center, vertices).distanceSq(center) < radius * radius;
+
+/**
+ * Returns when a moving circle first touches a still convex polygon. Works by sweeping the center
+ * against the polygon grown by the radius (each edge pushed out plus a circle at each vertex)
+ * @param {Victor} start The position the circle starts at
+ * @param {Victor} displacement How far the circle moves
+ * @param {number} radius The radius of the circle
+ * @param {Victor[]} vertices The vertices of the convex polygon
+ * @returns {number | null} How far along the movement (0-1) they touch, 0 if they already overlap,
+ * or null if they don't touch
+ */
+const sweepCircleAgainstPolygon = (start, displacement, radius, vertices) =>
+{
+    //Already overlapping
+    if(isCircleCollidingWithPolygon(start, radius, vertices)) return 0;
+
+    const centroid = vertices.reduce((sum, vertex) => sum.add(vertex), Victor(0, 0)).divideScalar(vertices.length);
+    let earliest = null;
+
+    for(let i = 0; i < vertices.length; i++)
+    {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+
+        //Outward facing normal of the edge
+        const edge = b.clone().subtract(a);
+        let normal = Victor(edge.y, -edge.x).normalize();
+        if(normal.dot(a.clone().subtract(centroid)) < 0) normal.invert();
+
+        //Only edges being moved towards can be hit
+        const approach = displacement.dot(normal);
+        if(approach < 0)
+        {
+            //When the center crosses the edge pushed out by the radius
+            const pushedA = a.clone().add(normal.clone().multiplyScalar(radius));
+            const time = pushedA.clone().subtract(start).dot(normal) / approach;
+            if(time >= 0 && time <= 1)
+            {
+                //Make sure it crosses within the edge, not past its ends (the vertices handle those)
+                const crossing = start.clone().add(displacement.clone().multiplyScalar(time));
+                const along = crossing.subtract(pushedA).dot(edge) / edge.lengthSq();
+                if(along >= 0 && along <= 1 && (earliest === null || time < earliest)) earliest = time;
+            }
+        }
+
+        //Rounded corner
+        const cornerTime = sweepCircles(start, displacement, radius, a, 0);
+        if(cornerTime !== null && (earliest === null || cornerTime < earliest)) earliest = cornerTime;
+    }
+
+    return earliest;
+}
+
+/**
+ * Returns the direction from the surface of a convex polygon out to the specified point
+ * @param {Victor} point The point touching the polygon
+ * @param {Victor[]} vertices The vertices of the convex polygon
+ * @returns {Victor} The normalized contact normal
+ */
+const getPolygonContactNormal = (point, vertices) =>
+{
+    const normal = point.clone().subtract(closestPointOnPolygon(point, vertices));
+
+    //Inside the polygon, the closest edge is still the way out but the direction is flipped
+    if(isPointInPolygon(point, vertices)) normal.invert();
+    return normalizeOr(normal, Victor(0, -1));
+}
+
+/**
+ * Returns a normalized copy of the vector, or the fallback if the vector has no length
+ * @param {Victor} vector The vector to normalize
+ * @param {Victor} fallback The direction to use if the vector is zero
+ * @returns {Victor} The normalized vector
+ */
+const normalizeOr = (vector, fallback) => vector.lengthSq() === 0 ? fallback : vector.clone().normalize();
+
+/**
+ * Returns whether the specified circle is colliding with the specified point
+ * @param {Victor} position The position of the circle
+ * @param {number} radius The radius of the circle
+ * @param {Victor} targetPoint The point to check against
+ * @returns {boolean} TRUE if the circle is colliding with the point
+ */
+const isCircleCollidingWithPoint = (position, radius, targetPoint) =>
+{
+    return position.distanceSq(targetPoint) < radius * radius;
+}
+
+//#endregion
+
+//Let node scripts (balancing, tests) require the simulation
+if(typeof module !== "undefined") module.exports =
+{
+    World, ChunkGenerator, Rectangle, SeededRandom, RingBuffer, SpatialHash,
+    PhysicsObject, Obstacle, Orb, Spike, AreaObstacle, FieldObstacle, GravityWell, Repulsor, TimeZone, SlowZone, FastZone, Portal, PowerUp, Player, Wave,
+    PLAYER_STATE, SIMULATION_EVENT, COLLISION_TYPE, OBSTACLE_TYPE, MOTION_TYPE, POWER_UP_TYPE, POWER_UP_SETTINGS, CHUNK_TEMPLATES, DEFAULT_WORLD_SETTINGS, DEFAULT_DIFFICULTY_TABLE, WORLD_SIZE, PLAYER_START_POSITION,
+    PHYSICS_TIMESTEP, GRAVITY, FRICTION, WAVE_SPEED, WAVE_START_DISTANCE, WAVE_AMPLITUDE, WAVE_SURGE_MULTIPLIER, FLING_FORCE_MIN, STARTING_FLINGS, ORB_COLLIDER_RADIUS, SPIKE_SIZE,
+    AREA_CORE_RADIUS, FIELD_RADIUS, GRAVITY_WELL_STRENGTH, REPULSOR_STRENGTH, FLING_VELOCITY_MULTIPLIER,
+    TIME_ZONE_RADIUS, SLOW_ZONE_TIME_SCALE, FAST_ZONE_TIME_SCALE, PORTAL_COLLIDER_RADIUS, PORTAL_WAVE_CLEARANCE,
+    POWER_UP_COLLIDER_RADIUS, MAGNET_RADIUS, DOUBLE_BOOST_MULTIPLIER,
+    getHeightInMeters, getYAtHeight, createSpikeTriangle, parseDifficultyTable, parseLevel, parseMotion, getMotionOffset, getMotionReach, sampleDifficulty, lerp, lerp2D, isColliding, sweepCircles, getSweptBounds, integrateMovement, bounceOffWall,
+    isPointInPolygon, isCircleCollidingWithPolygon, sweepCircleAgainstPolygon, getPolygonContactNormal
+};
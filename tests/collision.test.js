@@ -0,0 +1,258 @@
+"use strict";
+
+//Checks the collision math the player is swept with. Run with npm test
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { SpatialHash, Rectangle, COLLISION_TYPE, OBSTACLE_TYPE, PLAYER_STATE, SIMULATION_EVENT, PLAYER_START_POSITION,
+    PHYSICS_TIMESTEP, FLING_VELOCITY_MULTIPLIER, STARTING_FLINGS, sweepCircles, sweepCircleAgainstPolygon, getPolygonContactNormal,
+    isCircleCollidingWithPolygon, integrateMovement, createSpikeTriangle } = require("../js/simulation.js");
+const { createWorld } = require("./helpers.js");
+
+/**
+ * How close two times of impact have to be to count as the same
+ */
+const EPSILON = 1e-9;
+
+/**
+ * The spike triangle at its normal size: tip at (0, -37.5), base corners at (-37.5, 24.975) and (37.5, 24.975)
+ */
+const TRIANGLE = createSpikeTriangle(75);
+
+describe("sweepCircles", () =>
+{
+    it("hits head on when the radii first touch", () =>
+    {
+        //Touching when the centers are 10 apart, at x = 40
+        assert.ok(Math.abs(sweepCircles(Victor(0, 0), Victor(100, 0), 5, Victor(50, 0), 5) - 0.4) < EPSILON);
+    });
+
+    it("counts a graze that only just touches", () =>
+    {
+        assert.ok(Math.abs(sweepCircles(Victor(0, 0), Victor(100, 0), 5, Victor(50, 10), 5) - 0.5) < EPSILON);
+        assert.equal(sweepCircles(Victor(0, 0), Victor(100, 0), 5, Victor(50, 10.001), 5), null);
+    });
+
+    it("is 0 when already overlapping", () =>
+    {
+        assert.equal(sweepCircles(Victor(0, 0), Victor(100, 0), 5, Victor(3, 0), 5), 0);
+    });
+
+    it("misses when moving away or stopping short", () =>
+    {
+        assert.equal(sweepCircles(Victor(0, 0), Victor(-100, 0), 5, Victor(50, 0), 5), null);
+        assert.equal(sweepCircles(Victor(0, 0), Victor(30, 0), 5, Victor(50, 0), 5), null);
+    });
+
+    it("hits a small circle even when moving far past it in one step", () =>
+    {
+        //Both ends of the movement are well clear of the circle
+        const time = sweepCircles(Victor(0, 0), Victor(10000, 0), 1, Victor(5000, 0), 1);
+        assert.ok(Math.abs(time - 4998 / 10000) < EPSILON);
+    });
+});
+
+describe("sweepCircleAgainstPolygon", () =>
+{
+    it("hits an edge where the circle first touches it", () =>
+    {
+        //Straight up into the base, touching when the center is the radius below it
+        const time = sweepCircleAgainstPolygon(Victor(0, 100), Victor(0, -200), 10, TRIANGLE);
+        assert.ok(Math.abs(time - (100 - 34.975) / 200) < EPSILON);
+    });
+
+    it("hits the tip as a rounded corner", () =>
+    {
+        //Straight down onto the tip, past the ends of both edges next to it
+        const time = sweepCircleAgainstPolygon(Victor(0, -100), Victor(0, 200), 10, TRIANGLE);
+        assert.ok(Math.abs(time - (100 - 47.5) / 200) < EPSILON);
+    });
+
+    it("hits a base corner that is only grazed", () =>
+    {
+        //7.5 to the side of the corner, so it touches 6.61 below it, before the base edge would
+        const time = sweepCircleAgainstPolygon(Victor(45, 100), Victor(0, -200), 10, TRIANGLE);
+        const expected = (100 - 24.975 - Math.sqrt(100 - 7.5 * 7.5)) / 200;
+        assert.ok(Math.abs(time - expected) < EPSILON);
+    });
+
+    it("misses when passing beside a corner", () =>
+    {
+        assert.equal(sweepCircleAgainstPolygon(Victor(60, 100), Victor(0, -200), 10, TRIANGLE), null);
+    });
+
+    it("is 0 when already overlapping", () =>
+    {
+        assert.equal(sweepCircleAgainstPolygon(Victor(0, 30), Victor(0, 100), 10, TRIANGLE), 0);
+    });
+
+    it("hits when moving through the whole triangle in one step", () =>
+    {
+        const time = sweepCircleAgainstPolygon(Victor(0, 1000), Victor(0, -2000), 10, TRIANGLE);
+        assert.ok(Math.abs(time - (1000 - 34.975) / 2000) < EPSILON);
+    });
+});
+
+describe("getPolygonContactNormal", () =>
+{
+    it("points out of the edge that was hit", () =>
+    {
+        const normal = getPolygonContactNormal(Victor(0, 40), TRIANGLE);
+        assert.ok(Math.abs(normal.x) < EPSILON && Math.abs(normal.y - 1) < EPSILON);
+    });
+
+    it("points away from a corner that was hit", () =>
+    {
+        const normal = getPolygonContactNormal(Victor(37.5 + 3, 24.975 + 4), TRIANGLE);
+        assert.ok(Math.abs(normal.x - 0.6) < EPSILON && Math.abs(normal.y - 0.8) < EPSILON);
+    });
+
+    it("still points out when the point is inside", () =>
+    {
+        const normal = getPolygonContactNormal(Victor(0, 20), TRIANGLE);
+        assert.ok(Math.abs(normal.x) < EPSILON && Math.abs(normal.y - 1) < EPSILON);
+    });
+});
+
+describe("SpatialHash", () =>
+{
+    it("only finds objects in the cells that are queried", () =>
+    {
+        const grid = new SpatialHash(100);
+        grid.update("near", new Rectangle(10, 10, 20, 20));
+        grid.update("far", new Rectangle(510, 10, 20, 20));
+
+        assert.deepEqual([...grid.query(new Rectangle(0, 0, 50, 50))], ["near"]);
+    });
+
+    it("finds objects from every cell they overlap", () =>
+    {
+        const grid = new SpatialHash(100);
+        grid.update("wide", new Rectangle(50, 50, 200, 10));
+
+        //Cells 0 to 2 across, but not 3
+        assert.ok(grid.query(new Rectangle(60, 55, 1, 1)).has("wide"));
+        assert.ok(grid.query(new Rectangle(160, 55, 1, 1)).has("wide"));
+        assert.ok(grid.query(new Rectangle(240, 55, 1, 1)).has("wide"));
+        assert.ok(!grid.query(new Rectangle(310, 55, 1, 1)).has("wide"));
+    });
+
+    it("stops finding objects that moved or were removed", () =>
+    {
+        const grid = new SpatialHash(100);
+        grid.update("moving", new Rectangle(10, 10, 20, 20));
+        grid.update("moving", new Rectangle(310, 10, 20, 20));
+        assert.equal(grid.query(new Rectangle(0, 0, 50, 50)).size, 0);
+
+        grid.remove("moving");
+        assert.equal(grid.query(new Rectangle(300, 0, 50, 50)).size, 0);
+        assert.equal(grid.cells.size, 0);
+    });
+});
+
+describe("Wave.sweep", () =>
+{
+    it("hits right where a fast fall goes under the surface", () =>
+    {
+        const wave = createWorld([]).wave;
+        const start = Victor(250, wave.bounds.y - 500);
+        const displacement = Victor(0, 1000);
+
+        const time = wave.sweep(start, displacement);
+        assert.ok(time > 0 && time < 1);
+        assert.ok(wave.isColliding(start.clone().add(displacement.clone().multiplyScalar(time))));
+        assert.ok(!wave.isColliding(start.clone().add(displacement.clone().multiplyScalar(time - 0.01))));
+    });
+
+    it("misses when moving up and away", () =>
+    {
+        const wave = createWorld([]).wave;
+        assert.equal(wave.sweep(Victor(250, wave.bounds.y - 100), Victor(0, -1000)), null);
+    });
+
+    it("is 0 when already under the surface", () =>
+    {
+        const wave = createWorld([]).wave;
+        assert.equal(wave.sweep(Victor(250, wave.bounds.y + 100), Victor(0, -10)), 0);
+    });
+});
+
+describe("World.findEarliestHit", () =>
+{
+    it("finds the nearer of two obstacles in the way", () =>
+    {
+        const world = createWorld([
+            { type: OBSTACLE_TYPE.Orb, x: 250, y: -400, scale: 1 },
+            { type: OBSTACLE_TYPE.Orb, x: 250, y: -200, scale: 1 }
+        ]);
+        const near = world.orbs.find(orb => orb.active && orb.vectorPosition.y === -200);
+        const far = world.orbs.find(orb => orb.active && orb.vectorPosition.y === -400);
+
+        const hit = world.findEarliestHit(Victor(250, 0), Victor(0, -600), 10, true, new Set());
+        assert.equal(hit.type, COLLISION_TYPE.Obstacle);
+        assert.equal(hit.obstacle, near);
+
+        //Once the nearer one is out of the way the farther one is next
+        const next = world.findEarliestHit(Victor(250, 0), Victor(0, -600), 10, true, new Set([near]));
+        assert.equal(next.obstacle, far);
+        assert.ok(next.time > hit.time);
+    });
+
+    it("orders walls and obstacles by when they are hit", () =>
+    {
+        const world = createWorld([{ type: OBSTACLE_TYPE.Orb, x: 400, y: -150, scale: 1 }]);
+        const orb = world.orbs.find(orb => orb.active);
+
+        //Heading up and right, the orb is on the way to the wall
+        const hit = world.findEarliestHit(Victor(250, 0), Victor(600, -600), 10, true, new Set());
+        assert.equal(hit.type, COLLISION_TYPE.Obstacle);
+        assert.equal(hit.obstacle, orb);
+
+        const next = world.findEarliestHit(Victor(250, 0), Victor(600, -600), 10, true, new Set([orb]));
+        assert.equal(next.type, COLLISION_TYPE.Wall);
+        assert.equal(next.bound, world.xBounds.y);
+        assert.ok(next.time > hit.time);
+    });
+
+    it("only finds walls when not alive", () =>
+    {
+        const world = createWorld([{ type: OBSTACLE_TYPE.Orb, x: 250, y: -200, scale: 1 }]);
+        assert.equal(world.findEarliestHit(Victor(250, 0), Victor(0, -600), 10, false, new Set()), null);
+    });
+});
+
+describe("Player.sweepCollisions", () =>
+{
+    it("hits a thin spike a fling would pass all the way through in one step", () =>
+    {
+        //A small spike just above the player, thinner than one step of a hard fling plus the player
+        const world = createWorld([{ type: OBSTACLE_TYPE.Spike, x: PLAYER_START_POSITION.x, y: PLAYER_START_POSITION.y - 25, scale: 0.3 }]);
+        const player = world.player;
+        const spike = world.spikes.find(spike => spike.active);
+        const spikeHits = [];
+        world.on(SIMULATION_EVENT.SpikeHit, hit => spikeHits.push(hit));
+
+        assert.ok(player.onAim());
+        player.flingForce = Victor(0, -600);
+        assert.ok(player.onFling());
+        assert.equal(player.velocity.y, -600 * FLING_VELOCITY_MULTIPLIER);
+
+        //Checking only where the step starts and ends would miss it
+        const unswept = { vectorPosition: player.vectorPosition.clone(), velocity: player.velocity.clone() };
+        integrateMovement(unswept, world.getAccelerationAt(unswept.vectorPosition), PHYSICS_TIMESTEP, world.settings.friction);
+        const spikeTop = Math.min(...spike.getColliderPolygon().map(vertex => vertex.y));
+        assert.ok(unswept.vectorPosition.y < spikeTop);
+        assert.ok(!isCircleCollidingWithPolygon(player.vectorPosition, player.colliderRadius, spike.getColliderPolygon()));
+        assert.ok(!isCircleCollidingWithPolygon(unswept.vectorPosition, player.colliderRadius, spike.getColliderPolygon()));
+
+        world.step();
+
+        //Hit, knocked back down under the spike and a fling lost on top of the one flung
+        assert.equal(spikeHits.length, 1);
+        assert.equal(spike.active, false);
+        assert.equal(player.playerState, PLAYER_STATE.Idle);
+        assert.equal(player.flings, STARTING_FLINGS - 2);
+        assert.ok(player.velocity.y > 0);
+        assert.ok(player.vectorPosition.y > spike.vectorPosition.y);
+    });
+});
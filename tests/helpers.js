@@ -0,0 +1,20 @@
+"use strict";
+
+//What the tests share for setting up worlds
+
+const { World, parseLevel } = require("../js/simulation.js");
+
+/**
+ * Returns a world playing a level with only the specified obstacles in it
+ * @param {object[]} obstacles The obstacles as they are written in level files
+ * @param {number} waveSpeed How fast the wave rises
+ * @returns {World} The world, reset to the level
+ */
+const createWorld = (obstacles, waveSpeed = 0) =>
+{
+    const world = new World();
+    world.reset(1, parseLevel({ name: "Test", goalHeight: 1000, startingFlings: 5, waveSpeed: waveSpeed, obstacles: obstacles }));
+    return world;
+}
+
+module.exports = { createWorld };
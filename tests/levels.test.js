@@ -0,0 +1,124 @@
+"use strict";
+
+//Checks that level files and difficulty tables are validated before they are played
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { OBSTACLE_TYPE, MOTION_TYPE, POWER_UP_TYPE, DEFAULT_DIFFICULTY_TABLE, parseLevel, parseDifficultyTable, sampleDifficulty } =
+    require("../js/simulation.js");
+
+/**
+ * Returns a valid level's data with the specified changes
+ * @param {object} changes The properties to replace
+ * @returns {object} The level data
+ */
+const createLevelData = (changes = {}) =>
+({
+    name: "Test",
+    goalHeight: 300,
+    startingFlings: 5,
+    waveSpeed: 150,
+    obstacles: [{ type: OBSTACLE_TYPE.Orb, x: 250, y: -200, scale: 1 }],
+    ...changes
+});
+
+/**
+ * Returns a valid difficulty table row with the specified changes
+ * @param {object} changes The properties to replace
+ * @returns {object} The row
+ */
+const createRow = (changes = {}) =>
+    ({ height: 0, obstacles: 8, spikeRatio: 0.4, scaleMin: 0.5, scaleMax: 1, waveSpeedMultiplier: 1, motionChance: 0.1, ...changes });
+
+describe("parseLevel", () =>
+{
+    it("accepts a valid level, defaulting rotations and flooring flings", () =>
+    {
+        const level = parseLevel(createLevelData({ startingFlings: 3.7 }));
+        assert.equal(level.startingFlings, 3);
+        assert.deepEqual(level.obstacles, [{ type: OBSTACLE_TYPE.Orb, x: 250, y: -200, scale: 1, rotation: 0 }]);
+    });
+
+    it("accepts every bundled level", () =>
+    {
+        const levelsPath = path.join(__dirname, "../assets/levels");
+        for(const file of JSON.parse(fs.readFileSync(path.join(levelsPath, "index.json"), "utf8")))
+        {
+            assert.notEqual(parseLevel(JSON.parse(fs.readFileSync(path.join(levelsPath, file), "utf8"))), null, file);
+        }
+    });
+
+    it("rejects levels missing what they need", () =>
+    {
+        assert.equal(parseLevel(null), null);
+        assert.equal(parseLevel(createLevelData({ name: 5 })), null);
+        assert.equal(parseLevel(createLevelData({ obstacles: "none" })), null);
+        assert.equal(parseLevel(createLevelData({ goalHeight: "high" })), null);
+        assert.equal(parseLevel(createLevelData({ waveSpeed: Infinity })), null);
+    });
+
+    it("rejects obstacles that can't be placed", () =>
+    {
+        const withObstacle = obstacle => parseLevel(createLevelData({ obstacles: [obstacle] }));
+        assert.equal(withObstacle({ type: "dragon", x: 0, y: 0, scale: 1 }), null);
+        assert.equal(withObstacle({ type: OBSTACLE_TYPE.Orb, x: NaN, y: 0, scale: 1 }), null);
+        assert.equal(withObstacle({ type: OBSTACLE_TYPE.Orb, x: 0, y: 0, scale: 0 }), null);
+        assert.equal(withObstacle({ type: OBSTACLE_TYPE.Spike, x: 0, y: 0, scale: 1, rotation: "up" }), null);
+        assert.equal(withObstacle({ type: OBSTACLE_TYPE.Orb, x: 0, y: 0, scale: 1, motion: { type: MOTION_TYPE.Bob, period: 1 } }), null);
+        assert.equal(withObstacle({ type: OBSTACLE_TYPE.Orb, x: 0, y: 0, scale: 1, motion: { type: MOTION_TYPE.Orbit, radius: 10, period: 0 } }), null);
+        assert.equal(withObstacle({ type: OBSTACLE_TYPE.PowerUp, x: 0, y: 0, scale: 1, powerUp: "laser" }), null);
+        assert.equal(withObstacle({ type: OBSTACLE_TYPE.Portal, x: 0, y: 0, scale: 1 }), null);
+        assert.notEqual(withObstacle({ type: OBSTACLE_TYPE.PowerUp, x: 0, y: 0, scale: 1, powerUp: POWER_UP_TYPE.Shield }), null);
+    });
+
+    it("only lets two portals share a link", () =>
+    {
+        const portal = { type: OBSTACLE_TYPE.Portal, x: 0, y: 0, scale: 1, link: 1 };
+        assert.notEqual(parseLevel(createLevelData({ obstacles: [portal, portal] })), null);
+        assert.equal(parseLevel(createLevelData({ obstacles: [portal, portal, portal] })), null);
+    });
+});
+
+describe("parseDifficultyTable", () =>
+{
+    it("sorts the rows by height and copies them", () =>
+    {
+        const rows = [createRow({ height: 500 }), createRow({ height: 0 })];
+        const table = parseDifficultyTable(rows);
+        assert.deepEqual(table.map(row => row.height), [0, 500]);
+        assert.notEqual(table[1], rows[1]);
+    });
+
+    it("accepts the bundled table", () =>
+    {
+        const tablePath = path.join(__dirname, "../assets/data/difficulty.json");
+        assert.notEqual(parseDifficultyTable(JSON.parse(fs.readFileSync(tablePath, "utf8"))), null);
+    });
+
+    it("rejects empty tables and rows missing a field", () =>
+    {
+        assert.equal(parseDifficultyTable([]), null);
+        assert.equal(parseDifficultyTable({ height: 0 }), null);
+        assert.equal(parseDifficultyTable([createRow(), createRow({ spikeRatio: undefined })]), null);
+        assert.equal(parseDifficultyTable([createRow({ obstacles: "many" })]), null);
+    });
+});
+
+describe("sampleDifficulty", () =>
+{
+    const table = parseDifficultyTable([createRow({ height: 100, obstacles: 10 }), createRow({ height: 300, obstacles: 20 })]);
+
+    it("blends between the rows around the height", () =>
+    {
+        assert.equal(sampleDifficulty(table, 150).obstacles, 12.5);
+    });
+
+    it("stays at the ends past the table", () =>
+    {
+        assert.equal(sampleDifficulty(table, 0).obstacles, 10);
+        assert.equal(sampleDifficulty(table, 1000).obstacles, 20);
+        assert.equal(sampleDifficulty(DEFAULT_DIFFICULTY_TABLE, 5000), DEFAULT_DIFFICULTY_TABLE[0]);
+    });
+});
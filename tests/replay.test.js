@@ -0,0 +1,119 @@
+"use strict";
+
+//Checks that a run played back from its seed and inputs ends the same as it was played
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { World, SeededRandom, PLAYER_STATE } = require("../js/simulation.js");
+
+/**
+ * The most physics steps a test run lasts
+ */
+const MAX_STEPS = 60 * 20;
+
+/**
+ * Returns what a run ended with, to compare against its playback
+ * @param {World} world The world of the run
+ * @returns {object} The end state
+ */
+const getEndState = world =>
+({
+    stepCount: world.stepCount,
+    playerState: world.player.playerState,
+    position: world.player.vectorPosition.toString(),
+    velocity: world.player.velocity.toString(),
+    flings: world.player.flings,
+    rewindCharge: world.rewindCharge,
+    waveY: world.wave.bounds.y,
+    activeObstacles: world.obstacles.filter(obstacle => obstacle.active).map(obstacle => obstacle.vectorPosition.toString())
+});
+
+/**
+ * Plays a run with a simple bot, flinging whenever it starts falling and rewinding now and then
+ * @param {number} seed The seed of the run
+ * @returns {{inputs: any[][], endState: object}} Each input as [physics step, method, ...arguments] and how the run ended
+ */
+const playRun = seed =>
+{
+    const world = new World();
+    world.reset(seed);
+    const player = world.player;
+    const random = new SeededRandom(seed);
+    const inputs = [];
+
+    const input = (method, ...values) =>
+    {
+        inputs.push([world.stepCount, method, ...values]);
+        applyInput(world, method, values);
+    };
+
+    while(player.playerState !== PLAYER_STATE.Dead && world.stepCount < MAX_STEPS)
+    {
+        const isFalling = player.playerState === PLAYER_STATE.Tutorial || player.velocity.y > 0;
+        if(isFalling && player.flings > 0)
+        {
+            input("onAim");
+            input("onFling", random.range(-150, 150), random.range(-350, -200));
+        }
+
+        //Rewind a little every few seconds
+        if(world.stepCount % 200 === 199) input("onRewind");
+        if(world.stepCount % 200 === 20) input("onRewindEnd");
+
+        world.step();
+    }
+
+    return { inputs: inputs, endState: getEndState(world) };
+}
+
+/**
+ * Does an input to the world
+ * @param {World} world The world to do the input in
+ * @param {string} method The player method the input calls
+ * @param {number[]} values The fling force for flings
+ */
+const applyInput = (world, method, values) =>
+{
+    if(method === "onFling") world.player.flingForce = Victor(values[0], values[1]);
+    world.player[method]();
+}
+
+/**
+ * Plays a run back from its seed and inputs
+ * @param {number} seed The seed of the run
+ * @param {any[][]} inputs The inputs recorded by playRun
+ * @returns {object} How the playback ended
+ */
+const playBack = (seed, inputs) =>
+{
+    const world = new World();
+    world.reset(seed);
+
+    let inputIndex = 0;
+    while(world.player.playerState !== PLAYER_STATE.Dead && world.stepCount < MAX_STEPS)
+    {
+        while(inputIndex < inputs.length && inputs[inputIndex][0] === world.stepCount)
+        {
+            const [, method, ...values] = inputs[inputIndex++];
+            applyInput(world, method, values);
+        }
+        world.step();
+    }
+
+    assert.equal(inputIndex, inputs.length);
+    return getEndState(world);
+}
+
+describe("Replay", () =>
+{
+    for(const seed of [1, 42, 1234])
+    {
+        it(`plays seed ${seed} back to the same end`, () =>
+        {
+            const { inputs, endState } = playRun(seed);
+            assert.ok(inputs.some(([, method]) => method === "onRewind"));
+
+            assert.deepEqual(playBack(seed, inputs), endState);
+        });
+    }
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+//Checks that rewinding puts everything back the way it was
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { World, OBSTACLE_TYPE, PLAYER_STATE, SIMULATION_EVENT } = require("../js/simulation.js");
+const { createWorld } = require("./helpers.js");
+
+/**
+ * Rewinds the world until it runs out of history or charge, or until the condition is met
+ * @param {World} world The world to rewind
+ * @param {() => boolean} isDone Stops rewinding once this returns TRUE
+ */
+const rewindUntil = (world, isDone = () => false) =>
+{
+    assert.ok(world.player.onRewind());
+    while(world.player.playerState === PLAYER_STATE.Rewinding && !isDone()) world.step();
+    world.player.onRewindEnd();
+}
+
+/**
+ * Returns the state of each obstacle in play with where it is in the pool, the rest of the pool isn't rewound
+ * @param {World} world The world to save the obstacles of
+ * @returns {[number, object][]} The pool index and state of each obstacle in play
+ */
+const saveActiveObstacles = world => world.obstacles.flatMap((obstacle, index) => obstacle.active ? [[index, obstacle.saveState()]] : []);
+
+describe("World rewind", () =>
+{
+    it("puts the player, obstacles, wave and generator back to an earlier step", () =>
+    {
+        const world = new World();
+        world.reset(7);
+        const player = world.player;
+
+        player.onAim();
+        player.flingForce = Victor(120, -300);
+        player.onFling();
+        for(let i = 0; i < 31; i++) world.step();
+
+        //Remember everything at this step, the last one saved for rewinding
+        const saved =
+        {
+            player: player.saveState(),
+            obstacles: saveActiveObstacles(world),
+            wave: world.wave.saveState(),
+            generator: world.generator.saveState(),
+            randomState: world.random.state
+        };
+
+        //Use a fling and move on, then go back
+        player.onAim();
+        player.flingForce = Victor(-200, -250);
+        player.onFling();
+        for(let i = 0; i < 39; i++) world.step();
+
+        //Two steps are rewound at a time, so stop just after loading the remembered one
+        rewindUntil(world, () => world.rewindBuffer.length === 30);
+
+        assert.deepEqual(player.saveState(), saved.player);
+        assert.deepEqual(saveActiveObstacles(world), saved.obstacles);
+        assert.deepEqual(world.wave.saveState(), saved.wave);
+        assert.deepEqual(world.generator.saveState(), saved.generator);
+        assert.equal(world.random.state, saved.randomState);
+        assert.equal(player.playerState, PLAYER_STATE.Idle);
+    });
+
+    it("takes back the charge and energy from an orb it brings back", () =>
+    {
+        const world = createWorld([{ type: OBSTACLE_TYPE.Orb, x: 250, y: -150, scale: 1 }]);
+        const player = world.player;
+        const orb = world.orbs.find(orb => orb.active);
+        let orbHits = 0;
+        world.on(SIMULATION_EVENT.OrbHit, () => orbHits++);
+
+        //Room for the orb to give some back
+        world.rewindCharge = 1;
+        player.chronoEnergy = 0.5;
+
+        player.onAim();
+        player.flingForce = Victor(0, -300);
+        player.onFling();
+        while(orbHits === 0) world.step();
+        assert.ok(world.rewindCharge > 1 && player.chronoEnergy > 0.5);
+
+        rewindUntil(world, () => orb.active);
+
+        assert.ok(orb.active);
+        assert.ok(world.rewindCharge < 1);
+        assert.ok(player.chronoEnergy <= 0.5);
+    });
+
+    it("takes an obstacle spawned since back out of play", () =>
+    {
+        const world = createWorld([]);
+        world.player.onAim();
+        world.player.flingForce = Victor(0, -300);
+        world.player.onFling();
+        for(let i = 0; i < 10; i++) world.step();
+
+        //Nothing in play to save before it spawns
+        const orb = world.getFreeObstacle(OBSTACLE_TYPE.Orb);
+        orb.spawn(Victor(450, -300), 1);
+        assert.ok(world.activeObstacles.has(orb));
+        for(let i = 0; i < 10; i++) world.step();
+
+        rewindUntil(world, () => world.rewindBuffer.length <= 5);
+
+        assert.equal(orb.active, false);
+        assert.equal(world.activeObstacles.size, 0);
+        assert.equal(world.grid.cells.size, 0);
+    });
+});
@@ -0,0 +1,32 @@
+"use strict";
+
+//Checks that time zones change how fast time runs without changing each other
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { OBSTACLE_TYPE, MOTION_TYPE, SLOW_ZONE_TIME_SCALE, FAST_ZONE_TIME_SCALE } = require("../js/simulation.js");
+const { createWorld } = require("./helpers.js");
+
+describe("TimeZone", () =>
+{
+    it("keeps its rate when moving through another zone", () =>
+    {
+        //Two zones bobbing over each other, high above the player so only the zones move
+        const world = createWorld([
+            { type: OBSTACLE_TYPE.SlowZone, x: 200, y: -1000, scale: 1, motion: { type: MOTION_TYPE.Bob, amplitude: 50, period: 1 } },
+            { type: OBSTACLE_TYPE.FastZone, x: 260, y: -1000, scale: 1, motion: { type: MOTION_TYPE.Bob, amplitude: 50, period: -1 } }
+        ]);
+        const slowZone = world.slowZones.find(zone => zone.active);
+        const fastZone = world.fastZones.find(zone => zone.active);
+
+        for(let i = 0; i < 120; i++) world.step();
+
+        assert.equal(slowZone.rate, SLOW_ZONE_TIME_SCALE);
+        assert.equal(fastZone.rate, FAST_ZONE_TIME_SCALE);
+
+        //Where they overlap time runs at both rates, and each zone moves at the rate where it is
+        const overlap = slowZone.vectorPosition.clone().add(fastZone.vectorPosition).multiplyScalar(0.5);
+        assert.ok(Math.abs(world.getTimeScaleAt(overlap) - SLOW_ZONE_TIME_SCALE * FAST_ZONE_TIME_SCALE) < 1e-9);
+        assert.ok(Number.isFinite(slowZone.timeScale) && Number.isFinite(fastZone.timeScale));
+    });
+});
@@ -0,0 +1,159 @@
+"use strict";
+
+//Plays lots of headless runs with a simple bot to see how changes to the simulation settings affect how high players get.
+//Needs the dev dependencies installed (npm install), then for example:
+//  npm run simulate -- --runs 1000 --gravity 100000 --waveSpeed 200 --flingForceMin 3500
+//Runs use the same difficulty table as the game (assets/data/difficulty.json)
+
+const fs = require("fs");
+const path = require("path");
+const { World, SeededRandom, PLAYER_STATE, SIMULATION_EVENT, PHYSICS_TIMESTEP, getHeightInMeters, parseDifficultyTable } =
+    require("../js/simulation.js");
+
+/**
+ * The path of the difficulty table the game loads
+ */
+const DIFFICULTY_TABLE_PATH = path.join(__dirname, "../assets/data/difficulty.json");
+
+/**
+ * The options that aren't world settings, any other --option is passed to the world as a setting
+ */
+const OPTIONS =
+{
+    /**@type {number} How many runs to play */
+    runs: 100,
+    /**@type {number} The seed of the first run, each run after uses the next seed */
+    seed: 1,
+    /**@type {number} The most seconds (game time) a run can last */
+    maxSeconds: 300,
+    /**@type {number} How hard the bot drags when it flings */
+    botForce: 150
+};
+
+/**
+ * Reads --name value pairs from the command line
+ * @returns {{options: object, settings: object}} The options and world settings
+ */
+const parseArguments = () =>
+{
+    const options = { ...OPTIONS };
+    const settings = {};
+
+    const difficulty = parseDifficultyTable(JSON.parse(fs.readFileSync(DIFFICULTY_TABLE_PATH, "utf8")));
+    if(!difficulty) throw new Error(`${DIFFICULTY_TABLE_PATH} isn't a valid difficulty table`);
+    settings.difficulty = difficulty;
+
+    const args = process.argv.slice(2);
+    for(let i = 0; i < args.length; i += 2)
+    {
+        const name = args[i].replace(/^--/, "");
+        const value = Number(args[i + 1]);
+        if(isNaN(value)) throw new Error(`--${name} needs a number`);
+
+        if(name in options) options[name] = value;
+        //Gravity is a vector but only ever points down
+        else if(name === "gravity") settings.gravity = Victor(0, value);
+        else settings[name] = value;
+    }
+    return { options: options, settings: settings };
+}
+
+/**
+ * Picks the fling force for the bot, towards the closest orb above it or straight up if there isn't one
+ * @param {World} world The world the bot is playing in
+ * @param {SeededRandom} random The bot's random so runs can be repeated
+ * @param {number} botForce How hard the bot drags
+ * @returns {Victor} The fling force
+ */
+const chooseFlingForce = (world, random, botForce) =>
+{
+    const player = world.player;
+    let target = null;
+    let targetDistanceSq = Infinity;
+    for(const orb of world.orbs)
+    {
+        if(!orb.active || orb.vectorPosition.y > player.vectorPosition.y - 50) continue;
+
+        const distanceSq = orb.vectorPosition.distanceSq(player.vectorPosition);
+        if(distanceSq < targetDistanceSq)
+        {
+            target = orb.vectorPosition;
+            targetDistanceSq = distanceSq;
+        }
+    }
+
+    const direction = target ? target.clone().subtract(player.vectorPosition).normalize() : Victor(0, -1);
+
+    //A little inaccuracy like a real player
+    return direction.rotate(random.range(-0.2, 0.2)).multiplyScalar(botForce * random.range(0.8, 1.2));
+}
+
+/**
+ * Plays a single run with the bot
+ * @param {object} settings The world settings
+ * @param {number} seed The seed of the run
+ * @param {object} options The options for the bot
+ * @returns {{height: number, seconds: number, orbs: number, spikes: number, powerUps: number}} How the run went
+ */
+const playRun = (settings, seed, options) =>
+{
+    const world = new World(settings);
+    const random = new SeededRandom(seed ^ 0x5bd1e995);
+    const result = { height: 0, seconds: 0, orbs: 0, spikes: 0, powerUps: 0 };
+    world.on(SIMULATION_EVENT.OrbHit, () => result.orbs++);
+    world.on(SIMULATION_EVENT.SpikeHit, () => result.spikes++);
+    world.on(SIMULATION_EVENT.PowerUpCollected, () => result.powerUps++);
+    world.reset(seed);
+
+    const player = world.player;
+    const maxSteps = options.maxSeconds / PHYSICS_TIMESTEP;
+    while(player.playerState !== PLAYER_STATE.Dead && world.stepCount < maxSteps)
+    {
+        //Fling once it starts falling (the bot aims instantly so no time stop is used)
+        const isFalling = player.playerState === PLAYER_STATE.Tutorial || player.velocity.y > 0;
+        if(isFalling && player.flings > 0 && player.onAim())
+        {
+            player.flingForce = chooseFlingForce(world, random, options.botForce);
+            player.onFling();
+        }
+
+        //Without a screen, real time is the same as game time
+        world.step();
+        world.updateRealTime(PHYSICS_TIMESTEP);
+    }
+
+    result.height = getHeightInMeters(player.vectorPosition.y);
+    result.seconds = world.stepCount * PHYSICS_TIMESTEP;
+    return result;
+}
+
+/**
+ * Returns the value at the specified percentile of a sorted list
+ * @param {number[]} sorted The sorted list
+ * @param {number} percentile From 0 to 1
+ * @returns {number} The value at the percentile
+ */
+const getPercentile = (sorted, percentile) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * percentile))];
+
+/**
+ * Plays every run and prints a summary
+ */
+const main = () =>
+{
+    const { options, settings } = parseArguments();
+
+    const results = [];
+    for(let i = 0; i < options.runs; i++) results.push(playRun(settings, options.seed + i, options));
+
+    const heights = results.map(result => result.height).sort((a, b) => a - b);
+    const average = key => (results.reduce((sum, result) => sum + result[key], 0) / results.length).toFixed(1);
+
+    //The table is too long to print
+    const { difficulty, ...printedSettings } = settings;
+    console.log(`Runs: ${results.length}`, printedSettings);
+    console.log(`Height (m): median ${getPercentile(heights, 0.5)}, 10th ${getPercentile(heights, 0.1)}, ` +
+        `90th ${getPercentile(heights, 0.9)}, max ${heights[heights.length - 1]}, average ${average("height")}`);
+    console.log(`Per run: ${average("seconds")}s, ${average("orbs")} orbs, ${average("spikes")} spikes, ${average("powerUps")} power-ups`);
+}
+
+main();